@@ -1,14 +1,30 @@
 import * as vscode from 'vscode';
-import { EXTENSION_NAME, EXTENSION_ID } from './lib/constants.js';
+import * as path from 'path';
+import { EXTENSION_NAME, EXTENSION_ID, SYNC_STATES } from './lib/constants.js';
 import * as statusBarService from './services/status-bar.js';
 import * as sourceTracking from './services/source-tracking.js';
 import * as fileDecorations from './services/file-decorations.js';
 import * as codeCoverage from './services/code-coverage.js';
 import * as coveragePanel from './services/coverage-panel.js';
+import * as orgDiff from './services/org-diff.js';
+import * as orgMerge from './services/org-merge.js';
+import * as syncLedger from './services/sync-ledger.js';
+import * as orgConfigWatcher from './services/org-config-watcher.js';
+import * as orgWatcher from './services/org-watcher.js';
+import * as orgMatrix from './services/org-matrix.js';
+import * as orgOnly from './services/org-only.js';
+import * as orgPicker from './services/org-picker.js';
+import * as driftReport from './services/drift-report.js';
+import * as jobMonitor from './services/job-monitor.js';
 import * as sfCli from './lib/sf-cli.js';
+import * as sfdxProject from './lib/sfdx-project.js';
+import * as metadataRegistry from './lib/metadata-registry.js';
+import * as git from './lib/git.js';
+import * as jobQueue from './lib/job-queue.js';
 
 /**
- * Check if current workspace is a Salesforce DX project
+ * Check if current workspace holds a Salesforce DX project
+ * Projects can sit in any workspace folder or subfolder (monorepos).
  * @returns {Promise<boolean>}
  */
 async function isSalesforceDXProject() {
@@ -18,7 +34,7 @@ async function isSalesforceDXProject() {
   }
 
   try {
-    const files = await vscode.workspace.findFiles('sfdx-project.json', null, 1);
+    const files = await vscode.workspace.findFiles('**/sfdx-project.json', '**/node_modules/**', 1);
     return files.length > 0;
   } catch {
     return false;
@@ -48,6 +64,14 @@ class Extension {
     this.isSfdxProject = await isSalesforceDXProject();
     await vscode.commands.executeCommand('setContext', 'sfMetadataTracker:project_opened', this.isSfdxProject);
 
+    // File menus show for every extension the registry tracks, including additionalMetadataTypes
+    await this.updateTrackedExtensions();
+    this.context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('sfMetadataTracker.additionalMetadataTypes')) {
+        this.updateTrackedExtensions();
+      }
+    }));
+
     // Always register commands (they'll be hidden via when clauses if not in SFDX project)
     this.registerCommands();
 
@@ -68,6 +92,12 @@ class Extension {
 
       console.log(`${EXTENSION_NAME}: CLI found, activating features`);
 
+      // Apply the CLI concurrency setting and show running commands
+      jobMonitor.initialize(this.context);
+
+      // Load sync baselines before anything compares files
+      syncLedger.initialize(this.context);
+
       // Initialize status bar
       statusBarService.initialize(this.context);
 
@@ -80,6 +110,21 @@ class Extension {
       // Initialize code coverage panel
       coveragePanel.initialize(this.context);
 
+      // Initialize multi-org matrix view
+      orgMatrix.initialize(this.context);
+
+      // Initialize org-only components view
+      orgOnly.initialize(this.context);
+
+      // Initialize org content provider for diff views
+      orgDiff.initialize(this.context);
+
+      // Pick up target org changes made outside the extension
+      orgConfigWatcher.initialize(this.context);
+
+      // Poll the org for other people's changes to watched files (when enabled)
+      orgWatcher.initialize(this.context);
+
       // Watch for sfdx-project.json changes
       this.watchSfdxProject();
     } else {
@@ -91,22 +136,47 @@ class Extension {
   }
 
   /**
-   * Watch for changes to sfdx-project.json
+   * Publish the tracked file extensions to the menus' when clauses
+   */
+  async updateTrackedExtensions() {
+    await vscode.commands.executeCommand('setContext', 'sfMetadataTracker:trackedExtensions',
+      metadataRegistry.getTrackedExtnames());
+  }
+
+  /**
+   * Watch for changes to sfdx-project.json and .forceignore
    */
   watchSfdxProject() {
     const watcher = vscode.workspace.createFileSystemWatcher('**/sfdx-project.json');
 
-    watcher.onDidCreate(async () => {
-      console.log(`${EXTENSION_NAME}: sfdx-project.json created`);
-      await this.handleSfdxProjectChange(true);
-    });
+    // Package directories or ignore rules changed - rescan what counts as project source
+    const reloadProject = () => {
+      sfdxProject.clearProjectCache();
+      fileDecorations.refreshDecorations();
+    };
 
-    watcher.onDidDelete(async () => {
-      console.log(`${EXTENSION_NAME}: sfdx-project.json deleted`);
-      await this.handleSfdxProjectChange(false);
-    });
+    // Other projects may remain in the workspace, so only toggle features when the last one goes
+    const projectsChanged = async (uri) => {
+      console.log(`${EXTENSION_NAME}: ${uri.fsPath} added or removed`);
+      const isSfdx = await isSalesforceDXProject();
+      if (isSfdx !== this.isSfdxProject) {
+        sfdxProject.clearProjectCache();
+        await this.handleSfdxProjectChange(isSfdx);
+      } else {
+        reloadProject();
+      }
+    };
+
+    watcher.onDidCreate(projectsChanged);
+    watcher.onDidDelete(projectsChanged);
+    watcher.onDidChange(reloadProject);
 
-    this.context.subscriptions.push(watcher);
+    const forceIgnoreWatcher = vscode.workspace.createFileSystemWatcher('**/.forceignore');
+    forceIgnoreWatcher.onDidCreate(reloadProject);
+    forceIgnoreWatcher.onDidChange(reloadProject);
+    forceIgnoreWatcher.onDidDelete(reloadProject);
+
+    this.context.subscriptions.push(watcher, forceIgnoreWatcher);
   }
 
   /**
@@ -114,6 +184,7 @@ class Extension {
    */
   watchWorkspaceChanges() {
     vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+      sfdxProject.clearProjectCache();
       const isSfdx = await isSalesforceDXProject();
       if (isSfdx !== this.isSfdxProject) {
         await this.handleSfdxProjectChange(isSfdx);
@@ -141,10 +212,17 @@ class Extension {
       }
 
       // Activate features
+      jobMonitor.initialize(this.context);
+      syncLedger.initialize(this.context);
       statusBarService.initialize(this.context);
       fileDecorations.initialize(this.context);
       codeCoverage.initialize(this.context);
       coveragePanel.initialize(this.context);
+      orgMatrix.initialize(this.context);
+      orgOnly.initialize(this.context);
+      orgDiff.initialize(this.context);
+      orgConfigWatcher.initialize(this.context);
+      orgWatcher.initialize(this.context);
       console.log(`${EXTENSION_NAME}: Salesforce DX project detected — features activated.`);
     } else {
       // Hide/dispose features when leaving SFDX project
@@ -152,6 +230,12 @@ class Extension {
       fileDecorations.dispose();
       codeCoverage.dispose();
       coveragePanel.dispose();
+      orgMatrix.dispose();
+      orgOnly.dispose();
+      orgDiff.dispose();
+      orgConfigWatcher.dispose();
+      orgWatcher.dispose();
+      jobMonitor.dispose();
     }
   }
 
@@ -186,6 +270,23 @@ class Extension {
       },
       {
         command: `${EXTENSION_ID}.refreshAllFileStatus`,
+        priority: jobQueue.PRIORITIES.NORMAL,
+        callback: async () => {
+          // Show syncing status
+          statusBarService.showSyncingStatus();
+
+          // Only files edited locally or changed in the org since the last scan are compared again
+          await fileDecorations.rescanChanged();
+
+          const editor = vscode.window.activeTextEditor;
+          if (editor) {
+            await statusBarService.updateSyncStatus(editor.document.uri.fsPath);
+          }
+        },
+      },
+      {
+        command: `${EXTENSION_ID}.fullRescan`,
+        priority: jobQueue.PRIORITIES.NORMAL,
         callback: async () => {
           // Show syncing status
           statusBarService.showSyncingStatus();
@@ -212,13 +313,43 @@ class Extension {
         command: `${EXTENSION_ID}.retrieveCurrentFile`,
         callback: () => this.retrieveCurrentFile(),
       },
+      {
+        command: `${EXTENSION_ID}.resolveDeletedInOrg`,
+        callback: (uri) => this.resolveDeletedInOrg(uri),
+      },
+      {
+        command: `${EXTENSION_ID}.compareWithOrg`,
+        callback: (uri) => orgDiff.compareWithOrg(uri),
+      },
+      {
+        command: `${EXTENSION_ID}.compareWithAnyOrg`,
+        callback: (uri) => orgDiff.compareWithPickedOrg(uri),
+      },
+      {
+        command: `${EXTENSION_ID}.compareFolderWithOrg`,
+        priority: jobQueue.PRIORITIES.NORMAL,
+        callback: (uri) => orgDiff.compareFolderWithPickedOrg(uri),
+      },
+      {
+        command: `${EXTENSION_ID}.generateDriftReport`,
+        priority: jobQueue.PRIORITIES.NORMAL,
+        callback: () => driftReport.generateDriftReport(),
+      },
+      {
+        command: `${EXTENSION_ID}.mergeWithOrg`,
+        callback: (uri) => this.mergeWithOrg(uri),
+      },
       {
         command: `${EXTENSION_ID}.authorizeOrg`,
         callback: () => this.authorizeOrg(),
       },
       {
         command: `${EXTENSION_ID}.switchOrg`,
-        callback: () => this.switchOrg(),
+        callback: () => orgPicker.switchDefaultOrg(),
+      },
+      {
+        command: `${EXTENSION_ID}.showJobs`,
+        callback: () => jobMonitor.showJobs(),
       },
       {
         command: `${EXTENSION_ID}.toggleCoverage`,
@@ -226,6 +357,7 @@ class Extension {
       },
       {
         command: `${EXTENSION_ID}.refreshCoverage`,
+        priority: jobQueue.PRIORITIES.NORMAL,
         callback: () => codeCoverage.refreshCoverage(),
       },
       {
@@ -234,12 +366,16 @@ class Extension {
       },
       {
         command: `${EXTENSION_ID}.runAllTests`,
+        priority: jobQueue.PRIORITIES.NORMAL,
         callback: () => codeCoverage.runAllLocalTests(),
       },
     ];
 
-    commands.forEach(({ command, callback }) => {
-      this.context.subscriptions.push(vscode.commands.registerCommand(command, callback));
+    // Single-file commands run CLI calls in the interactive lane, ahead of background scans;
+    // project-wide commands use the normal lane so they do not hold up single-file actions
+    commands.forEach(({ command, callback, priority = jobQueue.PRIORITIES.INTERACTIVE }) => {
+      this.context.subscriptions.push(vscode.commands.registerCommand(command,
+        (...args) => jobQueue.withPriority(priority, () => callback(...args))));
     });
   }
 
@@ -264,16 +400,18 @@ class Extension {
     // Save the file first
     await editor.document.save();
 
-    const terminal = vscode.window.createTerminal('SF Deploy');
-    terminal.show();
-    terminal.sendText(`sf project deploy start --source-dir "${filePath}"`);
-
-    // Refresh status after a delay
-    setTimeout(async () => {
-      sourceTracking.invalidateFileCache(filePath);
-      await statusBarService.updateSyncStatus(filePath);
-      fileDecorations.refreshFile(editor.document.uri);
-    }, 5000);
+    // Refuse to silently overwrite an org change made since the last sync
+    if (!(await this.confirmConflictOverwrite(filePath, metadataInfo.name, 'deploy'))) {
+      return;
+    }
+
+    const result = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Deploying ${metadataInfo.name} to org...`,
+      cancellable: false,
+    }, () => sourceTracking.deployFile(filePath));
+
+    await this.handleSyncResult(result, 'Deploy', metadataInfo.name, editor.document.uri);
   }
 
   /**
@@ -294,26 +432,181 @@ class Extension {
       return;
     }
 
-    const confirm = await vscode.window.showWarningMessage(
-      `This will overwrite your local changes to ${metadataInfo.name}. Continue?`,
-      'Retrieve',
-      'Cancel'
+    const conflict = await sourceTracking.checkForConflict(filePath);
+    if (conflict.conflict) {
+      // Local work would be lost - require an explicit decision
+      if (!(await this.confirmConflictOverwrite(filePath, metadataInfo.name, 'retrieve', conflict))) {
+        return;
+      }
+    } else {
+      const confirm = await vscode.window.showWarningMessage(
+        `This will overwrite your local changes to ${metadataInfo.name}. Continue?`,
+        'Retrieve',
+        'Cancel'
+      );
+
+      if (confirm !== 'Retrieve') {
+        return;
+      }
+    }
+
+    const result = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Retrieving ${metadataInfo.name} from org...`,
+      cancellable: false,
+    }, () => sourceTracking.retrieveFile(filePath));
+
+    await this.handleSyncResult(result, 'Retrieve', metadataInfo.name, editor.document.uri);
+  }
+
+  /**
+   * Redeploy a component that was deleted in the org, or delete it locally as well
+   * @param {vscode.Uri} [uri] - File of the component, defaults to the active editor
+   */
+  async resolveDeletedInOrg(uri) {
+    const fileUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!fileUri) {
+      vscode.window.showWarningMessage('No file is currently open.');
+      return;
+    }
+
+    const filePath = fileUri.fsPath;
+    const metadataInfo = sourceTracking.getMetadataTypeFromPath(filePath);
+    if (!metadataInfo) {
+      vscode.window.showWarningMessage('This is not a supported Salesforce metadata file.');
+      return;
+    }
+
+    const orgStatus = await sourceTracking.checkOrgConnection(filePath);
+    if (!orgStatus.connected) {
+      vscode.window.showErrorMessage(`Not connected to org: ${orgStatus.error}`);
+      return;
+    }
+
+    // Either the whole component is gone, or just this file from the org's bundle
+    const fileStatus = await sourceTracking.getFileOrgStatus(metadataRegistry.getSourceFilePath(filePath), true);
+    const fileOnly = !fileStatus.deletedInOrg;
+    if (fileOnly && sourceTracking.getFileDiffStatus(filePath).syncState !== SYNC_STATES.DELETED_IN_ORG) {
+      vscode.window.showInformationMessage(`${metadataInfo.name} has not been deleted in the org.`);
+      return;
+    }
+
+    const orgLabel = orgStatus.alias || orgStatus.username;
+    const componentLabel = fileOnly ? path.basename(filePath) : metadataInfo.name;
+    const since = fileStatus.lastSync
+      ? ` after the last ${fileStatus.lastSync.operation} (${sourceTracking.formatDate(fileStatus.lastSync.syncedAt)})`
+      : ' since the last sync';
+
+    const action = await vscode.window.showWarningMessage(
+      `${componentLabel} was deleted from ${orgLabel}${since}. Redeploy it, or delete the local ${fileOnly ? 'file' : 'files'} too?`,
+      { modal: true },
+      'Redeploy',
+      'Delete Local Files'
     );
 
-    if (confirm !== 'Retrieve') {
+    if (action === 'Redeploy') {
+      const result = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Redeploying ${componentLabel} to ${orgLabel}...`,
+        cancellable: false,
+      }, () => sourceTracking.deployFile(filePath));
+
+      await this.handleSyncResult(result, 'Deploy', componentLabel, fileUri);
       return;
     }
 
-    const terminal = vscode.window.createTerminal('SF Retrieve');
-    terminal.show();
-    terminal.sendText(`sf project retrieve start --source-dir "${filePath}"`);
-
-    // Refresh status after a delay
-    setTimeout(async () => {
-      sourceTracking.invalidateFileCache(filePath);
-      await statusBarService.updateSyncStatus(filePath);
-      fileDecorations.refreshFile(editor.document.uri);
-    }, 5000);
+    if (action !== 'Delete Local Files') return;
+
+    try {
+      await sourceTracking.deleteLocalComponent(filePath, fileOnly);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Could not delete ${componentLabel}: ${error.message}`);
+      return;
+    }
+    fileDecorations.refreshDecorations();
+
+    // Leave the commit to the user, with a message saying why the files went
+    const message = fileOnly
+      ? `Remove ${path.basename(filePath)} from ${metadataInfo.type} ${metadataInfo.name} (deleted in org ${orgLabel})`
+      : `Remove ${metadataInfo.type} ${metadataInfo.name} (deleted in org ${orgLabel})`;
+    const suggested = await git.suggestCommitMessage(filePath, message);
+    if (!suggested) {
+      await vscode.env.clipboard.writeText(message);
+    }
+    vscode.window.showInformationMessage(
+      `Deleted ${componentLabel} locally. Commit message ${suggested ? 'prepared in Source Control' : 'copied to the clipboard'}: "${message}"`
+    );
+  }
+
+  /**
+   * Ask before overwriting either side of a file that changed locally and in the org
+   * @param {string} filePath
+   * @param {string} componentName
+   * @param {'deploy' | 'retrieve'} operation
+   * @param {{conflict: boolean, lastModifiedBy?: string, lastModifiedDate?: string}} [knownConflict] - Result of a conflict check already made
+   * @returns {Promise<boolean>} True when the operation may proceed
+   */
+  async confirmConflictOverwrite(filePath, componentName, operation, knownConflict) {
+    const conflict = knownConflict || await sourceTracking.checkForConflict(filePath);
+    if (!conflict.conflict) {
+      return true;
+    }
+
+    const modifiedBy = conflict.lastModifiedBy || 'someone';
+    const timeAgo = sourceTracking.formatDate(conflict.lastModifiedDate);
+    const overwriteLabel = operation === 'deploy' ? 'Overwrite Org' : 'Overwrite Local';
+    const lostSide = operation === 'deploy' ? `the org change by ${modifiedBy}` : 'your local changes';
+
+    const action = await vscode.window.showWarningMessage(
+      `${componentName} was changed locally and in the org by ${modifiedBy} (${timeAgo}) since the last sync. ` +
+      `Continuing will overwrite ${lostSide}.`,
+      { modal: true },
+      'Merge with Org',
+      'Compare with Org',
+      overwriteLabel
+    );
+
+    if (action === 'Merge with Org') {
+      await this.mergeWithOrg(vscode.Uri.file(filePath));
+      return false;
+    }
+
+    if (action === 'Compare with Org') {
+      await vscode.commands.executeCommand(`${EXTENSION_ID}.compareWithOrg`, vscode.Uri.file(filePath));
+      return false;
+    }
+
+    return action === overwriteLabel;
+  }
+
+  /**
+   * Merge the org version of a file into the local copy and refresh its status
+   * @param {vscode.Uri} [uri] - File to merge, defaults to the active editor
+   */
+  async mergeWithOrg(uri) {
+    const mergedUri = await orgMerge.mergeWithOrg(uri);
+    if (mergedUri) {
+      await statusBarService.updateSyncStatus(mergedUri.fsPath);
+      fileDecorations.refreshFile(mergedUri);
+    }
+  }
+
+  /**
+   * Report a deploy/retrieve result and refresh the file's status
+   * @param {{success: boolean, error?: string}} result
+   * @param {'Deploy' | 'Retrieve'} operation
+   * @param {string} componentName
+   * @param {vscode.Uri} uri
+   */
+  async handleSyncResult(result, operation, componentName, uri) {
+    if (result.success) {
+      vscode.window.setStatusBarMessage(`$(check) ${operation} of ${componentName} succeeded`, 5000);
+    } else {
+      vscode.window.showErrorMessage(`${operation} of ${componentName} failed: ${result.error}`);
+    }
+
+    await statusBarService.updateSyncStatus(uri.fsPath);
+    fileDecorations.refreshFile(uri);
   }
 
   /**
@@ -332,7 +625,8 @@ class Extension {
 
     if (!selected) return;
 
-    const terminal = vscode.window.createTerminal('SF Auth');
+    // Run in the active SFDX project, like the extension's own CLI commands
+    const terminal = vscode.window.createTerminal({ name: 'SF Auth', cwd: sfdxProject.getActiveProjectRoot() });
     terminal.show();
 
     switch (selected.value) {
@@ -361,31 +655,6 @@ class Extension {
     }, 10000);
   }
 
-  /**
-   * Switch to a different org
-   */
-  async switchOrg() {
-    const terminal = vscode.window.createTerminal('SF Org');
-    terminal.show();
-    terminal.sendText('sf org list');
-
-    const orgAlias = await vscode.window.showInputBox({
-      prompt: 'Enter the alias or username of the org to set as default',
-      placeHolder: 'e.g., myDevOrg or user@example.com',
-    });
-
-    if (orgAlias) {
-      terminal.sendText(`sf config set target-org ${orgAlias}`);
-      
-      // Clear caches
-      sourceTracking.clearOrgCache();
-      sourceTracking.clearSourceCache();
-      fileDecorations.refreshAll();
-      
-      vscode.window.showInformationMessage(`Default org set to: ${orgAlias}`);
-    }
-  }
-
   /**
    * Deactivate the extension
    */
@@ -412,4 +681,10 @@ export function deactivate() {
   fileDecorations.dispose();
   codeCoverage.dispose();
   coveragePanel.dispose();
+  orgMatrix.dispose();
+  orgOnly.dispose();
+  orgDiff.dispose();
+  orgConfigWatcher.dispose();
+  orgWatcher.dispose();
+  jobMonitor.dispose();
 }
@@ -6,48 +6,17 @@ export const EXTENSION_NAME = 'SF Metadata Tracker';
 export const EXTENSION_ID = 'sf-metadata-tracker';
 
 /**
- * Salesforce file paths that indicate metadata
+ * Sync states of a tracked file relative to its last recorded sync baseline
  */
-export const SALESFORCE_PATHS = [
-  '/classes/',
-  '/triggers/',
-  '/lwc/',
-  '/aura/',
-  '/pages/',
-  '/components/',
-  '/flows/',
-];
-
-/**
- * Salesforce file extensions to track
- */
-export const SALESFORCE_EXTENSIONS = [
-  '.cls',
-  '.cls-meta.xml',
-  '.trigger',
-  '.trigger-meta.xml',
-  '.page',
-  '.page-meta.xml',
-  '.component',
-  '.component-meta.xml',
-  '.js',
-  '.js-meta.xml',
-  '.html',
-  '.css',
-];
-
-/**
- * Extended Salesforce paths (includes more metadata types)
- */
-export const EXTENDED_SALESFORCE_PATHS = [
-  '/classes/',
-  '/triggers/',
-  '/lwc/',
-  '/aura/',
-  '/pages/',
-  '/components/',
-  '/flows/',
-  '/objects/',
-  '/permissionsets/',
-  '/profiles/',
-];
+export const SYNC_STATES = {
+  IN_SYNC: 'in-sync',
+  LOCAL_CHANGED: 'local-changed',
+  ORG_CHANGED: 'org-changed',
+  CONFLICT: 'conflict',
+  // Flow matches an inactive org version rather than the active one
+  INACTIVE_VERSION: 'inactive-version',
+  // Source matches the org, but -meta.xml settings (apiVersion, status, ...) differ
+  METADATA_DIFFERS: 'metadata-differs',
+  // Existed in the org at the last sync, gone from the org now
+  DELETED_IN_ORG: 'deleted-in-org',
+};
@@ -0,0 +1,27 @@
+import * as crypto from 'crypto';
+
+/**
+ * File content utilities
+ * Shared normalization and hashing so comparisons ignore formatting-only noise
+ */
+
+/**
+ * Normalize file content for comparison
+ * @param {string} content 
+ * @returns {string}
+ */
+export function normalizeContent(content) {
+  return content
+    .replace(/\r\n/g, '\n')  // Normalize line endings
+    .replace(/[ \t]+$/gm, '') // Remove trailing whitespace from each line
+    .trim(); // Remove leading/trailing whitespace
+}
+
+/**
+ * Hash normalized file content
+ * @param {string} content 
+ * @returns {string} SHA-1 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha1').update(normalizeContent(content)).digest('hex');
+}
@@ -0,0 +1,202 @@
+import { SYNC_STATES } from './constants.js';
+
+/**
+ * Org drift report
+ * Classifies every component of a project against its target org and renders the result
+ * as Markdown or JSON for release checklists
+ */
+
+export const DRIFT_CATEGORIES = {
+  CONFLICT: 'conflict',
+  DELETED_IN_ORG: 'deleted-in-org',
+  ORG_NEWER: 'org-newer',
+  LOCAL_NEWER: 'local-newer',
+  INACTIVE_VERSION: 'inactive-version',
+  METADATA_DIFFERS: 'metadata-differs',
+  LOCAL_ONLY: 'local-only',
+  ORG_ONLY: 'org-only',
+  IN_SYNC: 'in-sync',
+  NOT_COMPARED: 'not-compared',
+};
+
+// Changed lines of files too different to count cheaply
+export const CHANGED_LINES_UNKNOWN = 'n/a';
+
+// Report sections, in display order
+const CATEGORY_INFO = [
+  [DRIFT_CATEGORIES.CONFLICT, 'Conflict', 'Changed locally and in the org since the last sync'],
+  [DRIFT_CATEGORIES.DELETED_IN_ORG, 'Deleted in Org', 'Existed in the org at the last sync, deleted there since'],
+  [DRIFT_CATEGORIES.ORG_NEWER, 'Org Newer', 'Changed in the org since the last sync - retrieve before deploying'],
+  [DRIFT_CATEGORIES.LOCAL_NEWER, 'Local Newer', 'Changed locally - not deployed yet'],
+  [DRIFT_CATEGORIES.INACTIVE_VERSION, 'Inactive Flow Version', 'Matches an org flow version that is not active'],
+  [DRIFT_CATEGORIES.METADATA_DIFFERS, 'Metadata Differs', 'Source matches, -meta.xml settings differ'],
+  [DRIFT_CATEGORIES.LOCAL_ONLY, 'Local Only', 'Not in the org yet'],
+  [DRIFT_CATEGORIES.ORG_ONLY, 'Org Only', 'In the org, missing from the project'],
+  [DRIFT_CATEGORIES.IN_SYNC, 'In Sync', 'Identical in the org'],
+  [DRIFT_CATEGORIES.NOT_COMPARED, 'Not Compared', 'Status or content could not be read from the org'],
+];
+
+// File sync states by urgency - a component takes the most urgent state of its files
+const FILE_STATE_CATEGORIES = [
+  [SYNC_STATES.CONFLICT, DRIFT_CATEGORIES.CONFLICT],
+  [SYNC_STATES.DELETED_IN_ORG, DRIFT_CATEGORIES.DELETED_IN_ORG],
+  [SYNC_STATES.ORG_CHANGED, DRIFT_CATEGORIES.ORG_NEWER],
+  [SYNC_STATES.LOCAL_CHANGED, DRIFT_CATEGORIES.LOCAL_NEWER],
+  [SYNC_STATES.INACTIVE_VERSION, DRIFT_CATEGORIES.INACTIVE_VERSION],
+  [SYNC_STATES.METADATA_DIFFERS, DRIFT_CATEGORIES.METADATA_DIFFERS],
+];
+
+/**
+ * @typedef {Object} DriftEntry
+ * @property {string} type - Metadata type
+ * @property {string} name - Component name
+ * @property {string} category - One of DRIFT_CATEGORIES
+ * @property {string} [lastModifiedBy] - Last org modifier
+ * @property {string} [lastModifiedDate] - Last org modification (ISO)
+ * @property {{added: number, removed: number} | 'n/a' | null} changedLines - Lines added and removed locally relative
+ *   to the org; CHANGED_LINES_UNKNOWN when a file differs too much to count
+ * @property {string[]} files - Project-relative local files (empty for org-only components)
+ */
+
+/**
+ * @typedef {Object} DriftReport
+ * @property {string} project - SFDX project name
+ * @property {string} org - Target org alias or username
+ * @property {string} generatedAt - ISO timestamp
+ * @property {Object<string, number>} summary - Component count per category
+ * @property {DriftEntry[]} entries - Sorted by category, type and name
+ * @property {string[]} unlistedTypes - Types whose org components could not be listed (org-only entries incomplete)
+ */
+
+/**
+ * Classify a component from the compare results of its files
+ * @param {{missing?: boolean, deletedInOrg?: boolean, error?: string}} orgStatus - Org status of the component
+ * @param {Array<{isCompared: boolean, isNew?: boolean, syncState?: string}>} fileStatuses - Diff status of each local file
+ * @returns {string} One of DRIFT_CATEGORIES
+ */
+export function classifyComponent(orgStatus, fileStatuses) {
+  if (orgStatus.missing) {
+    return orgStatus.deletedInOrg ? DRIFT_CATEGORIES.DELETED_IN_ORG : DRIFT_CATEGORIES.LOCAL_ONLY;
+  }
+
+  const compared = fileStatuses.filter((status) => status.isCompared);
+  for (const [syncState, category] of FILE_STATE_CATEGORIES) {
+    if (compared.some((status) => status.syncState === syncState && !status.isNew)) {
+      return category;
+    }
+  }
+
+  // Bundle files not deployed yet make the local bundle newer
+  if (compared.some((status) => status.isNew)) {
+    return compared.every((status) => status.isNew) ? DRIFT_CATEGORIES.LOCAL_ONLY : DRIFT_CATEGORIES.LOCAL_NEWER;
+  }
+  if (orgStatus.error || compared.length === 0) {
+    return DRIFT_CATEGORIES.NOT_COMPARED;
+  }
+  return DRIFT_CATEGORIES.IN_SYNC;
+}
+
+/**
+ * Add up the changed lines of a component's files
+ * @param {Array<{added: number, removed: number} | 'n/a' | null | undefined>} changes
+ * @returns {{added: number, removed: number} | 'n/a' | null} Null when no file differs in content,
+ *   CHANGED_LINES_UNKNOWN when any file was not counted
+ */
+export function sumChangedLines(changes) {
+  if (changes.includes(CHANGED_LINES_UNKNOWN)) return CHANGED_LINES_UNKNOWN;
+  const counted = changes.filter(Boolean);
+  if (counted.length === 0) return null;
+  return counted.reduce((total, change) => ({
+    added: total.added + change.added,
+    removed: total.removed + change.removed,
+  }), { added: 0, removed: 0 });
+}
+
+/**
+ * Assemble a report from classified entries
+ * @param {{project: string, org: string, entries: DriftEntry[], unlistedTypes?: string[]}} options
+ * @returns {DriftReport}
+ */
+export function buildReport({ project, org, entries, unlistedTypes = [] }) {
+  const order = new Map(CATEGORY_INFO.map(([category], index) => [category, index]));
+  const summary = Object.fromEntries(CATEGORY_INFO.map(([category]) => [category, 0]));
+  for (const entry of entries) {
+    summary[entry.category]++;
+  }
+
+  return {
+    project,
+    org,
+    generatedAt: new Date().toISOString(),
+    summary,
+    entries: [...entries].sort((a, b) => order.get(a.category) - order.get(b.category) ||
+      a.type.localeCompare(b.type) || a.name.localeCompare(b.name)),
+    unlistedTypes,
+  };
+}
+
+/**
+ * Format the changed lines of an entry
+ * @param {DriftEntry} entry
+ * @returns {string} e.g. "+12 −3", 'n/a' when not counted, or '' when the content matches
+ */
+export function formatChangedLines(entry) {
+  if (entry.changedLines === CHANGED_LINES_UNKNOWN) return CHANGED_LINES_UNKNOWN;
+  return entry.changedLines ? `+${entry.changedLines.added} −${entry.changedLines.removed}` : '';
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {string} value
+ * @returns {string}
+ */
+function markdownValue(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the report as Markdown: a summary table, then one table per non-empty category
+ * @param {DriftReport} report
+ * @returns {string}
+ */
+export function toMarkdown(report) {
+  const lines = [
+    `# Drift Report: ${markdownValue(report.project)}`,
+    '',
+    `Org: **${markdownValue(report.org)}** · Generated ${report.generatedAt.slice(0, 16).replace('T', ' ')} · ${report.entries.length} components`,
+    '',
+    '| State | Components | Meaning |',
+    '|-------|-----------:|---------|',
+    ...CATEGORY_INFO.map(([category, label, meaning]) => `| ${label} | ${report.summary[category]} | ${meaning} |`),
+  ];
+
+  if (report.unlistedTypes?.length > 0) {
+    lines.push('', `> **Org Only is incomplete:** ${report.unlistedTypes.join(', ')} could not be listed in the org, ` +
+      'so components of these types that exist only in the org are not counted.');
+  }
+
+  for (const [category, label] of CATEGORY_INFO) {
+    // In-sync components only matter as a count
+    const entries = report.entries.filter((entry) => entry.category === category);
+    if (entries.length === 0 || category === DRIFT_CATEGORIES.IN_SYNC) continue;
+
+    lines.push('', `## ${label} (${entries.length})`, '');
+    lines.push('| Type | Component | Last Modified By | Last Modified | Diff |');
+    lines.push('|------|-----------|------------------|---------------|------|');
+    for (const entry of entries) {
+      lines.push(`| ${entry.type} | ${markdownValue(entry.name)} | ${markdownValue(entry.lastModifiedBy)} | ` +
+        `${entry.lastModifiedDate?.slice(0, 10) || ''} | ${formatChangedLines(entry)} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the report as JSON
+ * @param {DriftReport} report
+ * @returns {string}
+ */
+export function toJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
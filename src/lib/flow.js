@@ -0,0 +1,106 @@
+import { parseXml, getChildren, getText } from './xml.js';
+
+/**
+ * Flow version utilities
+ * Compares a local flow file with the Tooling API metadata of individual org flow
+ * versions, and formats version information for display
+ */
+
+// Elements that describe the version's lifecycle rather than its content
+const IGNORED_KEYS = new Set(['status', 'fullName']);
+
+/**
+ * Convert an XML element to a plain value (text, or an object of child values)
+ * Repeated child elements become arrays.
+ * @param {import('./xml.js').XmlElement} element
+ * @returns {string | Object}
+ */
+function toPlainValue(element) {
+  const children = getChildren(element);
+  if (children.length === 0) {
+    return getText(element);
+  }
+
+  const value = {};
+  for (const child of children) {
+    const childValue = toPlainValue(child);
+    if (child.name in value) {
+      value[child.name] = [].concat(value[child.name], childValue);
+    } else {
+      value[child.name] = childValue;
+    }
+  }
+  return value;
+}
+
+/**
+ * Normalize a value for comparison
+ * Null, empty and false values are treated as unset (the API omits them in XML),
+ * single-item arrays are unwrapped, keys are sorted and scalars compared as strings
+ * (numbers in canonical form).
+ * @param {*} value
+ * @returns {*} Normalized value, or undefined when unset
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeValue).filter((item) => item !== undefined);
+    if (items.length === 0) return undefined;
+    return items.length === 1 ? items[0] : items;
+  }
+
+  if (typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      if (IGNORED_KEYS.has(key)) continue;
+      const item = normalizeValue(value[key]);
+      if (item !== undefined) {
+        normalized[key] = item;
+      }
+    }
+    return Object.keys(normalized).length ? normalized : undefined;
+  }
+
+  const text = String(value);
+  if (text === '' || text === 'false') {
+    return undefined;
+  }
+  // XML carries numbers as written ("58.0"), the API as JSON numbers (58)
+  return /^-?\d+(\.\d+)?$/.test(text) ? String(Number(text)) : text;
+}
+
+/**
+ * Check whether a local flow file matches the Tooling API metadata of an org flow version
+ * The version status is ignored, so a local copy of a draft matches that draft even if
+ * the file says otherwise.
+ * @param {string} localXml - Local .flow-meta.xml content
+ * @param {Object} metadata - Flow.Metadata from the Tooling API
+ * @returns {boolean}
+ */
+export function flowMatchesMetadata(localXml, metadata) {
+  try {
+    const local = normalizeValue(toPlainValue(parseXml(localXml)));
+    const org = normalizeValue(metadata);
+    return JSON.stringify(local) === JSON.stringify(org);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format the active and latest org versions of a flow
+ * @param {{activeVersion?: number, latestVersion?: number, latestStatus?: string}} versions
+ * @returns {string} e.g. "Active v5 · Latest v7 (Draft)"
+ */
+export function formatFlowVersions(versions) {
+  if (!versions) return '';
+
+  const active = versions.activeVersion ? `Active v${versions.activeVersion}` : 'No active version';
+  if (!versions.latestVersion || versions.latestVersion === versions.activeVersion) {
+    return active;
+  }
+  return `${active} · Latest v${versions.latestVersion} (${versions.latestStatus || 'Unknown'})`;
+}
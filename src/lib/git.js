@@ -0,0 +1,133 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { execCommandWithTimeout } from './shell.js';
+import { normalizeContent } from './content.js';
+import * as logger from './logger.js';
+
+/**
+ * Git utilities
+ * Helpers for looking up historical file content and preparing commits
+ */
+
+// Number of commits searched for a version matching the org
+const HISTORY_DEPTH = 30;
+
+/**
+ * Run a git command
+ * @param {string} args - Git arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {Promise<string>}
+ */
+async function git(args, cwd) {
+  return execCommandWithTimeout(`git ${args}`, 30000, { cwd });
+}
+
+/**
+ * Get the root of the repository containing a file, or null when it is not in a git repository
+ * @param {string} filePath
+ * @returns {Promise<string | null>}
+ */
+async function getRepoRoot(filePath) {
+  try {
+    return (await git('rev-parse --show-toplevel', path.dirname(filePath))).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the repository-relative path of a file, or null when it is not in a git repository
+ * @param {string} filePath
+ * @returns {Promise<string | null>}
+ */
+export async function getRepoRelativePath(filePath) {
+  const root = await getRepoRoot(filePath);
+  return root ? path.relative(root, filePath).replace(/\\/g, '/') : null;
+}
+
+/**
+ * Get the content of a file at a given commit
+ * @param {string} root - Repository root
+ * @param {string} relativePath - Repository-relative path
+ * @param {string} ref - Commit reference
+ * @returns {Promise<string | null>} Content, or null when the file does not exist at that commit
+ */
+async function showFileAt(root, relativePath, ref) {
+  try {
+    return await git(`show "${ref}:${relativePath}"`, root);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the best common ancestor for merging a local file with another version
+ * Prefers the most recent commit whose content matches the other version (the point
+ * where both sides last agreed), falling back to HEAD.
+ * @param {string} filePath - Absolute path of the local file
+ * @param {string} otherContent - Content of the other version (e.g. the org)
+ * @returns {Promise<{content: string, ref: string, matchesOther: boolean} | null>} Null when no history is available
+ */
+export async function findMergeBase(filePath, otherContent) {
+  const root = await getRepoRoot(filePath);
+  if (!root) {
+    return null;
+  }
+  const relativePath = path.relative(root, filePath).replace(/\\/g, '/');
+
+  let commits = [];
+  try {
+    // Pathspecs are read relative to cwd, so run from the root the path is relative to
+    const log = await git(`log --format=%H -n ${HISTORY_DEPTH} -- "${relativePath}"`, root);
+    commits = log.split('\n').map((line) => line.trim()).filter(Boolean);
+  } catch (error) {
+    logger.log(`Could not read git history for ${relativePath}: ${error.message}`, 'WARN');
+    return null;
+  }
+
+  const normalizedOther = normalizeContent(otherContent);
+  let headContent = null;
+
+  for (const commit of commits) {
+    const content = await showFileAt(root, relativePath, commit);
+    if (content === null) continue;
+
+    if (headContent === null) {
+      headContent = content;
+    }
+
+    if (normalizeContent(content) === normalizedOther) {
+      return { content, ref: commit.substring(0, 7), matchesOther: true };
+    }
+  }
+
+  if (headContent !== null) {
+    return { content: headContent, ref: 'HEAD', matchesOther: false };
+  }
+
+  return null;
+}
+
+/**
+ * Put a commit message into the Source Control input box of the repository containing a file
+ * Uses the built-in git extension; nothing is staged or committed.
+ * @param {string} filePath
+ * @param {string} message
+ * @returns {Promise<boolean>} False when the file is not in a repository the git extension knows
+ */
+export async function suggestCommitMessage(filePath, message) {
+  try {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) return false;
+
+    const gitExtension = extension.isActive ? extension.exports : await extension.activate();
+    const repository = gitExtension.getAPI(1).getRepository(vscode.Uri.file(filePath));
+    if (!repository) return false;
+
+    repository.inputBox.value = message;
+    return true;
+  } catch (error) {
+    logger.log(`Could not set the commit message: ${error.message}`, 'WARN');
+    return false;
+  }
+}
@@ -6,3 +6,15 @@
 export * from './constants.js';
 export * as logger from './logger.js';
 export * as shell from './shell.js';
+export * as content from './content.js';
+export * as git from './git.js';
+export * as merge from './merge.js';
+export * as metadataRegistry from './metadata-registry.js';
+export * as sfdxProject from './sfdx-project.js';
+export * as orgList from './org-list.js';
+export * as orgMatrix from './org-matrix.js';
+export * as orgInventory from './org-inventory.js';
+export * as driftReport from './drift-report.js';
+export * as trackingPreview from './tracking-preview.js';
+export * as jobQueue from './job-queue.js';
+export * as sfApi from './sf-api.js';
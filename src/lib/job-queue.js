@@ -0,0 +1,274 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * CLI job queue
+ * Runs every `sf` command through one scheduler: a concurrency cap, priority lanes so the active
+ * editor's status beats the background scan, one run for identical commands in flight, and
+ * cancellation that kills the child process
+ */
+
+/**
+ * Priority lanes, most urgent first
+ */
+export const PRIORITIES = {
+  // The user is waiting on it (active editor status, diffs, deploy/retrieve)
+  INTERACTIVE: 0,
+  NORMAL: 1,
+  // Workspace scans and polling
+  BACKGROUND: 2,
+};
+
+/**
+ * @typedef {Object} JobInfo
+ * @property {number} id
+ * @property {string} label - Shown in the task list
+ * @property {number} priority - One of PRIORITIES
+ * @property {'queued' | 'running'} state
+ * @property {number} queuedAt
+ * @property {number | null} startedAt
+ * @property {number} waiters - Callers sharing the job
+ */
+
+/**
+ * @typedef {Object} JobSignal
+ * Subset of AbortSignal (not global in the Node version of older VS Code releases)
+ * @property {boolean} aborted
+ * @property {Error} [reason]
+ * @property {function('abort', function(): void): void} addEventListener
+ * @property {function('abort', function(): void): void} removeEventListener
+ */
+
+// Default cap on concurrently running commands
+const DEFAULT_CONCURRENCY = 3;
+
+// Priority of the calling code (see withPriority)
+const priorityContext = new AsyncLocalStorage();
+
+let concurrency = DEFAULT_CONCURRENCY;
+let nextId = 1;
+
+// Queued and running jobs by dedupe key
+const jobs = new Map();
+
+// Task list listeners
+const listeners = new Set();
+
+/**
+ * Create a job's abort signal and the function that aborts it
+ * @returns {{signal: JobSignal, abort: function(Error): void}}
+ */
+function createAbortHandle() {
+  const abortListeners = new Set();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (_type, listener) => abortListeners.add(listener),
+    removeEventListener: (_type, listener) => abortListeners.delete(listener),
+  };
+
+  return {
+    signal,
+    abort(reason) {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      abortListeners.forEach((listener) => listener());
+    },
+  };
+}
+
+/**
+ * Notify the task list listeners
+ */
+function fireChange() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Run code with a default priority for the jobs it enqueues, including in awaited calls
+ * @template T
+ * @param {number} priority - One of PRIORITIES
+ * @param {function(): T} fn
+ * @returns {T}
+ */
+export function withPriority(priority, fn) {
+  return priorityContext.run(priority, fn);
+}
+
+/**
+ * Get the priority of the calling code
+ * @returns {number}
+ */
+export function currentPriority() {
+  return priorityContext.getStore() ?? PRIORITIES.NORMAL;
+}
+
+/**
+ * Set the cap on concurrently running jobs
+ * @param {number} value
+ */
+export function setConcurrency(value) {
+  concurrency = Math.max(1, Math.floor(value) || DEFAULT_CONCURRENCY);
+  startJobs();
+}
+
+/**
+ * Start queued jobs, most urgent first, while below the concurrency cap
+ */
+function startJobs() {
+  let running = [...jobs.values()].filter((job) => job.state === 'running').length;
+
+  while (running < concurrency) {
+    const next = [...jobs.values()]
+      .filter((job) => job.state === 'queued')
+      .sort((a, b) => a.priority - b.priority || a.id - b.id)[0];
+    if (!next) break;
+
+    running++;
+    runJob(next);
+  }
+}
+
+/**
+ * Run a job and settle its waiters
+ * @param {Object} job
+ */
+function runJob(job) {
+  job.state = 'running';
+  job.startedAt = Date.now();
+  fireChange();
+
+  Promise.resolve()
+    .then(() => job.run(job.abortHandle.signal))
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      jobs.delete(job.key);
+      fireChange();
+      startJobs();
+    });
+}
+
+/**
+ * Remove a cancelled job
+ * Queued jobs never start; running jobs are aborted through their signal (killing the process).
+ * @param {Object} job
+ * @param {string} reason
+ */
+function abortJob(job, reason) {
+  if (job.state === 'queued') {
+    jobs.delete(job.key);
+    job.reject(new Error(reason));
+    fireChange();
+    startJobs();
+  } else {
+    job.abortHandle.abort(new Error(reason));
+  }
+}
+
+/**
+ * Enqueue a job, or join the identical job already queued or running
+ * @template T
+ * @param {string} key - Identifies identical jobs (e.g. working directory and command)
+ * @param {function(JobSignal): Promise<T>} run - Does the work; must stop when the signal aborts
+ * @param {Object} [options]
+ * @param {string} [options.label] - Task list label (defaults to the key)
+ * @param {number} [options.priority] - One of PRIORITIES (defaults to the caller's withPriority lane)
+ * @param {boolean} [options.dedupe=true] - Join an identical job in flight
+ * @param {{isCancellationRequested: boolean, onCancellationRequested: Function}} [options.token] - Cancels this
+ *   caller's interest; the job is aborted once every caller sharing it has cancelled
+ * @returns {Promise<T>}
+ */
+export function enqueue(key, run, options = {}) {
+  const priority = options.priority ?? currentPriority();
+  let job = options.dedupe === false ? null : jobs.get(key);
+
+  if (job) {
+    job.waiters++;
+    // A more urgent caller moves a queued job up its lane
+    job.priority = Math.min(job.priority, priority);
+  } else {
+    const id = nextId++;
+    job = {
+      id,
+      // Jobs that are not deduplicated get a key of their own
+      key: options.dedupe === false ? `${key}#${id}` : key,
+      label: options.label || key,
+      priority,
+      state: 'queued',
+      queuedAt: Date.now(),
+      startedAt: null,
+      waiters: 1,
+      run,
+      abortHandle: createAbortHandle(),
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    jobs.set(job.key, job);
+  }
+  fireChange();
+
+  const { token } = options;
+  if (token) {
+    const cancel = () => {
+      job.waiters--;
+      if (job.waiters <= 0 && jobs.get(job.key) === job) {
+        abortJob(job, `Cancelled: ${job.label}`);
+      }
+    };
+    if (token.isCancellationRequested) {
+      cancel();
+    } else {
+      token.onCancellationRequested(cancel);
+    }
+  }
+
+  startJobs();
+  return job.promise;
+}
+
+/**
+ * Cancel a queued or running job, whoever is waiting on it
+ * @param {number} id
+ * @returns {boolean} Whether the job was found
+ */
+export function cancel(id) {
+  const job = [...jobs.values()].find((candidate) => candidate.id === id);
+  if (!job) return false;
+  abortJob(job, `Cancelled: ${job.label}`);
+  return true;
+}
+
+/**
+ * Cancel every job of a priority lane (e.g. a background scan)
+ * @param {number} priority - One of PRIORITIES
+ * @returns {number} Jobs cancelled
+ */
+export function cancelLane(priority) {
+  const lane = [...jobs.values()].filter((job) => job.priority === priority);
+  lane.forEach((job) => abortJob(job, `Cancelled: ${job.label}`));
+  return lane.length;
+}
+
+/**
+ * List the queued and running jobs
+ * @returns {JobInfo[]} Running first, then queued in start order
+ */
+export function getJobs() {
+  return [...jobs.values()]
+    .sort((a, b) => (a.state === b.state ? a.priority - b.priority || a.id - b.id : a.state === 'running' ? -1 : 1))
+    .map(({ id, label, priority, state, queuedAt, startedAt, waiters }) => ({
+      id, label, priority, state, queuedAt, startedAt, waiters,
+    }));
+}
+
+/**
+ * Listen for jobs being queued, started or finished
+ * @param {function(): void} listener
+ * @returns {{dispose: function(): void}}
+ */
+export function onDidChange(listener) {
+  listeners.add(listener);
+  return { dispose: () => listeners.delete(listener) };
+}
@@ -0,0 +1,239 @@
+/**
+ * Line-based diff and three-way merge utilities
+ * Myers diff for line matching, and a diff3-style merge on top of it
+ */
+
+// Most differing lines counted for a change summary; larger differences are not counted
+const MAX_COUNTED_EDITS = 2000;
+
+/**
+ * Split text into lines with normalized line endings
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Find matching lines between two line arrays (longest common subsequence)
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} [maxEdits=Infinity] - Give up when more lines than this differ
+ * @returns {Array<[number, number]> | null} Pairs of [indexInA, indexInB], in ascending order;
+ *   null when more than maxEdits lines differ
+ */
+export function matchLines(a, b, maxEdits = Infinity) {
+  // Common prefix and suffix are matched directly to keep the Myers search small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleMatches = myersMatches(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!middleMatches) {
+    return null;
+  }
+
+  const matches = [];
+  for (let i = 0; i < start; i++) {
+    matches.push([i, i]);
+  }
+
+  for (const [x, y] of middleMatches) {
+    matches.push([x + start, y + start]);
+  }
+
+  for (let i = 0; endA + i < a.length; i++) {
+    matches.push([endA + i, endB + i]);
+  }
+
+  return matches;
+}
+
+/**
+ * Myers O(ND) diff returning the matched index pairs
+ * Only the diagonals reachable at each edit distance are kept for the backtrack, so memory
+ * grows with D² rather than D·(N+M).
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} [maxEdits=Infinity] - Give up beyond this edit distance
+ * @returns {Array<[number, number]> | null} Null when the edit distance exceeds maxEdits
+ */
+function myersMatches(a, b, maxEdits = Infinity) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return n + m > maxEdits ? null : [];
+  }
+
+  const max = n + m;
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  // trace[d] holds diagonals -d..d of v before step d
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > maxEdits) {
+      return null;
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the diagonal (matching) moves
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[d + k - 1] < prev[d + k + 1])) ? k + 1 : k - 1;
+    const prevX = prev[d + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    matches.push([x, y]);
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * Count changed lines between two texts (lines only in one side)
+ * @param {string} a
+ * @param {string} b
+ * @returns {{added: number, removed: number} | null} Null when too many lines differ to count cheaply
+ */
+export function countChangedLines(a, b) {
+  const linesA = splitLines(a);
+  const linesB = splitLines(b);
+  const matches = matchLines(linesA, linesB, MAX_COUNTED_EDITS);
+  if (!matches) {
+    return null;
+  }
+  return { added: linesB.length - matches.length, removed: linesA.length - matches.length };
+}
+
+/**
+ * Check whether two line ranges are identical
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of two versions against a common ancestor
+ * Hunks changed on one side only are taken from that side; hunks changed differently
+ * on both sides are written with standard conflict markers.
+ * @param {string} local - Local version ("ours")
+ * @param {string} base - Common ancestor
+ * @param {string} other - Other version ("theirs")
+ * @param {{localLabel?: string, otherLabel?: string}} [labels] - Conflict marker labels
+ * @returns {{content: string, conflicts: number}}
+ */
+export function mergeThreeWay(local, base, other, labels = {}) {
+  const localLines = splitLines(local);
+  const baseLines = splitLines(base);
+  const otherLines = splitLines(other);
+  const localLabel = labels.localLabel || 'Local';
+  const otherLabel = labels.otherLabel || 'Other';
+
+  // Map base line index -> matching line index on each side
+  const toLocal = new Map(matchLines(baseLines, localLines));
+  const toOther = new Map(matchLines(baseLines, otherLines));
+
+  const output = [];
+  let conflicts = 0;
+  let o = 0;
+  let l = 0;
+  let t = 0;
+
+  while (o < baseLines.length || l < localLines.length || t < otherLines.length) {
+    // Stable run: the same base line is present at the current position on both sides
+    while (o < baseLines.length && toLocal.get(o) === l && toOther.get(o) === t) {
+      output.push(baseLines[o]);
+      o++;
+      l++;
+      t++;
+    }
+
+    // Find the next base line matched on both sides (end of the unstable chunk)
+    let next = o;
+    while (next < baseLines.length && !(toLocal.has(next) && toOther.has(next))) {
+      next++;
+    }
+
+    const endLocal = next < baseLines.length ? toLocal.get(next) : localLines.length;
+    const endOther = next < baseLines.length ? toOther.get(next) : otherLines.length;
+
+    const baseChunk = baseLines.slice(o, next);
+    const localChunk = localLines.slice(l, endLocal);
+    const otherChunk = otherLines.slice(t, endOther);
+
+    if (baseChunk.length || localChunk.length || otherChunk.length) {
+      if (sameLines(localChunk, baseChunk)) {
+        output.push(...otherChunk);
+      } else if (sameLines(otherChunk, baseChunk) || sameLines(localChunk, otherChunk)) {
+        output.push(...localChunk);
+      } else {
+        conflicts++;
+        output.push(`<<<<<<< ${localLabel}`, ...localChunk, '=======', ...otherChunk, `>>>>>>> ${otherLabel}`);
+      }
+    }
+
+    o = next;
+    l = endLocal;
+    t = endOther;
+
+    if (next >= baseLines.length) {
+      break;
+    }
+  }
+
+  const eol = local.includes('\r\n') ? '\r\n' : '\n';
+  const trailing = local.endsWith('\n') || (!local && other.endsWith('\n')) ? eol : '';
+  return { content: output.join(eol) + (output.length ? trailing : ''), conflicts };
+}
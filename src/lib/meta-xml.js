@@ -0,0 +1,120 @@
+import { parseXml, getChildren, getText } from './xml.js';
+
+/**
+ * -meta.xml companion comparison
+ * Compares the settings in a source file's -meta.xml companion (apiVersion, status,
+ * packageVersions, ...) with the org, field by field
+ */
+
+/**
+ * @typedef {Object} MetaDrift
+ * @property {string} field - Element name (e.g. 'apiVersion')
+ * @property {string | null} org - Org value, null when unset
+ * @property {string | null} local - Local value, null when unset
+ */
+
+/**
+ * Get the display value of a top-level -meta.xml element
+ * @param {import('./xml.js').XmlElement} element
+ * @returns {string}
+ */
+function toDisplayValue(element) {
+  if (element.name === 'packageVersions') {
+    const value = (name) => getText(getChildren(element, name)[0] || { children: [] });
+    return `${value('namespace')} ${value('majorNumber')}.${value('minorNumber')}`;
+  }
+
+  const children = getChildren(element);
+  return children.length ? children.map(toDisplayValue).join(' ') : getText(element);
+}
+
+/**
+ * Index the top-level elements of a -meta.xml document
+ * Repeated elements (packageVersions) are combined into one sorted value.
+ * @param {string} xml
+ * @returns {Map<string, string>} Element name -> display value
+ */
+function indexFields(xml) {
+  const values = new Map();
+  for (const element of getChildren(parseXml(xml))) {
+    const value = toDisplayValue(element);
+    values.set(element.name, values.has(element.name) ? [values.get(element.name), value].sort().join(', ') : value);
+  }
+  return values;
+}
+
+/**
+ * Compare two values, treating numbers written differently (58 / 58.0) as equal
+ * @param {string | null} a
+ * @param {string | null} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null) return false;
+  return a.trim() !== '' && b.trim() !== '' && !isNaN(a) && !isNaN(b) && Number(a) === Number(b);
+}
+
+/**
+ * Format an org value the way it is written in -meta.xml files
+ * @param {*} value
+ * @returns {string | null}
+ */
+function toMetaValue(value) {
+  if (value === null || value === undefined) return null;
+  // The Tooling API returns API versions as numbers (61), files carry them as 61.0
+  return typeof value === 'number' && Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+/**
+ * List the fields that differ between a local and an org -meta.xml document
+ * @param {string} localXml
+ * @param {string} orgXml
+ * @returns {MetaDrift[]}
+ */
+export function diffMetaXml(localXml, orgXml) {
+  const local = indexFields(localXml);
+  const org = indexFields(orgXml);
+  const drift = [];
+
+  for (const field of new Set([...org.keys(), ...local.keys()])) {
+    const orgValue = org.get(field) ?? null;
+    const localValue = local.get(field) ?? null;
+    if (!sameValue(orgValue, localValue)) {
+      drift.push({ field, org: orgValue, local: localValue });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * List the differences between a local -meta.xml document and queried org values
+ * Only the given fields are compared.
+ * @param {string} localXml
+ * @param {Object<string, *>} orgValues - Element name -> org value (e.g. { apiVersion: 61, status: 'Active' })
+ * @returns {MetaDrift[]}
+ */
+export function diffMetaFields(localXml, orgValues) {
+  const local = indexFields(localXml);
+  const drift = [];
+
+  for (const [field, value] of Object.entries(orgValues)) {
+    const orgValue = toMetaValue(value);
+    const localValue = local.get(field) ?? null;
+    if (!sameValue(orgValue, localValue)) {
+      drift.push({ field, org: orgValue, local: localValue });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Format a -meta.xml difference for display
+ * @param {MetaDrift} entry
+ * @returns {string} e.g. "apiVersion 58.0 → 61.0" (org → local)
+ */
+export function formatMetaDrift(entry) {
+  return `${entry.field} ${entry.org ?? '∅'} → ${entry.local ?? '∅'}`;
+}
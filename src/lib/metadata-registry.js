@@ -0,0 +1,559 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as logger from './logger.js';
+
+/**
+ * Metadata type registry
+ * Single source of truth for which metadata types are tracked, where their files live,
+ * how their org status is queried and how their content is compared
+ */
+
+/**
+ * Comparison strategies
+ * SOURCE: compare against source queried from the Tooling API (built-in types only)
+ * RETRIEVE: compare against a copy retrieved with `sf project retrieve start`
+ * NONE: track org status only, without content comparison
+ */
+export const COMPARE_STRATEGIES = {
+  SOURCE: 'source',
+  RETRIEVE: 'retrieve',
+  NONE: 'none',
+};
+
+/**
+ * @typedef {Object} MetadataTypeDefinition
+ * @property {string} type - Metadata API type name (e.g. 'ApexClass')
+ * @property {string} directory - Folder the type's files live in (e.g. 'classes')
+ * @property {string[]} extensions - Tracked file suffixes; the first is the component's main file
+ * @property {boolean} [bundle] - Components are folders of files (LWC/Aura); every file with a tracked suffix is compared
+ * @property {boolean} [ownFolder] - Each component's file lives in a folder named after it (objects/Account/Account.object-meta.xml)
+ * @property {string} [parentDirectory] - Child components live in <parentDirectory>/<Parent>/<directory>/ and are named Parent.Child
+ * @property {string} queryObject - Object queried for LastModified info
+ * @property {string} nameField - Field holding the component name
+ * @property {boolean} [toolingApi] - Query through the Tooling API
+ * @property {string} compareStrategy - One of COMPARE_STRATEGIES
+ * @property {string} [compareMode] - 'permissions' compares permission entries instead of the whole document
+ * @property {boolean} [partialOrgCopy] - The retrieved copy only holds entries for components retrieved alongside it (profiles)
+ * @property {string} [statusSource] - 'listMetadata' reads LastModified info from `sf org list metadata` instead of a query
+ * @property {boolean} [noProbe] - The query object supports no aggregate queries, so rescans re-query every component
+ * @property {function(string[]): string} [statusQuery] - Custom status query for the given names (built-in types only)
+ * @property {function(Object): string} [recordName] - Component name of a status query record (built-in types only)
+ * @property {function(string): boolean} [isTracked] - Whether a component has an org record to look up (built-in types
+ *   only); components without one (standard fields) are not tracked rather than new
+ * @property {function(Object): Object} [statusDetails] - Extra status fields read from a status query record (built-in types only)
+ */
+
+/**
+ * Build a status query for child components (Object.Child names) of objects
+ * @param {string} fields - Fields identifying the child and its object
+ * @param {string} from - Queried object
+ * @param {string} childField - Field matched against the child part of the name
+ * @param {string} objectField - Field matched against the object part of the name
+ * @param {function(string): string} [toChildValue] - Convert a child name to the queried value
+ * @returns {function(string[]): string}
+ */
+function childStatusQuery(fields, from, childField, objectField, toChildValue = (child) => child) {
+  return (names) => {
+    const objects = new Set();
+    const children = new Set();
+    for (const name of names) {
+      const [object, ...rest] = name.split('.');
+      objects.add(`'${object}'`);
+      children.add(`'${toChildValue(rest.join('.'))}'`);
+    }
+    return `SELECT Id, ${fields}, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ${from} ` +
+      `WHERE ${childField} IN (${[...children].join(',')}) AND ${objectField} IN (${[...objects].join(',')})`;
+  };
+}
+
+// Custom field API names: Name__c, or ns__Name__c in a managed package
+const CUSTOM_FIELD_PATTERN = /^(?:([A-Za-z0-9]+)__)?([A-Za-z0-9_]+?)__c$/;
+
+/**
+ * Split a custom field API name into the namespace and DeveloperName of its CustomField record
+ * @param {string} field - Field API name (e.g. ns__Region__c)
+ * @returns {{namespace: string | null, developerName: string} | null} Null for standard fields
+ */
+function parseCustomFieldName(field) {
+  const match = CUSTOM_FIELD_PATTERN.exec(field);
+  return match ? { namespace: match[1] || null, developerName: match[2] } : null;
+}
+
+/** @type {MetadataTypeDefinition[]} */
+const BUILT_IN_TYPES = [
+  {
+    type: 'ApexClass',
+    directory: 'classes',
+    extensions: ['.cls'],
+    queryObject: 'ApexClass',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'ApexTrigger',
+    directory: 'triggers',
+    extensions: ['.trigger'],
+    queryObject: 'ApexTrigger',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'LightningComponentBundle',
+    directory: 'lwc',
+    // js-meta.xml is a resource of its own in LightningComponentResource
+    extensions: ['.js', '.html', '.css', '.svg', '.js-meta.xml'],
+    bundle: true,
+    queryObject: 'LightningComponentBundle',
+    nameField: 'DeveloperName',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'AuraDefinitionBundle',
+    directory: 'aura',
+    extensions: ['.js', '.cmp', '.app', '.evt', '.intf', '.css', '.design', '.auradoc', '.svg', '.tokens'],
+    bundle: true,
+    queryObject: 'AuraDefinitionBundle',
+    nameField: 'DeveloperName',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'ApexPage',
+    directory: 'pages',
+    extensions: ['.page'],
+    queryObject: 'ApexPage',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'ApexComponent',
+    directory: 'components',
+    extensions: ['.component'],
+    queryObject: 'ApexComponent',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.SOURCE,
+  },
+  {
+    type: 'Flow',
+    directory: 'flows',
+    extensions: ['.flow-meta.xml'],
+    queryObject: 'FlowDefinition',
+    nameField: 'DeveloperName',
+    toolingApi: true,
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: (names) => 'SELECT Id, DeveloperName, ActiveVersion.VersionNumber, LatestVersion.VersionNumber, LatestVersion.Status, ' +
+      'LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM FlowDefinition ' +
+      `WHERE DeveloperName IN (${names.map((name) => `'${name}'`).join(',')})`,
+    statusDetails: (record) => ({
+      flowVersions: {
+        activeVersion: record.ActiveVersion?.VersionNumber || null,
+        latestVersion: record.LatestVersion?.VersionNumber || null,
+        latestStatus: record.LatestVersion?.Status || null,
+      },
+    }),
+  },
+  {
+    type: 'CustomObject',
+    directory: 'objects',
+    extensions: ['.object-meta.xml'],
+    ownFolder: true,
+    // EntityDefinition covers standard and custom objects alike
+    queryObject: 'EntityDefinition',
+    nameField: 'QualifiedApiName',
+    toolingApi: true,
+    noProbe: true,
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: (names) => 'SELECT QualifiedApiName, LastModifiedBy.Name, LastModifiedDate FROM EntityDefinition ' +
+      `WHERE QualifiedApiName IN (${names.map((name) => `'${name}'`).join(',')})`,
+  },
+  {
+    type: 'CustomField',
+    directory: 'fields',
+    parentDirectory: 'objects',
+    extensions: ['.field-meta.xml'],
+    queryObject: 'CustomField',
+    nameField: 'DeveloperName',
+    toolingApi: true,
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: childStatusQuery('DeveloperName, NamespacePrefix, EntityDefinition.QualifiedApiName', 'CustomField',
+      'DeveloperName', 'EntityDefinition.QualifiedApiName', (field) => parseCustomFieldName(field)?.developerName ?? field),
+    recordName: (record) => `${record.EntityDefinition?.QualifiedApiName}.` +
+      `${record.NamespacePrefix ? `${record.NamespacePrefix}__` : ''}${record.DeveloperName}__c`,
+    // Standard fields (Account.Industry) have no CustomField record
+    isTracked: (name) => Boolean(parseCustomFieldName(name.split('.').slice(1).join('.'))),
+  },
+  {
+    type: 'ValidationRule',
+    directory: 'validationRules',
+    parentDirectory: 'objects',
+    extensions: ['.validationRule-meta.xml'],
+    queryObject: 'ValidationRule',
+    nameField: 'ValidationName',
+    toolingApi: true,
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: childStatusQuery('ValidationName, EntityDefinition.QualifiedApiName', 'ValidationRule',
+      'ValidationName', 'EntityDefinition.QualifiedApiName'),
+    recordName: (record) => `${record.EntityDefinition?.QualifiedApiName}.${record.ValidationName}`,
+  },
+  {
+    type: 'RecordType',
+    directory: 'recordTypes',
+    parentDirectory: 'objects',
+    extensions: ['.recordType-meta.xml'],
+    queryObject: 'RecordType',
+    nameField: 'DeveloperName',
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: childStatusQuery('DeveloperName, SobjectType', 'RecordType', 'DeveloperName', 'SobjectType'),
+    recordName: (record) => `${record.SobjectType}.${record.DeveloperName}`,
+  },
+  {
+    type: 'ListView',
+    directory: 'listViews',
+    parentDirectory: 'objects',
+    extensions: ['.listView-meta.xml'],
+    queryObject: 'ListView',
+    nameField: 'DeveloperName',
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: childStatusQuery('DeveloperName, SobjectType', 'ListView', 'DeveloperName', 'SobjectType'),
+    recordName: (record) => `${record.SobjectType}.${record.DeveloperName}`,
+  },
+  {
+    type: 'WebLink',
+    directory: 'webLinks',
+    parentDirectory: 'objects',
+    extensions: ['.webLink-meta.xml'],
+    queryObject: 'WebLink',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    statusQuery: childStatusQuery('Name, PageOrSobjectType', 'WebLink', 'Name', 'PageOrSobjectType'),
+    recordName: (record) => `${record.PageOrSobjectType}.${record.Name}`,
+  },
+  {
+    type: 'PermissionSet',
+    directory: 'permissionsets',
+    extensions: ['.permissionset-meta.xml'],
+    queryObject: 'PermissionSet',
+    nameField: 'Name',
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    compareMode: 'permissions',
+  },
+  {
+    type: 'Profile',
+    directory: 'profiles',
+    extensions: ['.profile-meta.xml'],
+    // Profile file names (Admin) differ from Profile.Name (System Administrator)
+    queryObject: 'Profile',
+    nameField: 'FullName',
+    statusSource: 'listMetadata',
+    compareStrategy: COMPARE_STRATEGIES.RETRIEVE,
+    compareMode: 'permissions',
+    partialOrgCopy: true,
+  },
+];
+
+// Merged registry, rebuilt when the additionalMetadataTypes setting changes
+let cachedTypes = null;
+let cachedSettingKey = null;
+
+/**
+ * Get all tracked metadata types (built-in types plus the additionalMetadataTypes setting)
+ * Entries from settings replace built-in entries of the same type.
+ * @returns {MetadataTypeDefinition[]}
+ */
+export function getMetadataTypes() {
+  const config = vscode.workspace.getConfiguration('sfMetadataTracker');
+  const additional = config.get('additionalMetadataTypes', []) || [];
+  const settingKey = JSON.stringify(additional);
+
+  if (cachedTypes && settingKey === cachedSettingKey) {
+    return cachedTypes;
+  }
+
+  const types = new Map(BUILT_IN_TYPES.map((definition) => [definition.type, definition]));
+  for (const entry of additional) {
+    const definition = toDefinition(entry, types.get(entry?.type));
+    if (definition) {
+      types.set(definition.type, definition);
+    }
+  }
+
+  cachedTypes = [...types.values()];
+  cachedSettingKey = settingKey;
+  return cachedTypes;
+}
+
+/**
+ * Validate and normalize a metadata type entry from settings
+ * @param {Object} entry - Raw settings entry
+ * @param {MetadataTypeDefinition} [builtIn] - Built-in entry of the same type, used for defaults
+ * @returns {MetadataTypeDefinition | null}
+ */
+function toDefinition(entry, builtIn) {
+  if (!entry || typeof entry.type !== 'string' || !entry.type) {
+    logger.log('Ignoring additionalMetadataTypes entry without a type', 'WARN');
+    return null;
+  }
+
+  const merged = { ...builtIn, ...entry };
+  const extensions = entry.extensions || (entry.suffix ? [entry.suffix] : builtIn?.extensions);
+
+  if (!merged.directory || !extensions?.length) {
+    logger.log(`Ignoring additionalMetadataTypes entry ${entry.type}: directory and suffix are required`, 'WARN');
+    return null;
+  }
+
+  let compareStrategy = merged.compareStrategy || COMPARE_STRATEGIES.RETRIEVE;
+  if (!Object.values(COMPARE_STRATEGIES).includes(compareStrategy)) {
+    logger.log(`Unknown compareStrategy "${compareStrategy}" for ${entry.type}, using retrieve`, 'WARN');
+    compareStrategy = COMPARE_STRATEGIES.RETRIEVE;
+  }
+
+  return {
+    type: merged.type,
+    directory: merged.directory,
+    extensions: extensions.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`)),
+    bundle: Boolean(merged.bundle),
+    ownFolder: Boolean(merged.ownFolder),
+    parentDirectory: merged.parentDirectory || undefined,
+    queryObject: merged.queryObject || merged.type,
+    nameField: merged.nameField || 'DeveloperName',
+    toolingApi: Boolean(merged.toolingApi),
+    compareStrategy,
+    compareMode: builtIn?.compareMode,
+    partialOrgCopy: builtIn?.partialOrgCopy,
+    statusSource: merged.queryObject === builtIn?.queryObject ? builtIn?.statusSource : undefined,
+    noProbe: merged.queryObject === builtIn?.queryObject ? builtIn?.noProbe : undefined,
+    // Custom queries only apply while the query object is the built-in one
+    statusQuery: merged.queryObject === builtIn?.queryObject ? builtIn?.statusQuery : undefined,
+    recordName: merged.queryObject === builtIn?.queryObject ? builtIn?.recordName : undefined,
+    isTracked: merged.queryObject === builtIn?.queryObject ? builtIn?.isTracked : undefined,
+    statusDetails: merged.queryObject === builtIn?.queryObject ? builtIn?.statusDetails : undefined,
+  };
+}
+
+/**
+ * Get the definition of a metadata type
+ * @param {string} type - Metadata API type name
+ * @returns {MetadataTypeDefinition | null}
+ */
+export function getTypeDefinition(type) {
+  return getMetadataTypes().find((definition) => definition.type === type) || null;
+}
+
+/**
+ * Resolve the metadata type and component name of a local file
+ * @param {string} filePath
+ * @returns {{definition: MetadataTypeDefinition, name: string} | null}
+ */
+export function resolvePath(filePath) {
+  if (!filePath) return null;
+
+  const parts = filePath.split(/[\\/]/);
+  const fileName = parts[parts.length - 1];
+  const folders = parts.slice(0, -1);
+
+  for (const definition of getMetadataTypes()) {
+    if (definition.parentDirectory) {
+      // Child files live in <parentDirectory>/<Parent>/<directory>/<Child><suffix>
+      const count = folders.length;
+      const extension = definition.extensions.find((ext) => fileName.endsWith(ext));
+      if (extension && count >= 3 && folders[count - 1] === definition.directory && folders[count - 3] === definition.parentDirectory) {
+        return { definition, name: `${folders[count - 2]}.${fileName.slice(0, -extension.length)}` };
+      }
+      continue;
+    }
+
+    const dirIndex = folders.lastIndexOf(definition.directory);
+    if (dirIndex < 0) continue;
+
+    if (definition.bundle) {
+      // Bundle files live in <directory>/<componentName>/...
+      if (folders.length > dirIndex + 1) {
+        return { definition, name: folders[dirIndex + 1] };
+      }
+      continue;
+    }
+
+    const extension = definition.extensions.find((ext) => fileName.endsWith(ext));
+    if (extension) {
+      return { definition, name: fileName.slice(0, -extension.length) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the extensions of tracked files as VS Code reports them (`resourceExtname`), for menu when clauses
+ * @returns {string[]} e.g. ['.cls', '.js', '.xml']
+ */
+export function getTrackedExtnames() {
+  const extnames = getMetadataTypes().flatMap((definition) =>
+    definition.extensions.map((ext) => ext.slice(ext.lastIndexOf('.'))));
+  // -meta.xml companions of every type are tracked too
+  return [...new Set([...extnames, '.xml'])];
+}
+
+/**
+ * Check whether a file belongs to a tracked metadata type (including -meta.xml companions)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isTrackedFile(filePath) {
+  if (!filePath) return false;
+
+  const resolved = resolvePath(filePath);
+  if (resolved) {
+    // Bundle folders also hold files that are not part of the component (jsconfig.json, etc.)
+    return !resolved.definition.bundle ||
+      filePath.endsWith('-meta.xml') ||
+      resolved.definition.extensions.some((ext) => filePath.endsWith(ext));
+  }
+
+  // -meta.xml companions of tracked source files
+  return filePath.endsWith('-meta.xml') && Boolean(resolvePath(filePath.slice(0, -'-meta.xml'.length)));
+}
+
+/**
+ * Get the tracked file a path belongs to
+ * -meta.xml companions map to their source file; XML-only types (flows, fields, ...)
+ * are their own tracked file.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getSourceFilePath(filePath) {
+  if (!filePath.endsWith('-meta.xml')) {
+    return filePath;
+  }
+
+  const resolved = resolvePath(filePath);
+  if (resolved && (!resolved.definition.bundle || resolved.definition.extensions.some((ext) => filePath.endsWith(ext)))) {
+    return filePath;
+  }
+  return filePath.slice(0, -'-meta.xml'.length);
+}
+
+/**
+ * Get the path of a file within its LWC/Aura bundle folder (e.g. templates/list.html)
+ * @param {string} filePath
+ * @returns {string | null} Forward-slash path relative to the bundle folder, or null for non-bundle files
+ */
+export function getBundleFilePath(filePath) {
+  const resolved = resolvePath(filePath);
+  if (!resolved?.definition.bundle) {
+    return null;
+  }
+
+  const parts = filePath.split(/[\\/]/);
+  const bundleIndex = parts.lastIndexOf(resolved.definition.directory) + 1;
+  return parts.slice(bundleIndex + 1).join('/');
+}
+
+/**
+ * Check whether a folder is an LWC/Aura bundle (<directory>/<componentName>)
+ * @param {string} folderPath
+ * @returns {boolean}
+ */
+export function isBundleFolder(folderPath) {
+  const parts = folderPath.split(/[\\/]/);
+  const parent = parts[parts.length - 2];
+  return Boolean(parts[parts.length - 1]) &&
+    getMetadataTypes().some((definition) => definition.bundle && definition.directory === parent);
+}
+
+/**
+ * Get the workspace glob patterns used to find files of each type during a scan
+ * Bundle patterns match every file in the bundle; filter them with isTrackedFile.
+ * @returns {Array<{definition: MetadataTypeDefinition, pattern: string}>}
+ */
+export function getScanPatterns() {
+  return getMetadataTypes().map((definition) => {
+    let pattern = `**/${definition.directory}/**/*${definition.extensions[0]}`;
+    if (definition.parentDirectory) {
+      pattern = `**/${definition.parentDirectory}/*/${definition.directory}/*${definition.extensions[0]}`;
+    } else if (definition.bundle) {
+      pattern = `**/${definition.directory}/*/**`;
+    }
+    return { definition, pattern };
+  });
+}
+
+/**
+ * Get the path of a component's main file relative to the package root (e.g. classes/Foo.cls)
+ * @param {MetadataTypeDefinition} definition
+ * @param {string} name - Component name
+ * @param {string} [fileName] - File within a bundle
+ * @returns {string}
+ */
+export function getRelativeFilePath(definition, name, fileName) {
+  if (definition.parentDirectory) {
+    const [parent, ...child] = name.split('.');
+    return path.join(definition.parentDirectory, parent, definition.directory, `${child.join('.')}${definition.extensions[0]}`);
+  }
+  if (definition.bundle) {
+    return path.join(definition.directory, name, fileName || `${name}${definition.extensions[0]}`);
+  }
+  if (definition.ownFolder) {
+    return path.join(definition.directory, name, `${name}${definition.extensions[0]}`);
+  }
+  return path.join(definition.directory, `${name}${definition.extensions[0]}`);
+}
+
+/**
+ * Build the SOQL query for LastModified info of components of a type
+ * @param {MetadataTypeDefinition} definition
+ * @param {string[]} names - Component names
+ * @returns {string}
+ */
+export function buildStatusQuery(definition, names) {
+  if (definition.statusQuery) {
+    return definition.statusQuery(names);
+  }
+
+  const { queryObject, nameField } = definition;
+  const namesInClause = names.map((name) => `'${name}'`).join(',');
+  return `SELECT Id, ${nameField}, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ${queryObject} WHERE ${nameField} IN (${namesInClause})`;
+}
+
+/**
+ * Build the query that tells whether any component of a type changed in the org
+ * Count and latest LastModifiedDate of the whole type: a newer date means edits, a different
+ * count additions or deletions since the last scan.
+ * @param {MetadataTypeDefinition} definition
+ * @returns {string | null} Null when the type cannot be probed
+ */
+export function buildProbeQuery(definition) {
+  if (definition.statusSource === 'listMetadata' || definition.noProbe) {
+    return null;
+  }
+  return `SELECT COUNT(Id) total, MAX(LastModifiedDate) latest FROM ${definition.queryObject}`;
+}
+
+/**
+ * Get extra status fields for a status query record (e.g. flow versions)
+ * @param {MetadataTypeDefinition} definition
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function getStatusDetails(definition, record) {
+  return definition.statusDetails ? definition.statusDetails(record) : {};
+}
+
+/**
+ * Check whether a component has an org record its status can be read from
+ * @param {MetadataTypeDefinition} definition
+ * @param {string} name - Component name
+ * @returns {boolean}
+ */
+export function isTrackedComponent(definition, name) {
+  return !definition?.isTracked || definition.isTracked(name);
+}
+
+/**
+ * Get the component name a status query record belongs to
+ * @param {MetadataTypeDefinition} definition
+ * @param {Object} record
+ * @returns {string}
+ */
+export function getRecordName(definition, record) {
+  return definition.recordName ? definition.recordName(record) : record[definition.nameField];
+}
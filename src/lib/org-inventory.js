@@ -0,0 +1,68 @@
+/**
+ * Org component inventory
+ * Normalizes `sf org list metadata` results and finds the components that exist in the org
+ * but not in the local project
+ */
+
+/**
+ * @typedef {Object} OrgComponent
+ * @property {string} type - Metadata type
+ * @property {string} name - Full name, e.g. "AccountService" or "Account.Rating__c"
+ * @property {string} [lastModifiedBy]
+ * @property {string} [lastModifiedDate]
+ * @property {string} [fileName] - Path of the component in a metadata API retrieve
+ */
+
+// Manageable states of components installed from a package (rather than built in the org)
+const INSTALLED_STATES = new Set(['installed', 'installedEditable', 'deprecated', 'deprecatedEditable']);
+
+/**
+ * Check whether a listed component belongs to an installed managed package
+ * @param {Object} item - Entry of the `sf org list metadata` result
+ * @returns {boolean}
+ */
+export function isManagedComponent(item) {
+  return Boolean(item.namespacePrefix) || INSTALLED_STATES.has(item.manageableState);
+}
+
+/**
+ * Normalize the entries of an `sf org list metadata` result
+ * Managed package components and standard objects are left out - neither is part of a project's source.
+ * @param {Object[]} items - `result` of the CLI response
+ * @param {string} metadataType
+ * @returns {OrgComponent[]} Sorted by name
+ */
+export function parseMetadataList(items, metadataType) {
+  return (items || [])
+    .filter((item) => item?.fullName && !isManagedComponent(item))
+    .filter((item) => metadataType !== 'CustomObject' || item.fullName.includes('__'))
+    .map((item) => ({
+      type: metadataType,
+      name: item.fullName,
+      lastModifiedBy: item.lastModifiedByName || undefined,
+      lastModifiedDate: item.lastModifiedDate || undefined,
+      fileName: item.fileName || undefined,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the org components without a local counterpart
+ * Child components (fields, list views, ...) only count for objects the project contains, so a
+ * project tracking a few objects is not flooded with every field in the org.
+ * @param {OrgComponent[]} orgComponents
+ * @param {Array<{type: string, name: string}>} localComponents
+ * @param {Set<string>} [childTypes] - Types named Parent.Child
+ * @returns {OrgComponent[]}
+ */
+export function findOrgOnlyComponents(orgComponents, localComponents, childTypes = new Set()) {
+  const localKeys = new Set(localComponents.map(({ type, name }) => `${type}:${name}`));
+  const localObjects = new Set(localComponents
+    .filter(({ type }) => type === 'CustomObject' || childTypes.has(type))
+    .map(({ type, name }) => (type === 'CustomObject' ? name : name.split('.')[0])));
+
+  return orgComponents.filter(({ type, name }) => {
+    if (localKeys.has(`${type}:${name}`)) return false;
+    return !childTypes.has(type) || localObjects.has(name.split('.')[0]);
+  });
+}
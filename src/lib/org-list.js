@@ -0,0 +1,82 @@
+/**
+ * Authorized org list
+ * Flattens the grouped `sf org list --json` result into one entry per org
+ */
+
+/**
+ * @typedef {Object} OrgListEntry
+ * @property {string | null} alias
+ * @property {string} username
+ * @property {string} orgType - 'Dev Hub', 'Scratch', 'Sandbox' or 'Production'
+ * @property {string} status - Connection status ('Connected', 'Active', 'Expired', error code, ...)
+ * @property {boolean} connected - Status says the org can be used
+ * @property {string | null} expirationDate - Scratch org expiry (YYYY-MM-DD)
+ * @property {boolean} isDefault - Current default target org
+ * @property {string | null} instanceUrl
+ */
+
+// Groups of the `sf org list` result, in display order
+const ORG_GROUPS = ['devHubs', 'nonScratchOrgs', 'sandboxes', 'other', 'scratchOrgs'];
+
+/**
+ * Get the display type of an org
+ * @param {Object} org - Entry of the `sf org list` result
+ * @returns {string}
+ */
+function getOrgType(org) {
+  if (org.isDevHub) return 'Dev Hub';
+  if (org.isScratch) return 'Scratch';
+  if (org.isSandbox) return 'Sandbox';
+  return 'Production';
+}
+
+/**
+ * Get the connection status of an org
+ * Scratch orgs report Active/Expired, other orgs the result of a connection check.
+ * @param {Object} org - Entry of the `sf org list` result
+ * @returns {string}
+ */
+function getOrgStatus(org) {
+  if (org.isExpired) return 'Expired';
+  return org.connectedStatus || org.status || 'Unknown';
+}
+
+/**
+ * Flatten an `sf org list --json` result
+ * Orgs appear in several groups (a Dev Hub is also a non-scratch org), so entries are
+ * deduplicated by username.
+ * @param {Object} result - `result` of the CLI response
+ * @returns {OrgListEntry[]}
+ */
+export function parseOrgList(result) {
+  const orgs = new Map();
+
+  for (const group of ORG_GROUPS) {
+    for (const org of result?.[group] || []) {
+      if (!org?.username || orgs.has(org.username)) continue;
+
+      const status = getOrgStatus(org);
+      orgs.set(org.username, {
+        alias: org.alias || null,
+        username: org.username,
+        orgType: getOrgType(org),
+        status,
+        connected: status === 'Connected' || status === 'Active',
+        expirationDate: org.expirationDate || null,
+        isDefault: Boolean(org.isDefaultUsername || org.defaultMarker?.includes('U')),
+        instanceUrl: org.instanceUrl || null,
+      });
+    }
+  }
+
+  return [...orgs.values()];
+}
+
+/**
+ * Format an org for display
+ * @param {OrgListEntry} org
+ * @returns {string} Alias and username, e.g. "dev (dev@example.com)"
+ */
+export function formatOrgLabel(org) {
+  return org.alias ? `${org.alias} (${org.username})` : org.username;
+}
@@ -0,0 +1,190 @@
+/**
+ * Multi-org presence matrix
+ * Classifies each component per org (identical, different, present, missing) and
+ * renders the matrix as CSV or Markdown for release readiness reviews
+ */
+
+export const MATRIX_STATES = {
+  IDENTICAL: 'identical',
+  DIFFERENT: 'different',
+  PRESENT: 'present',
+  MISSING: 'missing',
+  ERROR: 'error',
+};
+
+const STATE_LABELS = {
+  [MATRIX_STATES.IDENTICAL]: 'Identical',
+  [MATRIX_STATES.DIFFERENT]: 'Different',
+  [MATRIX_STATES.PRESENT]: 'Present',
+  [MATRIX_STATES.MISSING]: 'Missing',
+  [MATRIX_STATES.ERROR]: 'Error',
+};
+
+const STATE_SYMBOLS = {
+  [MATRIX_STATES.IDENTICAL]: '✓',
+  [MATRIX_STATES.DIFFERENT]: '≠',
+  [MATRIX_STATES.PRESENT]: '●',
+  [MATRIX_STATES.MISSING]: '✗',
+  [MATRIX_STATES.ERROR]: '?',
+};
+
+/**
+ * @typedef {Object} MatrixCell
+ * @property {string} state - One of MATRIX_STATES
+ * @property {string} [lastModifiedBy]
+ * @property {string} [lastModifiedDate]
+ * @property {string} [error]
+ * @property {string[]} [differingFiles] - Local files that differ in the org (different cells), content changes first
+ */
+
+/**
+ * @typedef {Object} MatrixRow
+ * @property {string} type - Metadata type
+ * @property {string} name - Component name
+ * @property {string[]} filePaths - Local files of the component
+ * @property {MatrixCell[]} cells - One cell per org, in column order
+ */
+
+/**
+ * @typedef {Object} OrgMatrix
+ * @property {string} scope - Folder or project the matrix covers
+ * @property {string} generatedAt - ISO timestamp
+ * @property {Array<{username: string, label: string}>} orgs - Columns
+ * @property {MatrixRow[]} rows - Sorted by type, then name
+ */
+
+/**
+ * Classify a component in one org
+ * A file missing from an org that has the rest of the component (bundles) makes the
+ * component different; content that could not be compared leaves it "present".
+ * @param {{missing?: boolean, error?: string, lastModifiedBy?: string, lastModifiedDate?: string}} status - Org status of the component
+ * @param {Array<{filePath: string, same?: boolean, isNew?: boolean, error?: string}>} files - Content comparison of each local file
+ * @returns {MatrixCell}
+ */
+export function resolveCell(status, files) {
+  const details = { lastModifiedBy: status.lastModifiedBy, lastModifiedDate: status.lastModifiedDate };
+  const compared = files.filter((file) => file.same !== undefined);
+
+  if (compared.length > 0) {
+    const identical = compared.length === files.length && compared.every((file) => file.same);
+    if (identical) {
+      return { state: MATRIX_STATES.IDENTICAL, ...details };
+    }
+    const differingFiles = [
+      ...compared.filter((file) => !file.same),
+      ...files.filter((file) => file.same === undefined),
+    ].map((file) => file.filePath);
+    return { state: MATRIX_STATES.DIFFERENT, ...details, differingFiles };
+  }
+  if (status.missing || (files.length > 0 && files.every((file) => file.isNew))) {
+    return { state: MATRIX_STATES.MISSING };
+  }
+  if (!status.error) {
+    return { state: MATRIX_STATES.PRESENT, ...details };
+  }
+  return { state: MATRIX_STATES.ERROR, error: status.error };
+}
+
+/**
+ * Format a cell state for display
+ * @param {MatrixCell} cell
+ * @returns {string} e.g. "✓ Identical"
+ */
+export function formatCellState(cell) {
+  return `${STATE_SYMBOLS[cell.state]} ${STATE_LABELS[cell.state]}`;
+}
+
+/**
+ * Format a cell state as a single symbol
+ * @param {MatrixCell} cell
+ * @returns {string}
+ */
+export function getCellSymbol(cell) {
+  return STATE_SYMBOLS[cell.state];
+}
+
+/**
+ * Format who last modified a component and when
+ * @param {MatrixCell} cell
+ * @returns {string} e.g. "Jane Doe · 2026-10-01", or '' when unknown
+ */
+export function formatCellDetails(cell) {
+  if (cell.error) return cell.error;
+  return [cell.lastModifiedBy, cell.lastModifiedDate?.slice(0, 10)].filter(Boolean).join(' · ');
+}
+
+/**
+ * Quote a CSV value
+ * @param {*} value
+ * @returns {string}
+ */
+function csvValue(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render the matrix as CSV
+ * Each org gets a state, last modified by and last modified date column.
+ * @param {OrgMatrix} matrix
+ * @returns {string}
+ */
+export function toCsv(matrix) {
+  const header = ['Type', 'Component'];
+  for (const org of matrix.orgs) {
+    header.push(`${org.label} State`, `${org.label} Last Modified By`, `${org.label} Last Modified Date`);
+  }
+
+  const lines = [header.map(csvValue).join(',')];
+  for (const row of matrix.rows) {
+    const values = [row.type, row.name];
+    for (const cell of row.cells) {
+      values.push(STATE_LABELS[cell.state], cell.lastModifiedBy, cell.lastModifiedDate);
+    }
+    lines.push(values.map(csvValue).join(','));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {string} value
+ * @returns {string}
+ */
+function markdownValue(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the matrix as a Markdown table with a per-org summary
+ * @param {OrgMatrix} matrix
+ * @returns {string}
+ */
+export function toMarkdown(matrix) {
+  const lines = [
+    `# Org Matrix: ${markdownValue(matrix.scope)}`,
+    '',
+    `Generated ${matrix.generatedAt.slice(0, 16).replace('T', ' ')} · ${matrix.rows.length} components`,
+    '',
+    '| Org | Identical | Different | Present | Missing |',
+    '|-----|-----------|-----------|---------|---------|',
+  ];
+
+  matrix.orgs.forEach((org, index) => {
+    const count = (state) => matrix.rows.filter((row) => row.cells[index].state === state).length;
+    lines.push(`| ${markdownValue(org.label)} | ${count(MATRIX_STATES.IDENTICAL)} | ${count(MATRIX_STATES.DIFFERENT)} | ` +
+      `${count(MATRIX_STATES.PRESENT)} | ${count(MATRIX_STATES.MISSING)} |`);
+  });
+
+  lines.push('', `| Type | Component | ${matrix.orgs.map((org) => markdownValue(org.label)).join(' | ')} |`);
+  lines.push(`|------|-----------|${matrix.orgs.map(() => '---').join('|')}|`);
+  for (const row of matrix.rows) {
+    const cells = row.cells.map((cell) => {
+      const details = formatCellDetails(cell);
+      return markdownValue(details ? `${formatCellState(cell)} (${details})` : formatCellState(cell));
+    });
+    lines.push(`| ${row.type} | ${markdownValue(row.name)} | ${cells.join(' | ')} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,124 @@
+import { parseXml, getChildren, getText, canonicalize } from './xml.js';
+
+/**
+ * Permission set / profile comparison
+ * Compares PermissionSet and Profile metadata entry by entry (field permissions,
+ * class accesses, object permissions, ...) instead of as text, so element order does
+ * not produce noise and the differing entries can be listed individually
+ */
+
+// Repeated sections and the element(s) that identify an entry within them
+const SECTION_KEYS = {
+  applicationVisibilities: ['application'],
+  classAccesses: ['apexClass'],
+  customMetadataTypeAccesses: ['name'],
+  customPermissions: ['name'],
+  customSettingAccesses: ['name'],
+  externalDataSourceAccesses: ['externalDataSource'],
+  fieldPermissions: ['field'],
+  flowAccesses: ['flow'],
+  layoutAssignments: ['layout', 'recordType'],
+  objectPermissions: ['object'],
+  pageAccesses: ['apexPage'],
+  recordTypeVisibilities: ['recordType'],
+  tabSettings: ['tab'],
+  tabVisibilities: ['tab'],
+  userPermissions: ['name'],
+};
+
+/**
+ * @typedef {Object} PermissionDrift
+ * @property {string} section - Section name (e.g. 'fieldPermissions')
+ * @property {string} key - Entry key (e.g. 'Account.Industry')
+ * @property {'local-only' | 'org-only' | 'changed'} change
+ * @property {string[]} [details] - Changed values, formatted as "name: org → local"
+ */
+
+/**
+ * Index the entries of a permission document by section and key
+ * @param {string} xml
+ * @returns {Map<string, {section: string, key: string, values: Map<string, string>, canonical: string}>}
+ */
+function indexEntries(xml) {
+  const root = parseXml(xml);
+  const entries = new Map();
+
+  for (const element of getChildren(root)) {
+    const keyFields = SECTION_KEYS[element.name];
+    const values = new Map(getChildren(element).map((child) => [child.name, getText(child)]));
+    if (!values.size) {
+      values.set(element.name, getText(element));
+    }
+
+    // Other elements (description, license, loginIpRanges, ...) are keyed by name and occurrence
+    let key = keyFields
+      ? keyFields.map((field) => values.get(field) || '').filter(Boolean).join(' / ')
+      : element.name;
+    for (let occurrence = 2; entries.has(`${element.name}:${key}`); occurrence++) {
+      key = `${element.name} #${occurrence}`;
+    }
+
+    entries.set(`${element.name}:${key}`, { section: element.name, key, values, canonical: canonicalize(element) });
+  }
+
+  return entries;
+}
+
+/**
+ * List the permission entries that differ between a local and an org document
+ * @param {string} localXml
+ * @param {string} orgXml
+ * @param {{ignoreLocalOnly?: boolean}} [options] - ignoreLocalOnly skips entries missing from the org copy
+ *   (profiles only contain permissions for components retrieved alongside them)
+ * @returns {PermissionDrift[]}
+ */
+export function diffPermissions(localXml, orgXml, options = {}) {
+  const local = indexEntries(localXml);
+  const org = indexEntries(orgXml);
+  const drift = [];
+
+  for (const [id, entry] of local) {
+    const orgEntry = org.get(id);
+    if (!orgEntry) {
+      if (!options.ignoreLocalOnly) {
+        drift.push({ section: entry.section, key: entry.key, change: 'local-only' });
+      }
+      continue;
+    }
+
+    if (orgEntry.canonical !== entry.canonical) {
+      const names = new Set([...entry.values.keys(), ...orgEntry.values.keys()]);
+      const details = [...names]
+        .filter((name) => entry.values.get(name) !== orgEntry.values.get(name))
+        .map((name) => `${name}: ${orgEntry.values.get(name) ?? '∅'} → ${entry.values.get(name) ?? '∅'}`);
+      drift.push({ section: entry.section, key: entry.key, change: 'changed', details });
+    }
+  }
+
+  for (const [id, entry] of org) {
+    if (!local.has(id)) {
+      drift.push({ section: entry.section, key: entry.key, change: 'org-only' });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Format a drift entry for display
+ * @param {PermissionDrift} entry
+ * @returns {string}
+ */
+export function formatDrift(entry) {
+  if (entry.change === 'local-only') {
+    return `${entry.section} ${entry.key}: only in local`;
+  }
+  if (entry.change === 'org-only') {
+    return `${entry.section} ${entry.key}: only in org`;
+  }
+  if (entry.key === entry.section) {
+    // Single-value setting - details already name it
+    return entry.details.join(', ');
+  }
+  return `${entry.section} ${entry.key}: ${entry.details.join(', ')}`;
+}
@@ -0,0 +1,336 @@
+import * as http from 'http';
+import * as https from 'https';
+import { Buffer } from 'buffer';
+import { execCommandWithTimeout } from './shell.js';
+import * as jobQueue from './job-queue.js';
+import * as logger from './logger.js';
+
+/**
+ * Salesforce API client
+ * Runs SOQL against the REST and Tooling query endpoints with the access token the CLI stores,
+ * instead of starting an `sf` process (about a second of startup) per query. The token and
+ * instance URL come from `sf org display` once per org and are refreshed through the CLI when
+ * they expire. Deploys and retrieves stay with the CLI.
+ */
+
+/**
+ * @typedef {Object} QueryResponse
+ * Shaped like the `sf data query --json` output, so callers read either the same way
+ * @property {number} status - 0 on success
+ * @property {{records: Object[], totalSize: number, done: boolean}} [result]
+ * @property {string} [name] - Error code on failure
+ * @property {string} [message] - Error message on failure
+ */
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {string} [cwd] - SFDX project whose target org is queried
+ * @property {string} [targetOrg] - Org username or alias instead of the project's target org
+ * @property {boolean} [tooling] - Query the Tooling API
+ * @property {number} [timeoutMs] - Timeout of each HTTP request
+ * @property {number} [priority] - Job queue lane (defaults to the caller's lane)
+ * @property {Object} [token] - Cancellation token
+ */
+
+// API version when the CLI does not report the org's
+const DEFAULT_API_VERSION = '60.0';
+
+// Subrequests per composite request (API limit)
+const COMPOSITE_BATCH_SIZE = 25;
+
+// Default timeout of an HTTP request
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Access token, instance URL and API version by org key
+const sessions = new Map();
+const pendingSessions = new Map();
+
+// Loads a session in place of `sf org display` (set by tests)
+let sessionResolver = null;
+
+/**
+ * Identify the org of a query: an explicit org is the same for every project
+ * @param {string} [cwd]
+ * @param {string} [targetOrg]
+ * @returns {string}
+ */
+function getSessionKey(cwd, targetOrg) {
+  return targetOrg ? `org:${targetOrg}` : `project:${cwd || ''}`;
+}
+
+/**
+ * Run `sf org display` for a project's target org (or another org)
+ * The CLI refreshes an expired access token, and the session it reports is kept for queries.
+ * @param {string} [cwd] - SFDX project
+ * @param {string} [targetOrg] - Org username or alias instead of the project's target org
+ * @param {number} [timeoutMs=10000]
+ * @returns {Promise<Object>} Parsed CLI JSON response
+ */
+export async function displayOrg(cwd, targetOrg, timeoutMs = 10000) {
+  const targetOrgFlag = targetOrg ? ` --target-org "${targetOrg}"` : '';
+  const result = await execCommandWithTimeout(`sf org display${targetOrgFlag} --json`, timeoutMs, { cwd });
+  const data = JSON.parse(result);
+
+  const { accessToken, instanceUrl, apiVersion } = data.result || {};
+  if (data.status === 0 && accessToken && instanceUrl) {
+    setSession({ accessToken, instanceUrl, apiVersion }, cwd, targetOrg);
+  }
+  return data;
+}
+
+/**
+ * Store the session of an org, used by queries until it expires
+ * @param {{accessToken: string, instanceUrl: string, apiVersion?: string}} session
+ * @param {string} [cwd] - SFDX project whose target org the session belongs to
+ * @param {string} [targetOrg] - Org username or alias instead of the project's target org
+ */
+export function setSession({ accessToken, instanceUrl, apiVersion }, cwd, targetOrg) {
+  sessions.set(getSessionKey(cwd, targetOrg), {
+    accessToken,
+    instanceUrl: instanceUrl.replace(/\/+$/, ''),
+    apiVersion: apiVersion || DEFAULT_API_VERSION,
+  });
+}
+
+/**
+ * Load sessions through a function instead of the CLI, e.g. against a local test server
+ * @param {((cwd?: string, targetOrg?: string) => Promise<{accessToken: string, instanceUrl: string, apiVersion?: string}>) | null} resolver -
+ *   Called for a missing or expired session; null restores `sf org display`
+ */
+export function setSessionResolver(resolver) {
+  sessionResolver = resolver;
+}
+
+/**
+ * Get the session of an org, asking the CLI when there is none yet
+ * @param {string} [cwd]
+ * @param {string} [targetOrg]
+ * @param {boolean} [refresh=false] - Ask the CLI again (the access token expired)
+ * @returns {Promise<{accessToken: string, instanceUrl: string, apiVersion: string}>}
+ */
+async function getSession(cwd, targetOrg, refresh = false) {
+  const key = getSessionKey(cwd, targetOrg);
+  if (!refresh && sessions.has(key)) {
+    return sessions.get(key);
+  }
+  if (pendingSessions.has(key)) {
+    return pendingSessions.get(key);
+  }
+
+  const pending = (async () => {
+    sessions.delete(key);
+    if (sessionResolver) {
+      setSession(await sessionResolver(cwd, targetOrg), cwd, targetOrg);
+      return sessions.get(key);
+    }
+
+    const data = await displayOrg(cwd, targetOrg);
+    if (!sessions.has(key)) {
+      throw new Error(data.message || 'No access token for the org');
+    }
+    return sessions.get(key);
+  })().finally(() => pendingSessions.delete(key));
+
+  pendingSessions.set(key, pending);
+  return pending;
+}
+
+/**
+ * Forget the stored sessions (target org changed or re-authorized)
+ */
+export function clearSessions() {
+  sessions.clear();
+}
+
+/**
+ * Send an HTTP request
+ * @param {string} method
+ * @param {string} url - Absolute URL (http for local test servers, https for orgs)
+ * @param {string} accessToken
+ * @param {Object | undefined} body - Sent as JSON
+ * @param {import('./job-queue.js').JobSignal} signal - Destroys the request when aborted
+ * @param {number} timeoutMs
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+function sendRequest(method, url, accessToken, body, signal, timeoutMs) {
+  const transport = url.startsWith('http:') ? http : https;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+      },
+    }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      response.on('error', reject);
+    });
+
+    const onAbort = () => request.destroy(signal.reason);
+    signal.addEventListener('abort', onAbort);
+    request.on('close', () => signal.removeEventListener('abort', onAbort));
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error(`Request timed out after ${timeoutMs}ms: ${method} ${url}`));
+    });
+    request.on('error', reject);
+
+    if (payload) {
+      request.write(payload);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Call an API path of an org through the job queue
+ * An expired session (401) is refreshed through the CLI and the call retried once.
+ * @param {string} method
+ * @param {string} apiPath - Path below the instance URL; `{version}` is replaced by the org's API version
+ * @param {Object | undefined} body
+ * @param {QueryOptions & {label: string}} options
+ * @returns {Promise<{statusCode: number, data: any}>}
+ */
+async function callApi(method, apiPath, body, options) {
+  const { cwd, targetOrg, label, priority, token } = options;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    const session = await getSession(cwd, targetOrg, attempt > 0);
+    const url = `${session.instanceUrl}${apiPath.replace('{version}', `v${session.apiVersion}`)}`;
+
+    // Identical GETs in flight share one request; each caller parses its own copy
+    const response = await jobQueue.enqueue(
+      `${getSessionKey(cwd, targetOrg)}|${method} ${url}|${body ? JSON.stringify(body) : ''}`,
+      (signal) => sendRequest(method, url, session.accessToken, body, signal, timeoutMs),
+      { label, priority, token, dedupe: method === 'GET' }
+    );
+
+    if (response.statusCode === 401 && attempt === 0) {
+      logger.log(`Session expired for ${targetOrg || cwd || 'the target org'}, refreshing through the CLI`);
+      continue;
+    }
+
+    let data = null;
+    try {
+      data = response.body ? JSON.parse(response.body) : null;
+    } catch {
+      data = { message: response.body };
+    }
+    return { statusCode: response.statusCode, data };
+  }
+}
+
+/**
+ * Turn an API error body into a failed query response
+ * @param {any} data - Error body (an array of {errorCode, message})
+ * @param {number} statusCode
+ * @returns {QueryResponse}
+ */
+function toErrorResponse(data, statusCode) {
+  const error = Array.isArray(data) ? data[0] : data;
+  return {
+    status: 1,
+    name: error?.errorCode || `HTTP_${statusCode}`,
+    message: error?.message || `Request failed with status ${statusCode}`,
+  };
+}
+
+/**
+ * Get the API path prefix of the REST or Tooling API
+ * @param {boolean} tooling
+ * @returns {string}
+ */
+function getApiPrefix(tooling) {
+  return tooling ? '/services/data/{version}/tooling' : '/services/data/{version}';
+}
+
+/**
+ * Follow `nextRecordsUrl` until every record of a query result is loaded
+ * @param {{records: Object[], totalSize: number, done: boolean, nextRecordsUrl?: string}} firstPage
+ * @param {QueryOptions & {label: string}} options
+ * @returns {Promise<QueryResponse>}
+ */
+async function readAllPages(firstPage, options) {
+  const records = [...(firstPage.records || [])];
+  let page = firstPage;
+
+  while (!page.done && page.nextRecordsUrl) {
+    const { statusCode, data } = await callApi('GET', page.nextRecordsUrl, undefined, options);
+    if (statusCode !== 200) {
+      return toErrorResponse(data, statusCode);
+    }
+    page = data;
+    records.push(...(page.records || []));
+  }
+
+  return { status: 0, result: { records, totalSize: firstPage.totalSize ?? records.length, done: true } };
+}
+
+/**
+ * Run a SOQL query against the REST or Tooling API
+ * @param {string} soql
+ * @param {QueryOptions} [options]
+ * @returns {Promise<QueryResponse>} Every record, across all pages
+ */
+export async function query(soql, options = {}) {
+  const label = `${options.tooling ? 'Tooling query' : 'Query'}: ${soql}`;
+  const apiPath = `${getApiPrefix(options.tooling)}/query?q=${encodeURIComponent(soql)}`;
+
+  const { statusCode, data } = await callApi('GET', apiPath, undefined, { ...options, label });
+  if (statusCode !== 200) {
+    return toErrorResponse(data, statusCode);
+  }
+  return readAllPages(data, { ...options, label });
+}
+
+/**
+ * Run several SOQL queries in as few round trips as possible, using the composite API
+ * @param {string[]} queries
+ * @param {QueryOptions} [options]
+ * @returns {Promise<QueryResponse[]>} One response per query, in order
+ */
+export async function compositeQuery(queries, options = {}) {
+  const prefix = getApiPrefix(options.tooling);
+  const responses = [];
+
+  for (let i = 0; i < queries.length; i += COMPOSITE_BATCH_SIZE) {
+    const batch = queries.slice(i, i + COMPOSITE_BATCH_SIZE);
+    const label = `${options.tooling ? 'Tooling composite' : 'Composite'}: ${batch.length} queries`;
+    const body = {
+      allOrNone: false,
+      compositeRequest: batch.map((soql, index) => ({
+        method: 'GET',
+        url: `${prefix}/query?q=${encodeURIComponent(soql)}`,
+        referenceId: `query${index}`,
+      })),
+    };
+
+    // Subrequest URLs need the version too, so resolve it from the session first
+    const session = await getSession(options.cwd, options.targetOrg);
+    body.compositeRequest.forEach((request) => {
+      request.url = request.url.replace('{version}', `v${session.apiVersion}`);
+    });
+
+    const { statusCode, data } = await callApi('POST', `${prefix}/composite`, body, { ...options, label });
+    if (statusCode !== 200) {
+      const error = toErrorResponse(data, statusCode);
+      responses.push(...batch.map(() => error));
+      continue;
+    }
+
+    const subresponses = new Map((data.compositeResponse || []).map((subresponse) => [subresponse.referenceId, subresponse]));
+    for (const { referenceId } of body.compositeRequest) {
+      const { httpStatusCode, body: result } = subresponses.get(referenceId) || {};
+      responses.push(httpStatusCode === 200
+        ? await readAllPages(result, { ...options, label })
+        : toErrorResponse(result, httpStatusCode));
+    }
+  }
+
+  return responses;
+}
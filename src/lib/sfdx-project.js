@@ -0,0 +1,336 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as logger from './logger.js';
+
+/**
+ * SFDX project configuration
+ * Finds the SFDX project each file belongs to (a workspace can hold several, in any
+ * folder) and reads its package directories and .forceignore rules, so scans,
+ * decorations and coverage only consider deployable source, and CLI commands run in
+ * the right project
+ */
+
+// Patterns the Salesforce CLI ignores even without a .forceignore entry
+const DEFAULT_IGNORE_PATTERNS = ['**/*.dup', '**/.*', '**/package2-descriptor.json', '**/package2-manifest.json'];
+
+/**
+ * @typedef {Object} ForceIgnoreRule
+ * @property {RegExp} regex - Matches project-relative, forward-slash paths
+ * @property {boolean} negate - Rule re-includes matching paths (!pattern)
+ * @property {boolean} directoryOnly - Rule only matches directories (pattern/)
+ */
+
+/**
+ * @typedef {Object} SfdxProject
+ * @property {string} root - Folder holding sfdx-project.json
+ * @property {string[]} packageDirectories - Absolute package directory paths
+ * @property {ForceIgnoreRule[]} ignoreRules - Default and .forceignore rules, in order
+ */
+
+// Loaded projects by root folder
+const projects = new Map();
+
+// Project root of each folder looked up so far (null = not inside a project)
+const folderRoots = new Map();
+
+/**
+ * Convert a .forceignore glob to a regular expression
+ * Follows .gitignore semantics: patterns without a slash match at any depth, others are
+ * relative to the project root.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegex(pattern) {
+  const anchored = pattern.includes('/');
+  const glob = pattern.replace(/^\//, '');
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of folders, a trailing "**" everything below
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        // "[!abc]" is a negated class, like "[^abc]"
+        const chars = glob.substring(i + 1, end).replace(/^!/, '^');
+        source += `[${chars}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+/**
+ * Parse .forceignore content into rules
+ * @param {string} content
+ * @returns {ForceIgnoreRule[]}
+ */
+export function parseForceIgnore(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) line = line.replace(/\/+$/, '');
+    if (!line) continue;
+
+    rules.push({ regex: globToRegex(line), negate, directoryOnly });
+  }
+
+  return rules;
+}
+
+/**
+ * Check whether a project-relative path is ignored by a set of rules
+ * A file inside an ignored folder stays ignored, as with .gitignore.
+ * @param {ForceIgnoreRule[]} rules
+ * @param {string} relativePath - Forward-slash path relative to the project root
+ * @returns {boolean}
+ */
+export function matchesIgnoreRules(rules, relativePath) {
+  const segments = relativePath.split('/').filter(Boolean);
+
+  for (let depth = 1; depth <= segments.length; depth++) {
+    const candidate = segments.slice(0, depth).join('/');
+    const isDirectory = depth < segments.length;
+
+    let ignored = false;
+    for (const rule of rules) {
+      if ((!rule.directoryOnly || isDirectory) && rule.regex.test(candidate)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    if (ignored) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Find the root of the SFDX project a file or folder belongs to
+ * The nearest folder above it holding an sfdx-project.json wins, so nested projects
+ * resolve to the innermost one.
+ * @param {string} filePath
+ * @returns {string | null} Project root, or null when the path is not inside a project
+ */
+export function findProjectRoot(filePath) {
+  let dir = path.dirname(filePath);
+  const visited = [];
+  let root = null;
+
+  for (;;) {
+    if (folderRoots.has(dir)) {
+      root = folderRoots.get(dir);
+      break;
+    }
+    visited.push(dir);
+    if (fs.existsSync(path.join(dir, 'sfdx-project.json'))) {
+      root = dir;
+      break;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  visited.forEach((folder) => folderRoots.set(folder, root));
+  return root;
+}
+
+/**
+ * Load an SFDX project
+ * @param {string} root - Folder holding sfdx-project.json
+ * @returns {SfdxProject}
+ */
+export function getProject(root) {
+  if (projects.has(root)) {
+    return projects.get(root);
+  }
+
+  let packageDirectories = [];
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(root, 'sfdx-project.json'), 'utf8'));
+    packageDirectories = (config.packageDirectories || [])
+      .filter((entry) => typeof entry?.path === 'string')
+      .map((entry) => path.resolve(root, entry.path));
+  } catch (error) {
+    logger.log(`Could not read ${path.join(root, 'sfdx-project.json')}: ${error.message}`, 'WARN');
+  }
+
+  let ignoreRules = parseForceIgnore(DEFAULT_IGNORE_PATTERNS.join('\n'));
+  const forceIgnorePath = path.join(root, '.forceignore');
+  if (fs.existsSync(forceIgnorePath)) {
+    try {
+      ignoreRules = ignoreRules.concat(parseForceIgnore(fs.readFileSync(forceIgnorePath, 'utf8')));
+    } catch (error) {
+      logger.log(`Could not read ${forceIgnorePath}: ${error.message}`, 'WARN');
+    }
+  }
+
+  const project = {
+    root,
+    // Without package directories the whole project is treated as source
+    packageDirectories: packageDirectories.length ? packageDirectories : [root],
+    ignoreRules,
+  };
+  projects.set(root, project);
+  logger.log(`SFDX project loaded: ${root} (${project.packageDirectories.length} package director${project.packageDirectories.length === 1 ? 'y' : 'ies'}, ${ignoreRules.length} ignore rules)`);
+  return project;
+}
+
+/**
+ * Get the SFDX project a file belongs to
+ * @param {string} filePath
+ * @returns {SfdxProject | null}
+ */
+export function getProjectForFile(filePath) {
+  const root = findProjectRoot(filePath);
+  return root ? getProject(root) : null;
+}
+
+/**
+ * Find every SFDX project in the workspace
+ * @returns {Promise<SfdxProject[]>}
+ */
+export async function getProjects() {
+  const configFiles = await vscode.workspace.findFiles('**/sfdx-project.json', '**/node_modules/**');
+  return configFiles
+    .map((uri) => path.dirname(uri.fsPath))
+    .sort()
+    .map((root) => getProject(root));
+}
+
+/**
+ * Get the project CLI commands without a file of their own run in
+ * The active editor's project, otherwise the first workspace folder's.
+ * @returns {string | undefined} Project root (or workspace folder when it holds no project)
+ */
+export function getActiveProjectRoot() {
+  const activeFile = vscode.window.activeTextEditor?.document.uri;
+  if (activeFile?.scheme === 'file') {
+    const root = findProjectRoot(activeFile.fsPath);
+    if (root) return root;
+  }
+
+  const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+  if (workspaceFolder && fs.existsSync(path.join(workspaceFolder, 'sfdx-project.json'))) {
+    return workspaceFolder;
+  }
+  return projects.keys().next().value || workspaceFolder;
+}
+
+/**
+ * Get the folder CLI commands for a file run in, so they use its project's target org
+ * @param {string} [filePath] - Defaults to the active project
+ * @returns {string | undefined}
+ */
+export function getProjectRoot(filePath) {
+  return (filePath && findProjectRoot(filePath)) || getActiveProjectRoot();
+}
+
+/**
+ * Forget the loaded projects (after an sfdx-project.json or .forceignore changed)
+ */
+export function clearProjectCache() {
+  projects.clear();
+  folderRoots.clear();
+}
+
+/**
+ * Find project source files matching a glob in every package directory
+ * Files excluded by .forceignore, and files of projects nested in a package directory,
+ * are left out.
+ * @param {string} pattern - Glob relative to a package directory (e.g. '**\/classes/*.cls')
+ * @param {number} [maxResults] - Limit per package directory
+ * @param {string} [projectRoot] - Only search this project, instead of all projects
+ * @returns {Promise<vscode.Uri[]>}
+ */
+export async function findProjectFiles(pattern, maxResults, projectRoot) {
+  let searched;
+  if (projectRoot) {
+    searched = fs.existsSync(path.join(projectRoot, 'sfdx-project.json')) ? [getProject(projectRoot)] : [];
+  } else {
+    searched = await getProjects();
+  }
+  const files = [];
+
+  for (const project of searched) {
+    for (const dir of project.packageDirectories) {
+      const found = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(vscode.Uri.file(dir), pattern),
+        '**/node_modules/**',
+        maxResults
+      );
+      files.push(...found.filter((uri) => findProjectRoot(uri.fsPath) === project.root && !isIgnored(uri.fsPath)));
+    }
+  }
+  return files;
+}
+
+/**
+ * Check whether a file lies inside one of its project's package directories
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isInPackageDirectory(filePath) {
+  const project = getProjectForFile(filePath);
+  if (!project) {
+    return false;
+  }
+
+  return project.packageDirectories.some((dir) => {
+    const relative = path.relative(dir, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+}
+
+/**
+ * Check whether a file is excluded by .forceignore (or the CLI's default ignore rules)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isIgnored(filePath) {
+  const project = getProjectForFile(filePath);
+  if (!project) {
+    return false;
+  }
+
+  const relative = path.relative(project.root, filePath).split(path.sep).join('/');
+  return matchesIgnoreRules(project.ignoreRules, relative);
+}
+
+/**
+ * Check whether a file is deployable project source (in a package directory and not ignored)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isProjectSourceFile(filePath) {
+  return isInPackageDirectory(filePath) && !isIgnored(filePath);
+}
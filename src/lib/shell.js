@@ -1,8 +1,9 @@
-import * as vscode from 'vscode';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { EXTENSION_NAME } from './constants.js';
 import * as logger from './logger.js';
+import * as jobQueue from './job-queue.js';
+import { getActiveProjectRoot } from './sfdx-project.js';
 
 const execAsync = promisify(exec);
 
@@ -11,26 +12,30 @@ const execAsync = promisify(exec);
  */
 
 /**
- * Execute a shell command
- * @param {string} command - Command to execute
- * @param {Object} options - Execution options
+ * Run a command in a child process
+ * @param {string} command
+ * @param {Object} execOptions - child_process.exec options
+ * @param {import('./job-queue.js').JobSignal} signal - Kills the process when aborted
+ * @param {number} [timeoutMs] - Kill the process after this long
  * @returns {Promise<string>} - Command stdout
  */
-export async function execCommand(command, options = {}) {
-  const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-  const execOptions = {
-    cwd: workspaceFolder,
-    maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large outputs
-    ...options,
-  };
-
+function runCommand(command, execOptions, signal, timeoutMs) {
   logger.log(`Executing: ${command}`);
 
   return new Promise((resolve, reject) => {
-    exec(command, execOptions, (error, stdout, stderr) => {
-      // Check if command actually failed (exit code != 0)
-      // SF CLI often outputs warnings to stderr even on success
-      if (error && error.code !== 0) {
+    let timedOut = false;
+    const child = exec(command, execOptions, (error, stdout, stderr) => {
+      clearTimeout(timeout);
+      signal.removeEventListener('abort', onAbort);
+
+      if (timedOut) {
+        reject(new Error(`Command timed out after ${timeoutMs}ms: ${command}`));
+      } else if (signal.aborted) {
+        logger.log(`Command cancelled: ${command}`, 'WARN');
+        reject(signal.reason);
+      } else if (error && error.code !== 0) {
+        // Check if command actually failed (exit code != 0)
+        // SF CLI often outputs warnings to stderr even on success
         // Check if stderr is just a warning (not a real error)
         const isJustWarning = stderr && 
           (stderr.includes('Warning:') || stderr.includes('update available')) &&
@@ -49,32 +54,52 @@ export async function execCommand(command, options = {}) {
         resolve(stdout);
       }
     });
+
+    const onAbort = () => child.kill();
+    signal.addEventListener('abort', onAbort);
+    const timeout = timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeoutMs) : null;
   });
 }
 
+/**
+ * Execute a shell command
+ * Commands run through the job queue: identical commands in flight share one process, and at
+ * most the configured number of processes run at once, most urgent lane first.
+ * @param {string} command - Command to execute
+ * @param {Object} options - Execution options (cwd defaults to the active SFDX project), plus:
+ *   priority (job-queue PRIORITIES, defaults to the caller's lane), token (cancellation token that
+ *   kills the process), dedupe (false for commands that must run every time, like deploys),
+ *   timeoutMs (counted from when the command starts)
+ * @returns {Promise<string>} - Command stdout
+ */
+export async function execCommand(command, options = {}) {
+  const { priority, token, dedupe, timeoutMs, ...processOptions } = options;
+  const execOptions = {
+    cwd: getActiveProjectRoot(),
+    maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large outputs
+    ...processOptions,
+  };
+
+  return jobQueue.enqueue(
+    `${execOptions.cwd || ''}|${command}`,
+    (signal) => runCommand(command, execOptions, signal, timeoutMs),
+    { label: command, priority, token, dedupe }
+  );
+}
+
 /**
  * Execute command with timeout
+ * The timeout starts when the command leaves the queue; a timed-out process is killed.
  * @param {string} command - Command to execute
  * @param {number} timeoutMs - Timeout in milliseconds
- * @param {Object} options - Execution options
+ * @param {Object} options - Execution options (see execCommand)
  * @returns {Promise<string>}
  */
 export async function execCommandWithTimeout(command, timeoutMs = 30000, options = {}) {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error(`Command timed out after ${timeoutMs}ms: ${command}`));
-    }, timeoutMs);
-
-    execCommand(command, options)
-      .then((result) => {
-        clearTimeout(timeout);
-        resolve(result);
-      })
-      .catch((error) => {
-        clearTimeout(timeout);
-        reject(error);
-      });
-  });
+  return execCommand(command, { ...options, timeoutMs });
 }
 
 /**
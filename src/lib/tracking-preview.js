@@ -0,0 +1,132 @@
+import * as path from 'path';
+import { SYNC_STATES } from './constants.js';
+
+/**
+ * Source tracking preview
+ * Turns `sf project deploy preview` and `sf project retrieve preview` results into per-file sync
+ * states, so orgs with source tracking (scratch orgs, tracked sandboxes) need no content compare
+ */
+
+/**
+ * @typedef {Object} TrackedChange
+ * @property {string} state - One of SYNC_STATES
+ * @property {Set<string>} paths - Local paths listed for the change (normalized, forward slashes)
+ * @property {boolean} fileLevel - Local changes are tracked per file, org changes per component
+ */
+
+/**
+ * @typedef {Object} TrackedChanges
+ * @property {Map<string, TrackedChange[]>} components - "Type:Name" -> changes of the component
+ * @property {number} count - Number of changed components
+ */
+
+// Change states by urgency - a file takes the most urgent state of its component's changes
+const STATE_PRIORITY = [
+  SYNC_STATES.CONFLICT,
+  SYNC_STATES.DELETED_IN_ORG,
+  SYNC_STATES.ORG_CHANGED,
+  SYNC_STATES.LOCAL_CHANGED,
+];
+
+/**
+ * Normalize a path for comparison
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizePath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Get the absolute local paths of a preview entry
+ * @param {Object} entry - Entry of a preview result (fullName, type, path, projectRelativePath)
+ * @param {string} projectRoot
+ * @returns {string[]}
+ */
+function getEntryPaths(entry, projectRoot) {
+  if (entry.path) {
+    return [normalizePath(path.resolve(projectRoot, entry.path))];
+  }
+  if (entry.projectRelativePath) {
+    return [normalizePath(path.resolve(projectRoot, entry.projectRelativePath))];
+  }
+  return [];
+}
+
+/**
+ * Check whether a preview failed because the org does not track source
+ * @param {Object} data - Parsed CLI response
+ * @returns {boolean}
+ */
+export function isUntrackedOrgError(data) {
+  return data?.name === 'NonSourceTrackedOrgError' || /source tracking/i.test(data?.message || '');
+}
+
+/**
+ * Combine the deploy and retrieve previews of a project
+ * @param {{conflicts?: Object[], toDeploy?: Object[]}} deployPreview - `result` of `sf project deploy preview --json`
+ * @param {{conflicts?: Object[], toRetrieve?: Object[], toDelete?: Object[]}} retrievePreview - `result` of `sf project retrieve preview --json`
+ * @param {string} projectRoot - Project the previews ran in
+ * @returns {TrackedChanges}
+ */
+export function parsePreviews(deployPreview, retrievePreview, projectRoot) {
+  const components = new Map();
+
+  const add = (entries, state, fileLevel) => {
+    for (const entry of entries || []) {
+      if (!entry?.type || !entry?.fullName || entry.ignored) continue;
+
+      const key = `${entry.type}:${entry.fullName}`;
+      if (!components.has(key)) {
+        components.set(key, []);
+      }
+      components.get(key).push({ state, paths: new Set(getEntryPaths(entry, projectRoot)), fileLevel });
+    }
+  };
+
+  // Both previews list the conflicts
+  add(deployPreview?.conflicts, SYNC_STATES.CONFLICT, false);
+  add(retrievePreview?.conflicts, SYNC_STATES.CONFLICT, false);
+  // A retrieve would delete local files of components deleted in the org
+  add(retrievePreview?.toDelete, SYNC_STATES.DELETED_IN_ORG, false);
+  add(retrievePreview?.toRetrieve, SYNC_STATES.ORG_CHANGED, false);
+  // Local deletions (deploy preview toDelete) have no local file to decorate
+  add(deployPreview?.toDeploy, SYNC_STATES.LOCAL_CHANGED, true);
+
+  return { components, count: components.size };
+}
+
+/**
+ * Check whether a change covers a local file
+ * Org changes cover every file of the component; local changes only the listed files, their
+ * -meta.xml companions and files in listed folders.
+ * @param {TrackedChange} change
+ * @param {string} filePath - Normalized local source file
+ * @returns {boolean}
+ */
+function coversFile(change, filePath) {
+  if (!change.fileLevel || change.paths.size === 0) {
+    return true;
+  }
+  for (const changedPath of change.paths) {
+    if (changedPath === filePath || changedPath === `${filePath}-meta.xml` || filePath.startsWith(`${changedPath}/`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the sync state of a local file from the tracked changes
+ * @param {TrackedChanges} changes
+ * @param {{filePath: string, name: string, type: string}} file
+ * @returns {string} One of SYNC_STATES - IN_SYNC when source tracking reports no change
+ */
+export function getTrackedState(changes, file) {
+  const filePath = normalizePath(file.filePath);
+  const states = new Set((changes.components.get(`${file.type}:${file.name}`) || [])
+    .filter((change) => coversFile(change, filePath))
+    .map((change) => change.state));
+
+  return STATE_PRIORITY.find((state) => states.has(state)) || SYNC_STATES.IN_SYNC;
+}
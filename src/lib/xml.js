@@ -0,0 +1,214 @@
+import { normalizeContent } from './content.js';
+
+/**
+ * Minimal XML utilities for Salesforce metadata files
+ * Parses metadata XML into a simple element tree and compares documents structurally,
+ * ignoring formatting, comments and the order of differently named sibling elements
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Tag name
+ * @property {Object<string, string>} attributes
+ * @property {Array<XmlElement | string>} children - Child elements and non-whitespace text
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Decode XML entities in text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text
+ * @returns {XmlElement} Root element
+ * @throws {Error} When the document is not well-formed
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let index = 0;
+
+  while (index < text.length) {
+    const current = stack[stack.length - 1];
+    const tagStart = text.indexOf('<', index);
+
+    // Text up to the next tag
+    const rawText = text.substring(index, tagStart === -1 ? text.length : tagStart);
+    if (rawText.trim()) {
+      current.children.push(decodeEntities(rawText.trim()));
+    }
+    if (tagStart === -1) break;
+
+    if (text.startsWith('<!--', tagStart)) {
+      index = skipPast(text, '-->', tagStart);
+    } else if (text.startsWith('<![CDATA[', tagStart)) {
+      const end = text.indexOf(']]>', tagStart);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      const cdata = text.substring(tagStart + 9, end);
+      if (cdata.trim()) current.children.push(cdata.trim());
+      index = end + 3;
+    } else if (text.startsWith('<?', tagStart)) {
+      index = skipPast(text, '?>', tagStart);
+    } else if (text.startsWith('<!', tagStart)) {
+      index = skipPast(text, '>', tagStart);
+    } else if (text.startsWith('</', tagStart)) {
+      const end = text.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated end tag');
+      const name = text.substring(tagStart + 2, end).trim();
+      if (stack.length < 2 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      index = end + 1;
+    } else {
+      const end = findTagEnd(text, tagStart);
+      const selfClosing = text[end - 1] === '/';
+      const body = text.substring(tagStart + 1, selfClosing ? end - 1 : end);
+      const element = parseTag(body);
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      index = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  const rootElement = root.children.find((child) => typeof child !== 'string');
+  if (!rootElement) {
+    throw new Error('No root element');
+  }
+  return rootElement;
+}
+
+/**
+ * Get the index just past a terminator
+ * @param {string} text
+ * @param {string} terminator
+ * @param {number} from
+ * @returns {number}
+ */
+function skipPast(text, terminator, from) {
+  const end = text.indexOf(terminator, from);
+  if (end === -1) throw new Error(`Missing "${terminator}"`);
+  return end + terminator.length;
+}
+
+/**
+ * Find the closing '>' of a start tag, skipping quoted attribute values
+ * @param {string} text
+ * @param {number} from - Index of '<'
+ * @returns {number}
+ */
+function findTagEnd(text, from) {
+  let quote = null;
+  for (let i = from + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  throw new Error('Unterminated start tag');
+}
+
+/**
+ * Parse the inside of a start tag (name and attributes)
+ * @param {string} body
+ * @returns {XmlElement}
+ */
+function parseTag(body) {
+  const nameMatch = body.match(/^\s*([^\s/>]+)/);
+  if (!nameMatch) throw new Error('Missing tag name');
+
+  const attributes = {};
+  const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(body.substring(nameMatch[0].length))) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+
+  return { name: nameMatch[1], attributes, children: [] };
+}
+
+/**
+ * Get the text content of an element's direct text children
+ * @param {XmlElement} element
+ * @returns {string}
+ */
+export function getText(element) {
+  return element.children.filter((child) => typeof child === 'string').join('');
+}
+
+/**
+ * Get the direct child elements, optionally filtered by name
+ * @param {XmlElement} element
+ * @param {string} [name]
+ * @returns {XmlElement[]}
+ */
+export function getChildren(element, name) {
+  return element.children.filter((child) => typeof child !== 'string' && (!name || child.name === name));
+}
+
+/**
+ * Serialize an element to a canonical single-line string
+ * Attributes are sorted, and child elements are stably sorted by tag name, so differently
+ * named siblings compare equal in any order while repeated elements keep their order.
+ * @param {XmlElement | string} node
+ * @returns {string}
+ */
+export function canonicalize(node) {
+  if (typeof node === 'string') {
+    return node;
+  }
+
+  const attributes = Object.keys(node.attributes)
+    .filter((name) => name !== 'xmlns' && !name.startsWith('xmlns:'))
+    .sort()
+    .map((name) => ` ${name}="${node.attributes[name]}"`)
+    .join('');
+
+  const children = node.children
+    .map((child, position) => ({ child, position }))
+    .sort((a, b) => {
+      const nameA = typeof a.child === 'string' ? '' : a.child.name;
+      const nameB = typeof b.child === 'string' ? '' : b.child.name;
+      return nameA === nameB ? a.position - b.position : (nameA < nameB ? -1 : 1);
+    })
+    .map(({ child }) => canonicalize(child))
+    .join('');
+
+  return `<${node.name}${attributes}>${children}</${node.name}>`;
+}
+
+/**
+ * Compare two XML documents structurally
+ * Falls back to a normalized text comparison when either side is not well-formed.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function xmlEquals(a, b) {
+  try {
+    return canonicalize(parseXml(a)) === canonicalize(parseXml(b));
+  } catch {
+    return normalizeContent(a) === normalizeContent(b);
+  }
+}
@@ -2,7 +2,9 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
 import * as shell from '../lib/shell.js';
+import * as sfApi from '../lib/sf-api.js';
 import * as logger from '../lib/logger.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
 import * as sourceTracking from './source-tracking.js';
 import * as coveragePanel from './coverage-panel.js';
 
@@ -11,7 +13,7 @@ import * as coveragePanel from './coverage-panel.js';
  * Fetches and displays Apex code coverage using Salesforce Tooling API
  */
 
-// Cache for coverage data
+// Cache for coverage data, keyed per SFDX project (each project can target a different org)
 const coverageCache = new Map();
 
 // Editor decorations for line coverage
@@ -81,12 +83,12 @@ export function initialize(context) {
 }
 
 /**
- * Check if file is an Apex class or trigger
+ * Check if file is an Apex class or trigger of the project (not excluded by .forceignore)
  * @param {string} filePath 
  * @returns {boolean}
  */
 function isApexFile(filePath) {
-  return filePath.endsWith('.cls') || filePath.endsWith('.trigger');
+  return (filePath.endsWith('.cls') || filePath.endsWith('.trigger')) && sfdxProject.isProjectSourceFile(filePath);
 }
 
 /**
@@ -146,15 +148,30 @@ function getApexName(filePath) {
   return null;
 }
 
+/**
+ * Get the coverage cache key of a class/trigger
+ * @param {string} apexName 
+ * @param {string} apexType 
+ * @param {string} filePath - Local file, resolves the SFDX project
+ * @param {string} [targetOrg] - Org other than the project's target org
+ * @returns {string}
+ */
+function getCoverageCacheKey(apexName, apexType, filePath, targetOrg) {
+  return `${targetOrg || sfdxProject.getProjectRoot(filePath)}:${apexType}:${apexName}`;
+}
+
 /**
  * Fetch aggregate coverage for a class/trigger
- * Uses Tooling API via sf data query
+ * Uses the Tooling API, against the target org of the file's SFDX project
  * @param {string} apexName 
  * @param {string} apexType - 'ApexClass' or 'ApexTrigger'
+ * @param {string} filePath - Local file of the class/trigger
+ * @param {string} [targetOrg] - Org username or alias, defaults to the project's target org
  * @returns {Promise<{covered: number, uncovered: number, percentage: number, coveredLines: number[], uncoveredLines: number[]}|null>}
  */
-export async function getAggregateCoverage(apexName, apexType = 'ApexClass') {
-  const cacheKey = `${apexType}:${apexName}`;
+export async function getAggregateCoverage(apexName, apexType = 'ApexClass', filePath, targetOrg) {
+  const cacheKey = getCoverageCacheKey(apexName, apexType, filePath, targetOrg);
+  const cwd = sfdxProject.getProjectRoot(filePath);
   
   // Check cache (valid for 5 minutes)
   const cached = coverageCache.get(cacheKey);
@@ -162,7 +179,9 @@ export async function getAggregateCoverage(apexName, apexType = 'ApexClass') {
     return cached.data;
   }
 
-  const orgStatus = sourceTracking.getCachedOrgConnection();
+  const orgStatus = targetOrg
+    ? await sourceTracking.checkOrgConnection(filePath, targetOrg)
+    : sourceTracking.getCachedOrgConnection(filePath);
   if (!orgStatus.connected) {
     return null;
   }
@@ -170,11 +189,7 @@ export async function getAggregateCoverage(apexName, apexType = 'ApexClass') {
   try {
     // First get the ApexClass/ApexTrigger ID
     const idQuery = `SELECT Id FROM ${apexType} WHERE Name = '${apexName}' LIMIT 1`;
-    const idResult = await shell.execCommandWithTimeout(
-      `sf data query --query "${idQuery}" --json`,
-      15000
-    );
-    const idData = JSON.parse(idResult);
+    const idData = await sfApi.query(idQuery, { cwd, targetOrg, timeoutMs: 15000 });
     
     if (idData.status !== 0 || !idData.result?.records?.length) {
       return null;
@@ -185,11 +200,7 @@ export async function getAggregateCoverage(apexName, apexType = 'ApexClass') {
     // Query aggregate coverage from Tooling API
     const coverageQuery = `SELECT ApexClassOrTriggerId, NumLinesCovered, NumLinesUncovered, Coverage FROM ApexCodeCoverageAggregate WHERE ApexClassOrTriggerId = '${apexId}'`;
     
-    const result = await shell.execCommandWithTimeout(
-      `sf data query --query "${coverageQuery}" --use-tooling-api --json`,
-      15000
-    );
-    const data = JSON.parse(result);
+    const data = await sfApi.query(coverageQuery, { cwd, targetOrg, tooling: true, timeoutMs: 15000 });
 
     if (data.status !== 0 || !data.result?.records?.length) {
       // No coverage data - might not have run tests yet
@@ -278,7 +289,7 @@ export async function updateCoverageDisplay(editor) {
   logger.log(`Fetching coverage for ${apexName} (${apexType})...`);
   
   // Fetch coverage
-  const coverage = await getAggregateCoverage(apexName, apexType);
+  const coverage = await getAggregateCoverage(apexName, apexType, filePath);
   
   if (!coverage) {
     logger.log(`No coverage returned for ${apexName}`);
@@ -398,7 +409,7 @@ export async function showCoverageForFile(editor) {
   // Show loading state
   vscode.window.setStatusBarMessage('$(sync~spin) Loading coverage...', 3000);
   
-  const coverage = await getAggregateCoverage(apexName, apexType);
+  const coverage = await getAggregateCoverage(apexName, apexType, filePath);
   if (coverage && !coverage.noData) {
     // Enable coverage visible flag
     coverageVisible = true;
@@ -431,7 +442,7 @@ export async function toggleCoverage() {
       // Show loading state
       vscode.window.setStatusBarMessage('$(sync~spin) Loading coverage...', 3000);
       
-      const coverage = await getAggregateCoverage(apexName, apexType);
+      const coverage = await getAggregateCoverage(apexName, apexType, filePath);
       if (coverage && !coverage.noData) {
         applyLineDecorations(editor, coverage);
         vscode.window.setStatusBarMessage('$(eye) Coverage highlighting enabled', 2000);
@@ -463,7 +474,7 @@ export async function refreshCoverage() {
   const apexType = filePath.endsWith('.trigger') ? 'ApexTrigger' : 'ApexClass';
   
   // Clear cache to force refresh
-  coverageCache.delete(`${apexType}:${apexName}`);
+  coverageCache.delete(getCoverageCacheKey(apexName, apexType, filePath));
   
   // Show loading state in status bar
   if (coverageStatusBarItem) {
@@ -522,7 +533,7 @@ export async function runCurrentTestClass() {
 
     if (action?.value === 'find') {
       // Try to find test classes that might test this class
-      await findAndRunTestsForClass(apexName);
+      await findAndRunTestsForClass(apexName, filePath);
     } else if (action?.value === 'all') {
       await runAllLocalTests();
     }
@@ -533,14 +544,15 @@ export async function runCurrentTestClass() {
   await editor.document.save();
 
   // Run the test class
-  await runTestClass(apexName);
+  await runTestClass(apexName, filePath);
 }
 
 /**
  * Find and run tests for a non-test class
  * @param {string} className 
+ * @param {string} filePath - Local file of the class, resolves the SFDX project
  */
-async function findAndRunTestsForClass(className) {
+async function findAndRunTestsForClass(className, filePath) {
   // Common naming patterns for test classes
   const possibleTestNames = [
     `${className}Test`,
@@ -578,14 +590,15 @@ async function findAndRunTestsForClass(className) {
     if (!testClassName) return;
   }
 
-  await runTestClass(testClassName);
+  await runTestClass(testClassName, filePath);
 }
 
 /**
  * Run a specific test class and show results
  * @param {string} testClassName 
+ * @param {string} filePath - Local file the run was started from, resolves the SFDX project
  */
-async function runTestClass(testClassName) {
+async function runTestClass(testClassName, filePath) {
   // Create output channel for test results
   const outputChannel = vscode.window.createOutputChannel('SF Apex Tests', 'log');
   outputChannel.show(true);
@@ -612,7 +625,8 @@ async function runTestClass(testClassName) {
       // Run the test with JSON output for parsing
       const result = await shell.execCommandWithTimeout(
         `sf apex run test --class-names ${testClassName} --code-coverage --result-format json --wait 10`,
-        600000 // 10 minute timeout
+        600000, // 10 minute timeout
+        { cwd: sfdxProject.getProjectRoot(filePath) }
       );
       
       const testResult = JSON.parse(result);
@@ -803,6 +817,9 @@ export async function runAllLocalTests() {
     return;
   }
 
+  // Keep polling the same project's org even if the active editor changes meanwhile
+  const cwd = sfdxProject.getActiveProjectRoot();
+
   // Create output channel for test results
   const outputChannel = vscode.window.createOutputChannel('SF Apex Tests', 'log');
   outputChannel.show(true);
@@ -832,7 +849,8 @@ export async function runAllLocalTests() {
       
       const submitResult = await shell.execCommandWithTimeout(
         `sf apex run test --test-level RunLocalTests --result-format json --json`,
-        60000 // 1 minute to submit
+        60000, // 1 minute to submit
+        { cwd, token }
       );
       
       const submitData = JSON.parse(submitResult);
@@ -874,12 +892,7 @@ export async function runAllLocalTests() {
         try {
           // Query test run status using correct ApexTestRunResult fields
           const statusQuery = `SELECT Id, Status, MethodsCompleted, MethodsEnqueued, MethodsFailed FROM ApexTestRunResult WHERE AsyncApexJobId = '${testRunId}' LIMIT 1`;
-          const statusResult = await shell.execCommandWithTimeout(
-            `sf data query --query "${statusQuery}" --use-tooling-api --json`,
-            30000
-          );
-          
-          const statusData = JSON.parse(statusResult);
+          const statusData = await sfApi.query(statusQuery, { cwd, tooling: true, token });
           const record = statusData.result?.records?.[0];
           
           if (record) {
@@ -938,7 +951,7 @@ export async function runAllLocalTests() {
       outputChannel.appendLine('📥 Fetching detailed results...');
       
       const resultCmd = `sf apex get test --test-run-id ${testRunId} --code-coverage --result-format json`;
-      const finalResult = await shell.execCommandWithTimeout(resultCmd, 120000); // 2 min timeout
+      const finalResult = await shell.execCommandWithTimeout(resultCmd, 120000, { cwd, token }); // 2 min timeout
       
       const testResult = JSON.parse(finalResult);
       
@@ -958,6 +971,15 @@ export async function runAllLocalTests() {
       }
       
     } catch (error) {
+      // Cancelling kills the running CLI command or API request, which rejects here
+      if (token.isCancellationRequested) {
+        outputChannel.appendLine('');
+        outputChannel.appendLine('⚠️ Test run cancelled by user');
+        outputChannel.appendLine('   Note: Tests may still be running in the org.');
+        vscode.window.showWarningMessage('Test run cancelled. Tests may still be running in the org.');
+        return;
+      }
+
       outputChannel.appendLine('');
       outputChannel.appendLine(`❌ ERROR: ${error.message}`);
       outputChannel.appendLine('');
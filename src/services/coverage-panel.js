@@ -1,8 +1,9 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
-import * as shell from '../lib/shell.js';
+import * as sfApi from '../lib/sf-api.js';
 import * as logger from '../lib/logger.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
 import * as sourceTracking from './source-tracking.js';
 import * as codeCoverage from './code-coverage.js';
 
@@ -307,11 +308,12 @@ function getTimeAgo(date) {
 }
 
 /**
- * Find all Apex files in the workspace
+ * Find all Apex files in an SFDX project's package directories
+ * @param {string} projectRoot
  */
-async function findApexFiles() {
-  const classFiles = await vscode.workspace.findFiles('**/classes/*.cls', '**/node_modules/**');
-  const triggerFiles = await vscode.workspace.findFiles('**/triggers/*.trigger', '**/node_modules/**');
+async function findApexFiles(projectRoot) {
+  const classFiles = await sfdxProject.findProjectFiles('**/classes/*.cls', undefined, projectRoot);
+  const triggerFiles = await sfdxProject.findProjectFiles('**/triggers/*.trigger', undefined, projectRoot);
   
   const files = [];
   
@@ -352,8 +354,11 @@ function isTestClass(name, filePath) {
 
 /**
  * Fetch coverage for all classes from org
+ * Covers the active SFDX project, against its target org.
  */
 async function fetchAllCoverage() {
+  const projectRoot = sfdxProject.getActiveProjectRoot();
+
   // Always try to check connection fresh when fetching coverage
   let orgStatus;
   try {
@@ -377,12 +382,7 @@ async function fetchAllCoverage() {
     // Query all aggregate coverage data at once
     const query = `SELECT ApexClassOrTrigger.Name, ApexClassOrTriggerId, NumLinesCovered, NumLinesUncovered FROM ApexCodeCoverageAggregate`;
     
-    const result = await shell.execCommandWithTimeout(
-      `sf data query --query "${query}" --use-tooling-api --json`,
-      60000
-    );
-    
-    const data = JSON.parse(result);
+    const data = await sfApi.query(query, { cwd: projectRoot, tooling: true, timeoutMs: 60000 });
     
     if (data.status !== 0 || !data.result?.records) {
       logger.log('Failed to fetch coverage data');
@@ -392,7 +392,7 @@ async function fetchAllCoverage() {
     }
     
     // Find local files to match
-    const localFiles = await findApexFiles();
+    const localFiles = await findApexFiles(projectRoot);
     const localFileMap = new Map();
     localFiles.forEach(f => localFileMap.set(f.name.toLowerCase(), f));
     
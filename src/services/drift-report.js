@@ -0,0 +1,288 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import * as logger from '../lib/logger.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { findOrgOnlyComponents } from '../lib/org-inventory.js';
+import { countChangedLines } from '../lib/merge.js';
+import { SYNC_STATES } from '../lib/constants.js';
+import {
+  DRIFT_CATEGORIES,
+  CHANGED_LINES_UNKNOWN,
+  classifyComponent,
+  sumChangedLines,
+  buildReport,
+  toMarkdown,
+  toJson,
+} from '../lib/drift-report.js';
+import * as sourceTracking from './source-tracking.js';
+import * as fileDecorations from './file-decorations.js';
+import * as orgDiff from './org-diff.js';
+
+/**
+ * Drift report service
+ * Writes a Markdown or JSON report classifying every component of the active project against
+ * its target org: local-only, org-only, differing (local newer, org newer, conflict) or in sync
+ */
+
+// Components per status query (same batch size as the workspace scan)
+const STATUS_BATCH_SIZE = 50;
+
+// File states whose content differs from the org - only these get their changed lines counted
+const CONTENT_CHANGE_STATES = new Set([
+  SYNC_STATES.CONFLICT,
+  SYNC_STATES.ORG_CHANGED,
+  SYNC_STATES.LOCAL_CHANGED,
+  SYNC_STATES.INACTIVE_VERSION,
+]);
+
+/**
+ * Get the org status and compare result of every local file
+ * Files the workspace scan already compared are not compared again.
+ * @param {Array<{filePath: string, name: string, type: string}>} files
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @returns {Promise<Map<string, Object>>} Map of filePath -> org status
+ */
+async function compareFiles(files, progress) {
+  const filesByType = new Map();
+  for (const file of files) {
+    if (!filesByType.has(file.type)) {
+      filesByType.set(file.type, []);
+    }
+    filesByType.get(file.type).push(file);
+  }
+
+  const statuses = new Map();
+  let processed = 0;
+  for (const [type, typeFiles] of filesByType) {
+    for (let i = 0; i < typeFiles.length; i += STATUS_BATCH_SIZE) {
+      const batch = typeFiles.slice(i, i + STATUS_BATCH_SIZE);
+      progress.report({ message: `${type}: ${processed}/${files.length} files` });
+
+      const batchStatuses = await sourceTracking.batchGetFileOrgStatus(type, batch);
+      batchStatuses.forEach((status, filePath) => statuses.set(filePath, status));
+
+      const uncompared = batch.filter((file) => !batchStatuses.get(file.filePath)?.error &&
+        !sourceTracking.getFileDiffStatus(file.filePath).isCompared);
+      if (uncompared.length > 0) {
+        try {
+          await sourceTracking.batchCompareFilesWithOrg(uncompared);
+        } catch (error) {
+          logger.log(`Drift report compare failed for ${type}: ${error.message}`, 'WARN');
+        }
+      }
+      processed += batch.length;
+    }
+  }
+
+  return statuses;
+}
+
+/**
+ * Count the lines changed locally in the files whose content differs from the org
+ * The org versions are fetched again here, so workspace scans never pay for the line diff.
+ * @param {Array<{filePath: string, name: string, type: string}>} files
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @returns {Promise<Map<string, {added: number, removed: number} | 'n/a'>>} Map of filePath -> changed lines
+ */
+async function countChangedLinesByFile(files, progress) {
+  const changedFiles = files.filter((file) => {
+    const diffStatus = sourceTracking.getFileDiffStatus(file.filePath);
+    return !diffStatus.isNew && CONTENT_CHANGE_STATES.has(diffStatus.syncState);
+  });
+
+  const counts = new Map();
+  if (changedFiles.length === 0) {
+    return counts;
+  }
+
+  const contents = await sourceTracking.fetchOrgContents(changedFiles, undefined, (current, total) => {
+    progress.report({ message: `Counting changed lines: ${current}/${total} files` });
+  });
+  for (const file of changedFiles) {
+    const orgContent = contents.get(file.filePath)?.content;
+    if (typeof orgContent !== 'string') continue;
+
+    try {
+      const localContent = fs.readFileSync(file.filePath, 'utf8');
+      counts.set(file.filePath, countChangedLines(orgContent, localContent) || CHANGED_LINES_UNKNOWN);
+    } catch (error) {
+      logger.log(`Could not count changed lines of ${file.filePath}: ${error.message}`, 'WARN');
+    }
+  }
+  return counts;
+}
+
+/**
+ * Classify the local components from their files' status and compare results
+ * @param {Array<{filePath: string, name: string, type: string}>} files
+ * @param {Map<string, Object>} statuses - Map of filePath -> org status
+ * @param {Map<string, Object>} changedLines - Map of filePath -> changed lines (see countChangedLinesByFile)
+ * @param {string} projectRoot
+ * @returns {import('../lib/drift-report.js').DriftEntry[]}
+ */
+function classifyLocalComponents(files, statuses, changedLines, projectRoot) {
+  // Bundle files roll up into their component
+  const components = new Map();
+  for (const file of files) {
+    const key = `${file.type}:${file.name}`;
+    if (!components.has(key)) {
+      components.set(key, { type: file.type, name: file.name, files: [] });
+    }
+    components.get(key).files.push(file.filePath);
+  }
+
+  return [...components.values()].map(({ type, name, files: filePaths }) => {
+    const status = statuses.get(filePaths[0]) || { error: 'Not queried' };
+    const orgStatus = status.error === 'Component not found in org' ? { missing: true, deletedInOrg: status.deletedInOrg } : status;
+    const diffStatuses = filePaths.map((filePath) => sourceTracking.getFileDiffStatus(filePath));
+
+    return {
+      type,
+      name,
+      category: classifyComponent(orgStatus, diffStatuses),
+      // Components deleted in the org report their last known org version
+      lastModifiedBy: status.lastModifiedBy ?? status.lastSync?.lastModifiedBy,
+      lastModifiedDate: status.lastModifiedDate ?? status.lastSync?.lastModifiedDate,
+      changedLines: sumChangedLines(filePaths.map((filePath) => changedLines.get(filePath))),
+      files: filePaths.map((filePath) => path.relative(projectRoot, filePath).replace(/\\/g, '/')),
+    };
+  });
+}
+
+/**
+ * List the org components of the project's types that have no local counterpart
+ * @param {Array<{name: string, type: string}>} files - Local files
+ * @param {string} projectRoot
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @returns {Promise<{entries: import('../lib/drift-report.js').DriftEntry[], unlistedTypes: string[]}>}
+ *   unlistedTypes could not be listed, so their org-only components are missing from entries
+ */
+async function findOrgOnlyEntries(files, projectRoot, progress) {
+  const childTypes = new Set(metadataRegistry.getMetadataTypes()
+    .filter((definition) => definition.parentDirectory)
+    .map((definition) => definition.type));
+
+  // Only types the project tracks - a project without profiles does not care about the org's profiles
+  const orgComponents = [];
+  const unlistedTypes = [];
+  for (const type of new Set(files.map((file) => file.type))) {
+    progress.report({ message: `Listing ${type} components in the org...` });
+    try {
+      orgComponents.push(...await sourceTracking.listOrgComponents(type, projectRoot));
+    } catch (error) {
+      logger.log(`Drift report could not list ${type}: ${error.message}`, 'WARN');
+      unlistedTypes.push(type);
+    }
+  }
+
+  const entries = findOrgOnlyComponents(orgComponents, files, childTypes).map((component) => ({
+    type: component.type,
+    name: component.name,
+    category: DRIFT_CATEGORIES.ORG_ONLY,
+    lastModifiedBy: component.lastModifiedBy,
+    lastModifiedDate: component.lastModifiedDate,
+    changedLines: null,
+    files: [],
+  }));
+  return { entries, unlistedTypes };
+}
+
+/**
+ * Save a report and open it
+ * @param {import('../lib/drift-report.js').DriftReport} report
+ * @param {string} projectRoot - Default save location
+ */
+async function saveReport(report, projectRoot) {
+  const format = await vscode.window.showQuickPick([
+    { label: '$(markdown) Markdown', description: 'For release checklists', value: 'md' },
+    { label: '$(json) JSON', description: 'For scripts and CI', value: 'json' },
+  ], {
+    placeHolder: 'Select report format',
+  });
+  if (!format) return;
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(projectRoot, `drift-report-${report.generatedAt.split('T')[0]}.${format.value}`)),
+    filters: format.value === 'md'
+      ? { 'Markdown Files': ['md'], 'All Files': ['*'] }
+      : { 'JSON Files': ['json'], 'All Files': ['*'] },
+    title: 'Save Drift Report',
+  });
+  if (!uri) return;
+
+  try {
+    fs.writeFileSync(uri.fsPath, format.value === 'md' ? toMarkdown(report) : toJson(report), 'utf8');
+  } catch (error) {
+    vscode.window.showErrorMessage(`Failed to save drift report: ${error.message}`);
+    return;
+  }
+
+  if (format.value === 'md') {
+    await vscode.commands.executeCommand('markdown.showPreview', uri);
+  } else {
+    await vscode.window.showTextDocument(uri);
+  }
+}
+
+/**
+ * Generate a drift report for the active SFDX project against its target org
+ */
+export async function generateDriftReport() {
+  const projectRoot = sfdxProject.getActiveProjectRoot();
+  if (!projectRoot) {
+    vscode.window.showWarningMessage('Open a Salesforce DX project to generate a drift report.');
+    return;
+  }
+
+  const orgStatus = await sourceTracking.checkOrgConnection();
+  if (!orgStatus.connected) {
+    vscode.window.showErrorMessage(`Cannot generate a drift report: ${orgStatus.error || 'not connected to an org'}`);
+    return;
+  }
+
+  const orgLabel = orgStatus.alias || orgStatus.username;
+  let report;
+  try {
+    report = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Drift Report (${orgLabel})`,
+      cancellable: false,
+    }, async (progress) => {
+      progress.report({ message: 'Finding project files...' });
+      const files = await orgDiff.findFilesToCompare();
+      const statuses = await compareFiles(files, progress);
+      const changedLines = await countChangedLinesByFile(files, progress);
+      const orgOnly = await findOrgOnlyEntries(files, projectRoot, progress);
+
+      return buildReport({
+        project: path.basename(projectRoot),
+        org: orgLabel,
+        entries: [
+          ...classifyLocalComponents(files, statuses, changedLines, projectRoot),
+          ...orgOnly.entries,
+        ],
+        unlistedTypes: orgOnly.unlistedTypes,
+      });
+    });
+  } catch (error) {
+    logger.log(`Drift report failed: ${error.message}`, 'WARN');
+    vscode.window.showErrorMessage(`Could not generate the drift report: ${error.message}`);
+    return;
+  }
+
+  // Files compared for the report now have fresh decorations
+  fileDecorations.refreshDecorations();
+
+  const { summary } = report;
+  logger.log(`Drift report for ${report.project} against ${orgLabel}: ${report.entries.length} components, ` +
+    `${summary[DRIFT_CATEGORIES.IN_SYNC]} in sync, ${summary[DRIFT_CATEGORIES.ORG_ONLY]} org-only, ` +
+    `${summary[DRIFT_CATEGORIES.LOCAL_ONLY]} local-only`);
+  if (report.unlistedTypes.length > 0) {
+    vscode.window.showWarningMessage(`Drift report: could not list ${report.unlistedTypes.join(', ')} in ${orgLabel}, ` +
+      'so the Org Only count is incomplete.');
+  }
+
+  await saveReport(report, projectRoot);
+}
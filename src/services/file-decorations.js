@@ -2,7 +2,24 @@ import * as vscode from 'vscode';
 import * as sourceTracking from './source-tracking.js';
 import * as statusBar from './status-bar.js';
 import * as logger from '../lib/logger.js';
-import { SALESFORCE_PATHS, SALESFORCE_EXTENSIONS } from '../lib/constants.js';
+import * as jobQueue from '../lib/job-queue.js';
+import { SYNC_STATES } from '../lib/constants.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { COMPARE_STRATEGIES } from '../lib/metadata-registry.js';
+import { formatDrift } from '../lib/permissions.js';
+import { formatFlowVersions } from '../lib/flow.js';
+import { formatMetaDrift } from '../lib/meta-xml.js';
+
+// Maximum number of differing permission entries listed in a tooltip
+const MAX_DRIFT_IN_TOOLTIP = 5;
+
+// Neutral decoration for files excluded by .forceignore
+const IGNORED_DECORATION = new vscode.FileDecoration(
+  '⊘', // Badge: circle-slash for ignored
+  '⊘ Ignored by .forceignore - not deployed, retrieved or compared',
+  new vscode.ThemeColor('gitDecoration.ignoredResourceForeground') // Subtle gray
+);
 
 /**
  * File Decoration Provider for Salesforce files
@@ -36,11 +53,26 @@ class SalesforceFileDecorationProvider {
 
     const filePath = uri.fsPath;
 
+    // Files outside an SFDX project's package directories (.sfdx, scratch folders, ...) are not project source
+    if (!sfdxProject.isInPackageDirectory(filePath)) {
+      return undefined;
+    }
+
+    // LWC/Aura bundle folders roll up the state of their files
+    if (metadataRegistry.isBundleFolder(filePath)) {
+      return sfdxProject.isIgnored(filePath) ? IGNORED_DECORATION : this._provideBundleDecoration(filePath);
+    }
+
     // Only decorate Salesforce metadata files
     if (!this._isSalesforceFile(filePath)) {
       return undefined;
     }
 
+    // Excluded from deploy and retrieve - nothing to compare
+    if (sfdxProject.isIgnored(filePath)) {
+      return IGNORED_DECORATION;
+    }
+
     // For meta.xml files, use the parent file path for both cache and query
     const parentFilePath = this._getParentFilePath(filePath);
 
@@ -51,7 +83,7 @@ class SalesforceFileDecorationProvider {
     }
 
     // Check org connection (use cached if available)
-    const orgStatus = sourceTracking.getCachedOrgConnection();
+    const orgStatus = sourceTracking.getCachedOrgConnection(filePath);
     if (!orgStatus.connected) {
       // Don't show decoration if not connected
       return undefined;
@@ -66,7 +98,15 @@ class SalesforceFileDecorationProvider {
 
     let decoration;
 
-    if (fileStatus.error === 'Component not found in org') {
+    if (fileStatus.deletedInOrg || diffStatus.syncState === SYNC_STATES.DELETED_IN_ORG) {
+      // Existed in the org at the last sync - deleted there since (Red D)
+      const lastSync = fileStatus.lastSync ? ` (${fileStatus.lastSync.operation} ${sourceTracking.formatDate(fileStatus.lastSync.syncedAt)})` : '';
+      decoration = new vscode.FileDecoration(
+        'D', // Badge: D for deleted, like git
+        `🗑️ Deleted in org • Existed in the org at the last sync${lastSync} • Right-click → Resolve Deleted in Org to redeploy or delete locally`,
+        new vscode.ThemeColor('list.errorForeground')
+      );
+    } else if (fileStatus.error === 'Component not found in org' || diffStatus.isNew) {
       // New file - not in org yet (Green + plus sign)
       decoration = new vscode.FileDecoration(
         '+', // Badge: plus for new
@@ -76,20 +116,44 @@ class SalesforceFileDecorationProvider {
     } else if (fileStatus.error) {
       // Error checking - skip decoration
       return undefined;
-    } else if (diffStatus.hasDifference && diffStatus.isOrgNewer) {
-      // Org has newer version - needs to be pulled (Red download arrow)
+    } else if (diffStatus.syncState === SYNC_STATES.CONFLICT) {
+      // Both sides changed since the last sync - neither deploy nor retrieve is safe
+      const timeAgo = sourceTracking.formatDate(fileStatus.lastModifiedDate);
+      decoration = new vscode.FileDecoration(
+        '!', // Badge: exclamation for conflict
+        `⚠️ Conflict • Changed locally and in org by ${fileStatus.lastModifiedBy} (${timeAgo}) since last sync${formatDriftTooltip(diffStatus.drift)}${formatMetaTooltip(diffStatus.metaDrift)}${formatFlowTooltip(fileStatus)} • Right-click → Compare with Org to view changes`,
+        new vscode.ThemeColor('gitDecoration.conflictingResourceForeground') // Purple/Red
+      );
+    } else if (diffStatus.syncState === SYNC_STATES.INACTIVE_VERSION) {
+      // Flow matches an org version that isn't active - deployed but never activated, or rolled back
+      const { versionNumber, status } = diffStatus.flowMatch;
+      decoration = new vscode.FileDecoration(
+        'v', // Badge: v for version
+        `🔀 Matches inactive org version v${versionNumber} (${status}), not the active version • ${formatFlowVersions(fileStatus.flowVersions)} • Right-click → Compare with Org to view changes`,
+        new vscode.ThemeColor('gitDecoration.stageModifiedResourceForeground')
+      );
+    } else if (diffStatus.syncState === SYNC_STATES.METADATA_DIFFERS) {
+      // Source matches, but -meta.xml settings differ (apiVersion, trigger status, ...)
+      const statusDiffers = diffStatus.metaDrift.some((entry) => entry.field === 'status');
+      decoration = new vscode.FileDecoration(
+        'm', // Badge: m for metadata
+        `${statusDiffers ? '⚠️' : '⚙️'} Metadata differs: ${diffStatus.metaDrift.map(formatMetaDrift).join(', ')} (org → local) • Source matches the org • Right-click the -meta.xml → Compare with Org to view changes`,
+        new vscode.ThemeColor(statusDiffers ? 'gitDecoration.conflictingResourceForeground' : 'gitDecoration.modifiedResourceForeground')
+      );
+    } else if (diffStatus.syncState === SYNC_STATES.ORG_CHANGED) {
+      // Org changed since the last sync - needs to be pulled (Red download arrow)
       const timeAgo = sourceTracking.formatDate(fileStatus.lastModifiedDate);
       decoration = new vscode.FileDecoration(
         '↓', // Badge: down arrow for pull needed
-        `⬇️ Org has newer version • Modified by ${fileStatus.lastModifiedBy} (${timeAgo}) - Pull to update local`,
+        `⬇️ Org changed since last sync • Modified by ${fileStatus.lastModifiedBy} (${timeAgo}) - Pull to update local${formatDriftTooltip(diffStatus.drift)}${formatMetaTooltip(diffStatus.metaDrift)}${formatFlowTooltip(fileStatus)} • Right-click → Compare with Org to view changes`,
         new vscode.ThemeColor('gitDecoration.deletedResourceForeground') // Red
       );
     } else if (diffStatus.hasDifference) {
-      // Local has changes - needs to be pushed (Yellow warning)
+      // Local changed since the last sync - needs to be pushed (Yellow warning)
       const timeAgo = sourceTracking.formatDate(fileStatus.lastModifiedDate);
       decoration = new vscode.FileDecoration(
         '↑', // Badge: up arrow for push needed
-        `⬆️ Local changes • Push to update org (last org version by ${fileStatus.lastModifiedBy}, ${timeAgo})`,
+        `⬆️ Local changes • Push to update org (last org version by ${fileStatus.lastModifiedBy}, ${timeAgo})${formatDriftTooltip(diffStatus.drift)}${formatMetaTooltip(diffStatus.metaDrift)}${formatFlowTooltip(fileStatus)} • Right-click → Compare with Org to view changes`,
         new vscode.ThemeColor('gitDecoration.modifiedResourceForeground') // Yellow/Orange
       );
     } else if (diffStatus.isCompared && fileStatus.lastModifiedBy) {
@@ -97,7 +161,7 @@ class SalesforceFileDecorationProvider {
       const timeAgo = sourceTracking.formatDate(fileStatus.lastModifiedDate);
       decoration = new vscode.FileDecoration(
         '✓', // Badge: checkmark for synced
-        `☁️ In sync with org • Last modified by ${fileStatus.lastModifiedBy} (${timeAgo})`,
+        `☁️ In sync with org • Last modified by ${fileStatus.lastModifiedBy} (${timeAgo})${formatFlowTooltip(fileStatus)}`,
         new vscode.ThemeColor('gitDecoration.ignoredResourceForeground') // Subtle gray
       );
     }
@@ -114,6 +178,69 @@ class SalesforceFileDecorationProvider {
     return decoration;
   }
 
+  /**
+   * Provide the rollup decoration for an LWC/Aura bundle folder
+   * The folder shows the most urgent state among its compared files.
+   * @param {string} folderPath 
+   * @returns {vscode.FileDecoration | undefined}
+   */
+  _provideBundleDecoration(folderPath) {
+    if (!sourceTracking.getCachedOrgConnection(folderPath).connected) {
+      return undefined;
+    }
+
+    const statuses = [...sourceTracking.getFolderDiffStatuses(folderPath).values()];
+    if (statuses.length === 0) {
+      return undefined;
+    }
+
+    const count = (predicate) => statuses.filter(predicate).length;
+    const conflicts = count((status) => status.syncState === SYNC_STATES.CONFLICT);
+    const orgChanged = count((status) => status.syncState === SYNC_STATES.ORG_CHANGED);
+    const localChanged = count((status) => status.hasDifference && status.syncState !== SYNC_STATES.CONFLICT &&
+      status.syncState !== SYNC_STATES.ORG_CHANGED && status.syncState !== SYNC_STATES.DELETED_IN_ORG);
+    const newFiles = count((status) => status.isNew);
+    const deletedFiles = count((status) => status.syncState === SYNC_STATES.DELETED_IN_ORG);
+
+    const parts = [];
+    if (conflicts > 0) parts.push(`${conflicts} in conflict`);
+    if (deletedFiles > 0) parts.push(`${deletedFiles} deleted in org`);
+    if (orgChanged > 0) parts.push(`${orgChanged} changed in org`);
+    if (localChanged > 0) parts.push(`${localChanged} changed locally`);
+    if (newFiles > 0) parts.push(`${newFiles} not in org yet`);
+    const summary = `📦 Bundle • ${statuses.length} ${statuses.length === 1 ? 'file' : 'files'} compared` +
+      (parts.length ? `: ${parts.join(', ')}` : ', all in sync with org');
+
+    if (conflicts > 0) {
+      return new vscode.FileDecoration('!', summary, new vscode.ThemeColor('gitDecoration.conflictingResourceForeground'));
+    }
+    if (deletedFiles > 0) {
+      return new vscode.FileDecoration('D', summary, new vscode.ThemeColor('list.errorForeground'));
+    }
+    if (orgChanged > 0) {
+      return new vscode.FileDecoration('↓', summary, new vscode.ThemeColor('gitDecoration.deletedResourceForeground'));
+    }
+    if (localChanged > 0) {
+      return new vscode.FileDecoration('↑', summary, new vscode.ThemeColor('gitDecoration.modifiedResourceForeground'));
+    }
+    if (newFiles > 0) {
+      return new vscode.FileDecoration('+', summary, new vscode.ThemeColor('gitDecoration.untrackedResourceForeground'));
+    }
+    return new vscode.FileDecoration('✓', summary, new vscode.ThemeColor('gitDecoration.ignoredResourceForeground'));
+  }
+
+  /**
+   * Fire a decoration change for the bundle folder a file belongs to
+   * @param {vscode.Uri} uri - File inside the bundle
+   */
+  _refreshBundleFolder(uri) {
+    const bundleFilePath = metadataRegistry.getBundleFilePath(uri.fsPath);
+    if (bundleFilePath !== null) {
+      const folderPath = uri.fsPath.slice(0, uri.fsPath.length - bundleFilePath.length - 1);
+      this._onDidChangeFileDecorations.fire(vscode.Uri.file(folderPath));
+    }
+  }
+
   /**
    * Get the parent file path for a meta.xml file
    * @param {string} filePath 
@@ -121,7 +248,7 @@ class SalesforceFileDecorationProvider {
    */
   _getParentFilePath(filePath) {
     // If it's a meta file like "MyClass.cls-meta.xml", return "MyClass.cls"
-    return filePath.endsWith('-meta.xml') ? filePath.replace('-meta.xml', '') : filePath;
+    return metadataRegistry.getSourceFilePath(filePath);
   }
 
   /**
@@ -130,12 +257,7 @@ class SalesforceFileDecorationProvider {
    * @returns {boolean}
    */
   _isSalesforceFile(filePath) {
-    if (!filePath) return false;
-
-    const isInSfPath = SALESFORCE_PATHS.some((p) => filePath.includes(p));
-    const hasSfExtension = SALESFORCE_EXTENSIONS.some((ext) => filePath.endsWith(ext));
-
-    return isInSfPath && hasSfExtension;
+    return metadataRegistry.isTrackedFile(filePath);
   }
 
   /**
@@ -146,6 +268,7 @@ class SalesforceFileDecorationProvider {
     if (uri) {
       this._decorationCache.delete(uri.fsPath);
       this._onDidChangeFileDecorations.fire(uri);
+      this._refreshBundleFolder(uri);
     }
   }
 
@@ -188,62 +311,90 @@ class SalesforceFileDecorationProvider {
   }
 }
 
-// Singleton instance
-let decorationProvider = null;
-let disposables = [];
+/**
+ * Format differing permission entries for a decoration tooltip
+ * @param {Array} [drift] - Permission drift entries from the diff status
+ * @returns {string} Tooltip fragment, empty when there is no drift
+ */
+function formatDriftTooltip(drift) {
+  if (!drift?.length) {
+    return '';
+  }
+
+  const listed = drift.slice(0, MAX_DRIFT_IN_TOOLTIP).map(formatDrift).join('; ');
+  const more = drift.length > MAX_DRIFT_IN_TOOLTIP ? ` (+${drift.length - MAX_DRIFT_IN_TOOLTIP} more)` : '';
+  return ` • ${drift.length} permission ${drift.length === 1 ? 'entry differs' : 'entries differ'}: ${listed}${more}`;
+}
 
 /**
- * Pre-fetch all Salesforce files in the workspace and warm up the cache
- * Uses a pipelined approach: metadata query + content comparison run in parallel
- * As soon as a batch's metadata is fetched, its content comparison starts immediately
+ * Format -meta.xml differences for a decoration tooltip
+ * @param {Array} [metaDrift] - -meta.xml differences from the diff status
+ * @returns {string} Tooltip fragment, empty when the -meta.xml matches
  */
-async function prefetchAllSalesforceFiles() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) return;
+function formatMetaTooltip(metaDrift) {
+  return metaDrift?.length ? ` • Metadata differs: ${metaDrift.map(formatMetaDrift).join(', ')}` : '';
+}
 
-  logger.log('Starting prefetch of Salesforce file statuses...');
+/**
+ * Format flow version information for a decoration tooltip
+ * @param {Object} fileStatus - Org status of the file
+ * @returns {string} Tooltip fragment, empty for other metadata types
+ */
+function formatFlowTooltip(fileStatus) {
+  return fileStatus.flowVersions ? ` • ${formatFlowVersions(fileStatus.flowVersions)}` : '';
+}
 
-  // Find all Salesforce files
-  const patterns = [
-    '**/classes/*.cls',
-    '**/triggers/*.trigger',
-    '**/lwc/**/*.js',
-    '**/aura/**/*.js',
-    '**/pages/*.page',
-    '**/components/*.component',
-  ];
+// Singleton instance
+let decorationProvider = null;
+let disposables = [];
 
-  const allFiles = [];
-  for (const pattern of patterns) {
-    const files = await vscode.workspace.findFiles(pattern, '**/node_modules/**', 500);
-    allFiles.push(...files);
-  }
+// A workspace scan has completed, so rescans can compare just what changed since
+let hasScanned = false;
 
-  logger.log(`Found ${allFiles.length} Salesforce files to prefetch`);
+// Components per org status query, and files per retrieve when comparing
+const METADATA_BATCH_SIZE = 50;
+const COMPARE_BATCH_SIZE = 10;
 
-  if (allFiles.length === 0) {
-    return;
+/**
+ * Find the tracked files of every SFDX project in the workspace
+ * Files are grouped by project and metadata type for batch queries (each project queries its
+ * own target org), one entry per source file.
+ * @returns {Promise<{fileGroups: Map<string, {projectRoot: string, metadataType: string, files: Object[]}>, totalFiles: number}>}
+ */
+async function findScanGroups() {
+  // Find all Salesforce files in the package directories (one pattern per registered metadata type)
+  const allFiles = [];
+  for (const { definition, pattern } of metadataRegistry.getScanPatterns()) {
+    // Bundles contribute several files per component
+    const maxFiles = definition.bundle ? 5000 : 500;
+    const files = await sfdxProject.findProjectFiles(pattern, maxFiles);
+    allFiles.push(...files);
   }
 
-  // Show initial progress
-  statusBar.showPrefetchProgress(0, allFiles.length);
+  logger.log(`Found ${allFiles.length} Salesforce files to scan`);
 
-  // Group files by metadata type for batch queries, deduplicating by name+type
-  const filesByType = new Map();
-  const seenFiles = new Set(); // Track unique name+type combinations
+  // Deduplicate by tracked file
+  const fileGroups = new Map();
+  const seenFiles = new Set(); // Track unique files (-meta.xml companions map to their source file)
   
-  for (const uri of allFiles) {
+  for (const foundUri of allFiles) {
+    // Bundle patterns also match files that are not part of the component (jsconfig.json, etc.)
+    if (!metadataRegistry.isTrackedFile(foundUri.fsPath)) {
+      continue;
+    }
+    const uri = vscode.Uri.file(metadataRegistry.getSourceFilePath(foundUri.fsPath));
     const metadataInfo = sourceTracking.getMetadataTypeFromPath(uri.fsPath);
     if (metadataInfo) {
-      // Deduplicate by type+name to avoid redundant queries
-      const uniqueKey = `${metadataInfo.type}:${metadataInfo.name}`;
-      if (seenFiles.has(uniqueKey)) {
+      // Every file in a bundle is compared on its own; status queries dedupe names
+      if (seenFiles.has(uri.fsPath)) {
         continue; // Skip duplicates
       }
-      seenFiles.add(uniqueKey);
+      seenFiles.add(uri.fsPath);
       
-      if (!filesByType.has(metadataInfo.type)) {
-        filesByType.set(metadataInfo.type, []);
+      const projectRoot = sfdxProject.findProjectRoot(uri.fsPath);
+      const groupKey = `${projectRoot}|${metadataInfo.type}`;
+      if (!fileGroups.has(groupKey)) {
+        fileGroups.set(groupKey, { projectRoot, metadataType: metadataInfo.type, files: [] });
       }
       const fileInfo = {
         uri,
@@ -251,30 +402,69 @@ async function prefetchAllSalesforceFiles() {
         name: metadataInfo.name,
         type: metadataInfo.type,
       };
-      filesByType.get(metadataInfo.type).push(fileInfo);
+      fileGroups.get(groupKey).files.push(fileInfo);
     }
   }
 
-  // Decoration callback to stream updates as each file is compared
-  const onFileCompared = (uri, _hasDifference, _isOrgNewer) => {
-    if (decorationProvider) {
-      // Clear cache for this file and fire decoration change
-      decorationProvider._decorationCache.delete(uri.fsPath);
-      decorationProvider._onDidChangeFileDecorations.fire(uri);
-      // Also update meta file
-      const metaUri = vscode.Uri.file(uri.fsPath + '-meta.xml');
-      decorationProvider._decorationCache.delete(metaUri.fsPath);
-      decorationProvider._onDidChangeFileDecorations.fire(metaUri);
+  return { fileGroups, totalFiles: seenFiles.size };
+}
+
+/**
+ * Get the source tracking changes of each scanned project
+ * Projects whose target org tracks source get their sync states from one preview per direction.
+ * @param {Map<string, {projectRoot: string}>} fileGroups
+ * @returns {Promise<Map<string, Object | null>>} Project root -> tracked changes (null when untracked)
+ */
+async function getTrackedChangesByProject(fileGroups) {
+  const trackedChanges = new Map();
+  for (const projectRoot of new Set([...fileGroups.values()].map((group) => group.projectRoot))) {
+    if (projectRoot) {
+      trackedChanges.set(projectRoot, await sourceTracking.getTrackedChanges(projectRoot));
     }
-  };
+  }
+  return trackedChanges;
+}
+
+/**
+ * Decoration callback to stream updates as each file is compared
+ * @param {vscode.Uri} uri
+ */
+function onFileCompared(uri) {
+  if (decorationProvider) {
+    // Clear cache for this file and fire decoration change
+    decorationProvider._decorationCache.delete(uri.fsPath);
+    decorationProvider._onDidChangeFileDecorations.fire(uri);
+    // Also update meta file
+    const metaUri = vscode.Uri.file(uri.fsPath + '-meta.xml');
+    decorationProvider._decorationCache.delete(metaUri.fsPath);
+    decorationProvider._onDidChangeFileDecorations.fire(metaUri);
+    decorationProvider._refreshBundleFolder(uri);
+  }
+}
+
+/**
+ * Pre-fetch all Salesforce files in the workspace and warm up the cache
+ * Uses a pipelined approach: metadata query + content comparison run in parallel
+ * As soon as a batch's metadata is fetched, its content comparison starts immediately
+ */
+async function prefetchAllSalesforceFiles() {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  if (!workspaceFolders) return;
+
+  logger.log('Starting prefetch of Salesforce file statuses...');
+
+  const { fileGroups, totalFiles: totalUniqueFiles } = await findScanGroups();
+  if (totalUniqueFiles === 0) {
+    return;
+  }
+
+  // Show initial progress
+  statusBar.showPrefetchProgress(0, totalUniqueFiles);
 
   // Track comparison promises to await at the end
   const comparisonPromises = [];
   let processedMetadataCount = 0;
   let processedCompareCount = 0;
-  const totalUniqueFiles = seenFiles.size;
-  const metadataBatchSize = 50; // Query up to 50 items of the same type at once
-  const compareBatchSize = 10; // Compare 10 files at a time
 
   // Update combined progress (metadata fetch + comparison)
   const updateProgress = () => {
@@ -285,11 +475,21 @@ async function prefetchAllSalesforceFiles() {
     statusBar.showPrefetchProgress(totalProgress, totalUniqueFiles);
   };
 
+  const trackedChanges = await getTrackedChangesByProject(fileGroups);
+
+  // Probe each compared type before its files are queried, so edits made during the scan count
+  // as changes for the next rescan
+  const probes = [];
+
   // Pipeline: As each metadata batch completes, immediately start comparison
-  for (const [metadataType, files] of filesByType) {
+  for (const { projectRoot, metadataType, files } of fileGroups.values()) {
+    const changes = trackedChanges.get(projectRoot);
+    if (!changes) {
+      probes.push(await sourceTracking.probeOrgChanges(metadataType, projectRoot));
+    }
     // Process in batches within each type
-    for (let i = 0; i < files.length; i += metadataBatchSize) {
-      const metadataBatch = files.slice(i, i + metadataBatchSize);
+    for (let i = 0; i < files.length; i += METADATA_BATCH_SIZE) {
+      const metadataBatch = files.slice(i, i + METADATA_BATCH_SIZE);
       
       try {
         // Fetch metadata info (timestamps, who modified)
@@ -298,24 +498,34 @@ async function prefetchAllSalesforceFiles() {
         // Update metadata progress
         processedMetadataCount += metadataBatch.length;
         updateProgress();
-        
-        // Immediately start content comparison for this batch (don't await)
-        // This runs in parallel with the next metadata fetch
-        const comparePromise = (async () => {
-          // Split into smaller comparison batches
-          for (let j = 0; j < metadataBatch.length; j += compareBatchSize) {
-            const compareBatch = metadataBatch.slice(j, j + compareBatchSize);
-            try {
-              await sourceTracking.batchCompareFilesWithOrg(compareBatch, null, onFileCompared);
-            } catch (error) {
-              logger.log(`Batch compare failed: ${error.message}`, 'WARN');
+
+        if (changes) {
+          // Source tracking already knows the sync state - nothing to retrieve
+          sourceTracking.applyTrackedChanges(metadataBatch, changes, onFileCompared);
+          processedCompareCount += metadataBatch.length;
+          updateProgress();
+        } else {
+          // Immediately start content comparison for this batch (don't await)
+          // This runs in parallel with the next metadata fetch
+          // Queried source is compared a whole metadata batch at a time; retrieves are split up
+          const strategy = metadataRegistry.getTypeDefinition(metadataType)?.compareStrategy;
+          const batchSize = strategy === COMPARE_STRATEGIES.SOURCE ? metadataBatch.length : COMPARE_BATCH_SIZE;
+          const comparePromise = (async () => {
+            // Split into smaller comparison batches
+            for (let j = 0; j < metadataBatch.length; j += batchSize) {
+              const compareBatch = metadataBatch.slice(j, j + batchSize);
+              try {
+                await sourceTracking.batchCompareFilesWithOrg(compareBatch, null, onFileCompared);
+              } catch (error) {
+                logger.log(`Batch compare failed: ${error.message}`, 'WARN');
+              }
+              processedCompareCount += compareBatch.length;
+              updateProgress();
             }
-            processedCompareCount += compareBatch.length;
-            updateProgress();
-          }
-        })();
-        
-        comparisonPromises.push(comparePromise);
+          })();
+
+          comparisonPromises.push(comparePromise);
+        }
         
       } catch (error) {
         logger.log(`Batch query failed for ${metadataType}: ${error.message}`, 'WARN');
@@ -324,7 +534,7 @@ async function prefetchAllSalesforceFiles() {
       }
 
       // Small delay between metadata batches to avoid overwhelming the org
-      if (i + metadataBatchSize < files.length) {
+      if (i + METADATA_BATCH_SIZE < files.length) {
         await new Promise((resolve) => setTimeout(resolve, 50));
       }
     }
@@ -333,7 +543,95 @@ async function prefetchAllSalesforceFiles() {
   // Wait for all comparison batches to complete
   logger.log(`Waiting for ${comparisonPromises.length} comparison batches to complete...`);
   await Promise.all(comparisonPromises);
+  probes.forEach((probe) => sourceTracking.recordProbe(probe));
+
+  await finishScan(totalUniqueFiles);
+}
+
+/**
+ * Rescan only what changed since the last scan
+ * Each compared type is probed first; org statuses are only queried again for types that changed
+ * in the org, and only files edited locally or modified in the org since their last compare are
+ * compared again. Projects with source tracking are read from their previews as in a full scan.
+ */
+async function rescanChangedFiles() {
+  logger.log('Starting incremental rescan...');
 
+  const { fileGroups, totalFiles } = await findScanGroups();
+  if (totalFiles === 0) {
+    return;
+  }
+
+  statusBar.showPrefetchProgress(0, totalFiles);
+  const trackedChanges = await getTrackedChangesByProject(fileGroups);
+  let processedCount = 0;
+  let comparedCount = 0;
+
+  for (const { projectRoot, metadataType, files } of fileGroups.values()) {
+    const changes = trackedChanges.get(projectRoot);
+    if (changes) {
+      for (let i = 0; i < files.length; i += METADATA_BATCH_SIZE) {
+        const batch = files.slice(i, i + METADATA_BATCH_SIZE);
+        await sourceTracking.batchGetFileOrgStatus(metadataType, batch, true);
+        sourceTracking.applyTrackedChanges(batch, changes, onFileCompared);
+      }
+      processedCount += files.length;
+      statusBar.showPrefetchProgress(processedCount, totalFiles);
+      continue;
+    }
+
+    const probe = await sourceTracking.probeOrgChanges(metadataType, projectRoot);
+    const staleFiles = new Set(files.filter((file) => sourceTracking.isChangedSinceCompare(file.filePath)));
+
+    if (probe.changed) {
+      // Something of this type changed in the org - find out which components
+      for (let i = 0; i < files.length; i += METADATA_BATCH_SIZE) {
+        const batch = files.slice(i, i + METADATA_BATCH_SIZE);
+        const previous = new Map(batch.map((file) => [file.filePath, sourceTracking.getCachedFileOrgStatus(file.filePath)]));
+        const statuses = await sourceTracking.batchGetFileOrgStatus(metadataType, batch, true);
+        for (const file of batch) {
+          const before = previous.get(file.filePath);
+          const after = statuses.get(file.filePath);
+          if (before?.lastModifiedDate !== after?.lastModifiedDate || Boolean(before?.error) !== Boolean(after?.error)) {
+            staleFiles.add(file);
+          }
+        }
+      }
+    }
+
+    const stale = [...staleFiles];
+    if (stale.length > 0) {
+      logger.log(`${metadataType}: comparing ${stale.length} of ${files.length} files changed since the last scan`);
+      stale.forEach((file) => sourceTracking.invalidateFileCache(file.filePath));
+
+      const strategy = metadataRegistry.getTypeDefinition(metadataType)?.compareStrategy;
+      const batchSize = strategy === COMPARE_STRATEGIES.SOURCE ? METADATA_BATCH_SIZE : COMPARE_BATCH_SIZE;
+      for (let i = 0; i < stale.length; i += batchSize) {
+        const batch = stale.slice(i, i + batchSize);
+        try {
+          await sourceTracking.batchGetFileOrgStatus(metadataType, batch);
+          await sourceTracking.batchCompareFilesWithOrg(batch, null, onFileCompared);
+        } catch (error) {
+          logger.log(`Batch compare failed: ${error.message}`, 'WARN');
+        }
+      }
+    }
+
+    sourceTracking.recordProbe(probe);
+    comparedCount += stale.length;
+    processedCount += files.length;
+    statusBar.showPrefetchProgress(processedCount, totalFiles);
+  }
+
+  logger.log(`Incremental rescan compared ${comparedCount} of ${totalFiles} files`);
+  await finishScan(totalFiles);
+}
+
+/**
+ * Log the results of a scan, redraw every decoration and show the summary
+ * @param {number} totalUniqueFiles - Files scanned
+ */
+async function finishScan(totalUniqueFiles) {
   // Log completion stats
   const diffCache = sourceTracking.getDiffCache();
   logger.log(`Content comparison complete. Diff cache has ${diffCache.size} entries`);
@@ -341,10 +639,19 @@ async function prefetchAllSalesforceFiles() {
   // Count files by status
   const localChanges = [];
   const orgNewer = [];
+  const conflicts = [];
+  const inactiveVersions = [];
+  const deletedInOrg = [];
   for (const [filePath, data] of diffCache.entries()) {
     if (data.hasDifference) {
       const fileName = filePath.split('/').pop();
-      if (data.isOrgNewer) {
+      if (data.syncState === SYNC_STATES.CONFLICT) {
+        conflicts.push(fileName);
+      } else if (data.syncState === SYNC_STATES.INACTIVE_VERSION) {
+        inactiveVersions.push(fileName);
+      } else if (data.syncState === SYNC_STATES.DELETED_IN_ORG) {
+        deletedInOrg.push(fileName);
+      } else if (data.syncState === SYNC_STATES.ORG_CHANGED) {
         orgNewer.push(fileName);
       } else {
         localChanges.push(fileName);
@@ -352,11 +659,14 @@ async function prefetchAllSalesforceFiles() {
     }
   }
   
-  const changedCount = localChanges.length + orgNewer.length;
+  const changedCount = localChanges.length + orgNewer.length + conflicts.length + inactiveVersions.length + deletedInOrg.length;
   if (changedCount > 0) {
     logger.log(`Found ${changedCount} files with differences`);
     localChanges.forEach(f => logger.log(`  - ${f}`));
-    orgNewer.forEach(f => logger.log(`  - ${f} (org newer)`));
+    orgNewer.forEach(f => logger.log(`  - ${f} (org changed)`));
+    conflicts.forEach(f => logger.log(`  - ${f} (conflict)`));
+    inactiveVersions.forEach(f => logger.log(`  - ${f} (matches inactive flow version)`));
+    deletedInOrg.forEach(f => logger.log(`  - ${f} (deleted in org)`));
   } else {
     logger.log('All files are in sync with org');
   }
@@ -375,10 +685,11 @@ async function prefetchAllSalesforceFiles() {
 
   // Hide progress
   statusBar.hidePrefetchProgress(totalUniqueFiles);
+  hasScanned = true;
   logger.log('Prefetch complete');
   
   // Show summary notification (non-intrusive)
-  showScanSummary(totalUniqueFiles, localChanges, orgNewer);
+  showScanSummary(totalUniqueFiles, localChanges, orgNewer, conflicts);
 }
 
 /**
@@ -386,8 +697,9 @@ async function prefetchAllSalesforceFiles() {
  * @param {number} totalFiles 
  * @param {string[]} localChanges 
  * @param {string[]} orgNewer 
+ * @param {string[]} conflicts 
  */
-async function showScanSummary(totalFiles, localChanges, orgNewer) {
+async function showScanSummary(totalFiles, localChanges, orgNewer, conflicts) {
   const config = vscode.workspace.getConfiguration('sfMetadataTracker');
   if (!config.get('showScanSummary', true)) {
     return;
@@ -395,7 +707,8 @@ async function showScanSummary(totalFiles, localChanges, orgNewer) {
 
   const localCount = localChanges.length;
   const orgCount = orgNewer.length;
-  const totalChanges = localCount + orgCount;
+  const conflictCount = conflicts.length;
+  const totalChanges = localCount + orgCount + conflictCount;
 
   // Build message
   let message;
@@ -409,6 +722,9 @@ async function showScanSummary(totalFiles, localChanges, orgNewer) {
     if (orgCount > 0) {
       parts.push(`${orgCount} org update${orgCount > 1 ? 's' : ''}`);
     }
+    if (conflictCount > 0) {
+      parts.push(`${conflictCount} conflict${conflictCount > 1 ? 's' : ''}`);
+    }
     message = `$(sf-tracker) SF Metadata: ${parts.join(', ')}`;
   }
 
@@ -461,7 +777,7 @@ export function initialize(context) {
 
   if (autoScan) {
     setTimeout(() => {
-      prefetchAllSalesforceFiles().catch((error) => {
+      scanInBackground(prefetchAllSalesforceFiles).catch((error) => {
         logger.log(`Prefetch error: ${error.message}`, 'WARN');
       });
     }, 3000);
@@ -472,6 +788,15 @@ export function initialize(context) {
   return decorationProvider;
 }
 
+/**
+ * Run a workspace scan in the background lane, so the active editor's lookups go first
+ * @param {function(): Promise<void>} scan
+ * @returns {Promise<void>}
+ */
+function scanInBackground(scan) {
+  return jobQueue.withPriority(jobQueue.PRIORITIES.BACKGROUND, scan);
+}
+
 /**
  * Refresh decoration for a specific file
  * @param {vscode.Uri} uri 
@@ -482,6 +807,15 @@ export function refreshFile(uri) {
   }
 }
 
+/**
+ * Redraw all file decorations from the cached comparison results
+ */
+export function refreshDecorations() {
+  if (decorationProvider) {
+    decorationProvider.refreshAll();
+  }
+}
+
 /**
  * Refresh all file decorations
  * @param {boolean} recompare - Whether to re-compare files with org
@@ -495,11 +829,25 @@ export async function refreshAll(recompare = true) {
     
     // Trigger a full re-prefetch if requested
     if (recompare) {
-      await prefetchAllSalesforceFiles();
+      await scanInBackground(prefetchAllSalesforceFiles);
     }
   }
 }
 
+/**
+ * Rescan the workspace, comparing only the files that changed since the last scan
+ * Runs a full scan when nothing has been scanned yet.
+ */
+export async function rescanChanged() {
+  if (!decorationProvider) return;
+
+  if (!hasScanned) {
+    await refreshAll(true);
+    return;
+  }
+  await scanInBackground(rescanChangedFiles);
+}
+
 /**
  * Dispose the file decoration provider
  */
@@ -510,4 +858,5 @@ export function dispose() {
   }
   disposables.forEach((d) => d.dispose());
   disposables = [];
+  hasScanned = false;
 }
@@ -7,3 +7,13 @@ export * as fileDecorationsService from './file-decorations.js';
 export * as statusBarService from './status-bar.js';
 export * as codeCoverageService from './code-coverage.js';
 export * as coveragePanelService from './coverage-panel.js';
+export * as orgDiffService from './org-diff.js';
+export * as syncLedgerService from './sync-ledger.js';
+export * as orgMergeService from './org-merge.js';
+export * as orgConfigWatcherService from './org-config-watcher.js';
+export * as orgPickerService from './org-picker.js';
+export * as orgMatrixService from './org-matrix.js';
+export * as driftReportService from './drift-report.js';
+export * as orgOnlyService from './org-only.js';
+export * as orgWatcherService from './org-watcher.js';
+export * as jobMonitorService from './job-monitor.js';
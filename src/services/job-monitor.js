@@ -0,0 +1,184 @@
+import * as vscode from 'vscode';
+import * as logger from '../lib/logger.js';
+import * as jobQueue from '../lib/job-queue.js';
+
+/**
+ * Job monitor service
+ * Shows the CLI commands running and queued in the status bar, lists them in a picker where
+ * they can be cancelled, and applies the concurrency setting to the job queue
+ */
+
+// Lane names shown in the task list
+const LANE_LABELS = {
+  [jobQueue.PRIORITIES.INTERACTIVE]: 'interactive',
+  [jobQueue.PRIORITIES.NORMAL]: 'normal',
+  [jobQueue.PRIORITIES.BACKGROUND]: 'background',
+};
+
+// Longest command label shown before truncating
+const MAX_LABEL_LENGTH = 80;
+
+let statusBarItem = null;
+let disposables = [];
+
+// Jobs seen running, to log their start and finish once (id -> label)
+const runningJobs = new Map();
+
+/**
+ * Read the concurrency cap setting
+ * @returns {number}
+ */
+function getMaxConcurrency() {
+  return vscode.workspace.getConfiguration('sfMetadataTracker').get('maxConcurrentCommands', 3);
+}
+
+/**
+ * Shorten a command for display
+ * @param {string} label
+ * @returns {string}
+ */
+function shortLabel(label) {
+  return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+/**
+ * Format how long a job has been running or waiting
+ * @param {import('../lib/job-queue.js').JobInfo} job
+ * @returns {string}
+ */
+function formatElapsed(job) {
+  const seconds = Math.round((Date.now() - (job.startedAt || job.queuedAt)) / 1000);
+  const elapsed = seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return job.state === 'running' ? `running ${elapsed}` : `queued ${elapsed}`;
+}
+
+/**
+ * Log started and finished jobs to the output channel
+ * @param {import('../lib/job-queue.js').JobInfo[]} jobs
+ */
+function logTransitions(jobs) {
+  const running = new Set();
+  for (const job of jobs) {
+    if (job.state !== 'running') continue;
+    running.add(job.id);
+    if (!runningJobs.has(job.id)) {
+      runningJobs.set(job.id, { label: job.label, startedAt: job.startedAt });
+      logger.log(`Job ${job.id} started (${LANE_LABELS[job.priority]}): ${shortLabel(job.label)}`);
+    }
+  }
+
+  for (const [id, { label, startedAt }] of runningJobs) {
+    if (!running.has(id)) {
+      runningJobs.delete(id);
+      logger.log(`Job ${id} finished in ${Date.now() - startedAt}ms: ${shortLabel(label)}`);
+    }
+  }
+}
+
+/**
+ * Update the status bar item from the job queue
+ */
+function updateStatusBar() {
+  const jobs = jobQueue.getJobs();
+  logTransitions(jobs);
+  if (!statusBarItem) return;
+
+  if (jobs.length === 0) {
+    statusBarItem.hide();
+    return;
+  }
+
+  const running = jobs.filter((job) => job.state === 'running');
+  const queued = jobs.length - running.length;
+  statusBarItem.text = `$(loading~spin) sf: ${running.length} running${queued ? `, ${queued} queued` : ''}`;
+  statusBarItem.tooltip = [
+    'Salesforce CLI commands and API queries - click to view or cancel',
+    ...running.map((job) => `• ${shortLabel(job.label)}`),
+  ].join('\n');
+  statusBarItem.show();
+}
+
+/**
+ * Show the running and queued commands and cancel the picked one
+ */
+export async function showJobs() {
+  const jobs = jobQueue.getJobs();
+  if (jobs.length === 0) {
+    vscode.window.showInformationMessage('No Salesforce CLI commands are running');
+    return;
+  }
+
+  const backgroundCount = jobs.filter((job) => job.priority === jobQueue.PRIORITIES.BACKGROUND).length;
+  const items = [];
+  if (backgroundCount > 0) {
+    items.push({
+      label: `$(close-all) Cancel background jobs (${backgroundCount})`,
+      description: 'Workspace scans and org polling',
+      cancelLane: jobQueue.PRIORITIES.BACKGROUND,
+    });
+  }
+  items.push(...jobs.map((job) => ({
+    label: `${job.state === 'running' ? '$(loading~spin)' : '$(clock)'} ${shortLabel(job.label)}`,
+    description: `${LANE_LABELS[job.priority]} · ${formatElapsed(job)}`,
+    detail: job.waiters > 1 ? `Shared by ${job.waiters} callers` : undefined,
+    job,
+  })));
+
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: 'Pick a command to cancel',
+    matchOnDescription: true,
+  });
+  if (!picked) return;
+
+  if (picked.cancelLane !== undefined) {
+    const cancelled = jobQueue.cancelLane(picked.cancelLane);
+    logger.log(`Cancelled ${cancelled} background job(s)`);
+    return;
+  }
+
+  const action = await vscode.window.showWarningMessage(
+    `Cancel "${shortLabel(picked.job.label)}"?`,
+    'Cancel Command'
+  );
+  if (action === 'Cancel Command' && !jobQueue.cancel(picked.job.id)) {
+    vscode.window.showInformationMessage('The command already finished');
+  }
+}
+
+/**
+ * Initialize the job monitor
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  if (statusBarItem) return;
+
+  jobQueue.setConcurrency(getMaxConcurrency());
+
+  statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 98);
+  statusBarItem.name = 'SF Metadata Tracker - CLI Jobs';
+  statusBarItem.command = 'sf-metadata-tracker.showJobs';
+
+  disposables.push(
+    statusBarItem,
+    jobQueue.onDidChange(updateStatusBar),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('sfMetadataTracker.maxConcurrentCommands')) {
+        jobQueue.setConcurrency(getMaxConcurrency());
+      }
+    })
+  );
+  context.subscriptions.push({ dispose });
+
+  updateStatusBar();
+  logger.log('Job monitor initialized');
+}
+
+/**
+ * Dispose the job monitor
+ */
+export function dispose() {
+  disposables.forEach((d) => d.dispose());
+  disposables = [];
+  statusBarItem = null;
+  runningJobs.clear();
+}
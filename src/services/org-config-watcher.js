@@ -0,0 +1,204 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as logger from '../lib/logger.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import * as sourceTracking from './source-tracking.js';
+import * as fileDecorations from './file-decorations.js';
+import * as statusBar from './status-bar.js';
+import * as codeCoverage from './code-coverage.js';
+import * as coveragePanel from './coverage-panel.js';
+
+/**
+ * Org config watcher service
+ * Watches the project and global sf config files and the CLI's auth files, so a target org
+ * changed outside the extension (`sf config set target-org`, `sf org login`, `sf alias set`)
+ * is picked up right away instead of when the org connection cache expires
+ */
+
+// Wait for the CLI to finish writing before re-reading the config
+const DEBOUNCE_MS = 1000;
+
+// Project config files, relative to each SFDX project root (sf and legacy sfdx)
+const PROJECT_CONFIG_FILES = [
+  { file: path.join('.sf', 'config.json'), key: 'target-org' },
+  { file: path.join('.sfdx', 'sfdx-config.json'), key: 'defaultusername' },
+];
+
+// Watchers and timers to dispose
+let disposables = [];
+let debounceTimer = null;
+
+// Last seen org configuration (serialized), compared on every change
+let lastSnapshot = null;
+
+/**
+ * Read a JSON file, treating missing or unreadable files as empty
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read the configured target org of a folder (project root or home directory)
+ * @param {string} dir
+ * @returns {string | null}
+ */
+function readTargetOrg(dir) {
+  for (const { file, key } of PROJECT_CONFIG_FILES) {
+    const value = readJson(path.join(dir, file))[key];
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * List the usernames with an auth file in the CLI's global folder
+ * Only additions and removals count - the CLI rewrites auth files whenever it refreshes a token.
+ * @returns {string[]}
+ */
+function listAuthorizedUsernames() {
+  try {
+    return fs.readdirSync(path.join(os.homedir(), '.sfdx'))
+      .filter((name) => name.includes('@') && name.endsWith('.json'))
+      .map((name) => name.slice(0, -'.json'.length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Capture everything that decides which org each project talks to
+ * @returns {Promise<string>} Serialized snapshot
+ */
+async function readSnapshot() {
+  const projects = await sfdxProject.getProjects();
+  return JSON.stringify({
+    global: readTargetOrg(os.homedir()),
+    projects: projects.map((project) => [project.root, readTargetOrg(project.root)]),
+    aliases: readJson(path.join(os.homedir(), '.sfdx', 'alias.json')).orgs || {},
+    auths: listAuthorizedUsernames(),
+  });
+}
+
+/**
+ * Re-read the org configuration and refresh everything when it changed
+ */
+async function checkForOrgChange() {
+  const snapshot = await readSnapshot();
+  if (snapshot === lastSnapshot) {
+    return;
+  }
+  lastSnapshot = snapshot;
+
+  logger.log('Target org or org authorizations changed - refreshing org status');
+
+  // Everything cached so far describes the previous org
+  sourceTracking.clearOrgCache();
+  sourceTracking.clearChangesCache();
+  codeCoverage.clearCache();
+
+  const orgStatus = await sourceTracking.checkOrgConnection();
+  vscode.window.setStatusBarMessage(
+    orgStatus.connected
+      ? `$(sf-tracker) Org changed: ${orgStatus.alias || orgStatus.username}`
+      : '$(warning) Org changed: no default org',
+    5000
+  );
+
+  const editor = vscode.window.activeTextEditor;
+  if (editor) {
+    statusBar.updateSyncStatus(editor.document.uri.fsPath);
+    codeCoverage.updateCoverageDisplay(editor);
+  }
+  coveragePanel.refresh();
+  await fileDecorations.refreshAll(true);
+}
+
+/**
+ * Schedule a check after a config or auth file changed
+ */
+function scheduleCheck() {
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    checkForOrgChange().catch((error) => {
+      logger.log(`Org config check failed: ${error.message}`, 'WARN');
+    });
+  }, DEBOUNCE_MS);
+}
+
+/**
+ * Watch a folder outside the workspace (the CLI's global config and auth folders)
+ * @param {string} dir
+ */
+function watchGlobalFolder(dir) {
+  if (!fs.existsSync(dir)) return;
+
+  try {
+    const watcher = fs.watch(dir, (_event, fileName) => {
+      if (!fileName || String(fileName).endsWith('.json')) {
+        scheduleCheck();
+      }
+    });
+    watcher.on('error', (error) => logger.log(`Stopped watching ${dir}: ${error.message}`, 'WARN'));
+    disposables.push({ dispose: () => watcher.close() });
+  } catch (error) {
+    logger.log(`Could not watch ${dir}: ${error.message}`, 'WARN');
+  }
+}
+
+/**
+ * Record the current org configuration as seen
+ * Used after the extension changed the target org itself and already refreshed everything.
+ */
+export async function refreshSnapshot() {
+  try {
+    lastSnapshot = await readSnapshot();
+  } catch (error) {
+    logger.log(`Could not read org config: ${error.message}`, 'WARN');
+  }
+}
+
+/**
+ * Initialize the org config watcher
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  const projectWatcher = vscode.workspace.createFileSystemWatcher('**/{.sf/config.json,.sfdx/sfdx-config.json}');
+  projectWatcher.onDidCreate(scheduleCheck);
+  projectWatcher.onDidChange(scheduleCheck);
+  projectWatcher.onDidDelete(scheduleCheck);
+  disposables.push(projectWatcher);
+
+  watchGlobalFolder(path.join(os.homedir(), '.sf'));
+  watchGlobalFolder(path.join(os.homedir(), '.sfdx'));
+
+  context.subscriptions.push({ dispose });
+
+  readSnapshot()
+    .then((snapshot) => {
+      lastSnapshot = snapshot;
+    })
+    .catch((error) => logger.log(`Could not read org config: ${error.message}`, 'WARN'));
+
+  logger.log('Org config watcher initialized');
+}
+
+/**
+ * Dispose the org config watcher
+ */
+export function dispose() {
+  clearTimeout(debounceTimer);
+  debounceTimer = null;
+  disposables.forEach((d) => d.dispose());
+  disposables = [];
+  lastSnapshot = null;
+}
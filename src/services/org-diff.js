@@ -0,0 +1,400 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import * as sourceTracking from './source-tracking.js';
+import * as codeCoverage from './code-coverage.js';
+import * as orgPicker from './org-picker.js';
+import * as logger from '../lib/logger.js';
+import * as jobQueue from '../lib/job-queue.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+
+/**
+ * Org Diff Service
+ * Opens the built-in diff editor with the org version of a file on the left
+ * and the local file on the right. The org is the project's target org or any
+ * other authorized org, for single files or whole folders.
+ */
+
+// URI scheme for read-only org documents
+export const ORG_SCHEME = 'sf-org';
+
+// Singleton provider instance
+let contentProvider = null;
+let registration = null;
+
+/**
+ * Read-only content provider serving org versions of local files
+ */
+class OrgContentProvider {
+  constructor() {
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+
+    // Retrieved org content keyed by org URI string
+    this._contentCache = new Map();
+  }
+
+  /**
+   * Provide the org content for an sf-org URI
+   * @param {vscode.Uri} uri
+   * @returns {Promise<string>}
+   */
+  async provideTextDocumentContent(uri) {
+    const key = uri.toString();
+    if (this._contentCache.has(key)) {
+      return this._contentCache.get(key);
+    }
+
+    // An open diff editor is waiting on this content
+    const orgFile = await jobQueue.withPriority(jobQueue.PRIORITIES.INTERACTIVE,
+      () => sourceTracking.getOrgFileContent(uri.fsPath, getTargetOrg(uri)));
+    const content = orgFile.content ?? '';
+    this._contentCache.set(key, content);
+    return content;
+  }
+
+  /**
+   * Store content fetched ahead of opening the diff and notify open editors
+   * @param {vscode.Uri} uri
+   * @param {string} content
+   */
+  setContent(uri, content) {
+    this._contentCache.set(uri.toString(), content);
+    this._onDidChange.fire(uri);
+  }
+
+  /**
+   * Dispose the provider
+   */
+  dispose() {
+    this._onDidChange.dispose();
+    this._contentCache.clear();
+  }
+}
+
+/**
+ * Initialize the org content provider
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  if (contentProvider) {
+    return contentProvider;
+  }
+
+  contentProvider = new OrgContentProvider();
+  registration = vscode.workspace.registerTextDocumentContentProvider(ORG_SCHEME, contentProvider);
+  context.subscriptions.push(registration);
+
+  logger.log('Org diff content provider initialized');
+  return contentProvider;
+}
+
+/**
+ * Build the sf-org URI for a local file
+ * @param {vscode.Uri} localUri
+ * @param {string} [targetOrg] - Org other than the project's target org, kept in the query
+ * @returns {vscode.Uri}
+ */
+export function getOrgUri(localUri, targetOrg) {
+  return localUri.with({ scheme: ORG_SCHEME, query: targetOrg ? `org=${encodeURIComponent(targetOrg)}` : '' });
+}
+
+/**
+ * Get the org an sf-org URI points at
+ * @param {vscode.Uri} orgUri
+ * @returns {string | undefined} Org username or alias, undefined for the project's target org
+ */
+function getTargetOrg(orgUri) {
+  const match = /(?:^|&)org=([^&]*)/.exec(orgUri.query);
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+/**
+ * Resolve the file a compare command runs on
+ * @param {vscode.Uri} [uri] - File from a menu, defaults to the active editor
+ * @returns {{localUri: vscode.Uri, metadataInfo: Object} | null}
+ */
+function resolveCompareTarget(uri) {
+  const localUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+  if (!localUri) {
+    vscode.window.showWarningMessage('No file is currently open.');
+    return null;
+  }
+
+  if (!contentProvider) {
+    vscode.window.showWarningMessage('Compare with Org is not available until the extension is fully activated.');
+    return null;
+  }
+
+  const metadataInfo = sourceTracking.getMetadataTypeFromPath(localUri.fsPath);
+  if (!metadataInfo) {
+    vscode.window.showWarningMessage('This is not a supported Salesforce metadata file.');
+    return null;
+  }
+
+  return { localUri, metadataInfo };
+}
+
+/**
+ * Open a diff editor comparing the org version (left) with the local file (right)
+ * @param {vscode.Uri} [uri] - File to compare, defaults to the active editor
+ */
+export async function compareWithOrg(uri) {
+  const target = resolveCompareTarget(uri);
+  if (!target) return;
+
+  const { localUri, metadataInfo } = target;
+  const filePath = localUri.fsPath;
+
+  const orgFile = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Retrieving ${metadataInfo.name} from org...`,
+    cancellable: false,
+  }, () => sourceTracking.getOrgFileContent(filePath));
+
+  if (orgFile.isNew) {
+    vscode.window.showInformationMessage(`${metadataInfo.name} does not exist in the org yet.`);
+    return;
+  }
+
+  if (orgFile.error) {
+    vscode.window.showErrorMessage(`Could not retrieve ${metadataInfo.name} from org: ${orgFile.error}`);
+    return;
+  }
+
+  const orgStatus = sourceTracking.getCachedOrgConnection(filePath);
+  await openDiff(localUri, orgFile.content, orgStatus.alias || orgStatus.username || 'Org');
+}
+
+/**
+ * Pick any authorized org and diff the file against its version there
+ * @param {vscode.Uri} [uri] - File to compare, defaults to the active editor
+ */
+export async function compareWithPickedOrg(uri) {
+  const target = resolveCompareTarget(uri);
+  if (!target) return;
+
+  const { localUri } = target;
+  const filePath = localUri.fsPath;
+
+  const org = await orgPicker.pickOrg({
+    placeHolder: `Compare ${path.basename(filePath)} with...`,
+    cwd: sfdxProject.getProjectRoot(filePath),
+  });
+  if (!org) return;
+
+  await compareWithOtherOrg(localUri, org);
+}
+
+/**
+ * Diff a file against its version in an org other than the project's target org
+ * Apex classes and triggers also show their coverage in that org.
+ * @param {vscode.Uri} uri - File to compare
+ * @param {import('../lib/org-list.js').OrgListEntry | {username: string, alias?: string}} org
+ */
+export async function compareWithOtherOrg(uri, org) {
+  const target = resolveCompareTarget(uri);
+  if (!target) return;
+
+  const { localUri, metadataInfo } = target;
+  const filePath = localUri.fsPath;
+  const orgLabel = org.alias || org.username;
+  const isApex = metadataInfo.type === 'ApexClass' || metadataInfo.type === 'ApexTrigger';
+
+  const [orgFile, coverage] = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Retrieving ${metadataInfo.name} from ${orgLabel}...`,
+    cancellable: false,
+  }, () => Promise.all([
+    sourceTracking.getOrgFileContent(filePath, org.username),
+    isApex && metadataRegistry.getSourceFilePath(filePath) === filePath
+      ? codeCoverage.getAggregateCoverage(metadataInfo.name, metadataInfo.type, filePath, org.username)
+      : null,
+  ]));
+
+  if (orgFile.isNew) {
+    vscode.window.showInformationMessage(`${metadataInfo.name} does not exist in ${orgLabel}.`);
+    return;
+  }
+
+  if (orgFile.error) {
+    vscode.window.showErrorMessage(`Could not retrieve ${metadataInfo.name} from ${orgLabel}: ${orgFile.error}`);
+    return;
+  }
+
+  const coverageLabel = coverage && !coverage.noData ? ` · ${coverage.percentage}% covered` : '';
+  await openDiff(localUri, orgFile.content, `${orgLabel}${coverageLabel}`, org.username);
+}
+
+/**
+ * Show the org content of a file next to the local file
+ * @param {vscode.Uri} localUri
+ * @param {string} orgContent
+ * @param {string} orgLabel - Shown in the diff title
+ * @param {string} [targetOrg] - Org other than the project's target org
+ * @param {vscode.TextDocumentShowOptions} [options]
+ */
+async function openDiff(localUri, orgContent, orgLabel, targetOrg, options) {
+  const orgUri = getOrgUri(localUri, targetOrg);
+  contentProvider.setContent(orgUri, orgContent);
+
+  const title = `${path.basename(localUri.fsPath)} (${orgLabel}) ↔ Local`;
+  await vscode.commands.executeCommand('vscode.diff', orgUri, localUri, title, options);
+}
+
+/**
+ * Find the tracked source files to compare in a folder, or in the active project
+ * @param {vscode.Uri} [folderUri]
+ * @returns {Promise<Array<{filePath: string, name: string, type: string}>>}
+ */
+export async function findFilesToCompare(folderUri) {
+  let uris = [];
+  if (folderUri) {
+    uris = await vscode.workspace.findFiles(new vscode.RelativePattern(folderUri, '**/*'), '**/node_modules/**');
+  } else {
+    const projectRoot = sfdxProject.getActiveProjectRoot();
+    for (const { definition, pattern } of metadataRegistry.getScanPatterns()) {
+      uris.push(...await sfdxProject.findProjectFiles(pattern, definition.bundle ? 5000 : 500, projectRoot));
+    }
+  }
+
+  const files = new Map();
+  for (const uri of uris) {
+    const filePath = uri.fsPath;
+    // -meta.xml companions are compared with their source file
+    if (!metadataRegistry.isTrackedFile(filePath) || metadataRegistry.getSourceFilePath(filePath) !== filePath ||
+        !sfdxProject.isProjectSourceFile(filePath) || files.has(filePath)) {
+      continue;
+    }
+    const metadataInfo = sourceTracking.getMetadataTypeFromPath(filePath);
+    if (metadataInfo) {
+      files.set(filePath, { filePath, name: metadataInfo.name, type: metadataInfo.type });
+    }
+  }
+  return [...files.values()];
+}
+
+/**
+ * Compare a folder, or the whole active project, with any authorized org
+ * Differing files are listed in a quick pick that stays open while their diffs are opened.
+ * @param {vscode.Uri} [uri] - Folder from the explorer, defaults to the active project
+ */
+export async function compareFolderWithPickedOrg(uri) {
+  if (!contentProvider) {
+    vscode.window.showWarningMessage('Compare with Org is not available until the extension is fully activated.');
+    return;
+  }
+
+  const folderUri = uri instanceof vscode.Uri && fs.existsSync(uri.fsPath) && fs.statSync(uri.fsPath).isDirectory() ? uri : undefined;
+  const scopeLabel = folderUri ? vscode.workspace.asRelativePath(folderUri) : path.basename(sfdxProject.getActiveProjectRoot() || 'project');
+
+  const files = await findFilesToCompare(folderUri);
+  if (files.length === 0) {
+    vscode.window.showInformationMessage(`No Salesforce source files found in ${scopeLabel}.`);
+    return;
+  }
+
+  const org = await orgPicker.pickOrg({ placeHolder: `Compare ${files.length} file(s) in ${scopeLabel} with...` });
+  if (!org) return;
+  const orgLabel = org.alias || org.username;
+
+  // Each SFDX project runs its own queries and retrieves
+  const filesByProject = new Map();
+  for (const file of files) {
+    const root = sfdxProject.getProjectRoot(file.filePath);
+    if (!filesByProject.has(root)) {
+      filesByProject.set(root, []);
+    }
+    filesByProject.get(root).push(file);
+  }
+
+  const orgContents = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Comparing ${scopeLabel} with ${orgLabel}`,
+    cancellable: false,
+  }, async (progress) => {
+    const contents = new Map();
+    let done = 0;
+    for (const projectFiles of filesByProject.values()) {
+      const projectContents = await sourceTracking.fetchOrgContents(projectFiles, org.username, (current) => {
+        progress.report({ message: `${done + current}/${files.length} files` });
+      });
+      projectContents.forEach((value, key) => contents.set(key, value));
+      done += projectFiles.length;
+    }
+    return contents;
+  });
+
+  const differing = [];
+  const missing = [];
+  const failed = [];
+  let identical = 0;
+
+  for (const file of files) {
+    const orgFile = orgContents.get(file.filePath) || { error: 'Not compared' };
+    if (orgFile.isNew) {
+      missing.push({ file });
+    } else if (orgFile.error) {
+      failed.push({ file, error: orgFile.error });
+    } else if (sourceTracking.isSameContent(file.filePath, fs.readFileSync(file.filePath, 'utf8'), orgFile.content)) {
+      identical++;
+    } else {
+      differing.push({ file, content: orgFile.content });
+    }
+  }
+
+  const summary = `${orgLabel}: ${differing.length} differ · ${missing.length} not in org · ${identical} identical` +
+    (failed.length ? ` · ${failed.length} failed` : '');
+  logger.log(`Compared ${scopeLabel} with ${summary}`);
+  failed.forEach(({ file, error }) => logger.log(`Could not compare ${file.filePath} with ${orgLabel}: ${error}`, 'WARN'));
+
+  if (differing.length === 0 && missing.length === 0) {
+    vscode.window.showInformationMessage(`${scopeLabel} matches ${summary}`);
+    return;
+  }
+
+  const toItem = (icon, description) => ({ file, content }) => ({
+    label: `${icon} ${path.basename(file.filePath)}`,
+    description,
+    detail: vscode.workspace.asRelativePath(file.filePath),
+    file,
+    content,
+  });
+
+  const quickPick = vscode.window.createQuickPick();
+  quickPick.title = `Compare ${scopeLabel} with ${orgLabel}`;
+  quickPick.placeholder = `${summary} - select a file to open its diff`;
+  quickPick.matchOnDetail = true;
+  quickPick.ignoreFocusOut = true;
+  quickPick.items = [
+    ...differing.map(toItem('$(diff)', 'Differs')),
+    ...missing.map(toItem('$(add)', `Not in ${orgLabel}`)),
+    ...failed.map(({ file, error }) => toItem('$(error)', error)({ file })),
+  ];
+
+  quickPick.onDidAccept(async () => {
+    const item = quickPick.selectedItems[0];
+    if (item?.content !== undefined) {
+      await openDiff(vscode.Uri.file(item.file.filePath), item.content, orgLabel, org.username, { preview: true, preserveFocus: true });
+    } else if (item) {
+      await vscode.window.showTextDocument(vscode.Uri.file(item.file.filePath), { preview: true, preserveFocus: true });
+    }
+  });
+  quickPick.onDidHide(() => quickPick.dispose());
+  quickPick.show();
+}
+
+/**
+ * Dispose the org content provider
+ */
+export function dispose() {
+  if (registration) {
+    registration.dispose();
+    registration = null;
+  }
+  if (contentProvider) {
+    contentProvider.dispose();
+    contentProvider = null;
+  }
+}
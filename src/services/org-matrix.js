@@ -0,0 +1,381 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import * as logger from '../lib/logger.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import {
+  MATRIX_STATES,
+  resolveCell,
+  formatCellState,
+  formatCellDetails,
+  getCellSymbol,
+  toCsv,
+  toMarkdown,
+} from '../lib/org-matrix.js';
+import * as sourceTracking from './source-tracking.js';
+import * as orgDiff from './org-diff.js';
+import * as orgPicker from './org-picker.js';
+
+/**
+ * Org Matrix Service
+ * Tree view showing, for every component of a folder or project, whether it exists in each
+ * selected org and whether it matches the local version there
+ */
+
+// Icon per cell state, most urgent first (a component shows its most urgent state)
+const STATE_ICONS = [
+  [MATRIX_STATES.DIFFERENT, 'diff', 'gitDecoration.modifiedResourceForeground'],
+  [MATRIX_STATES.MISSING, 'close', 'list.errorForeground'],
+  [MATRIX_STATES.ERROR, 'warning', 'list.warningForeground'],
+  [MATRIX_STATES.PRESENT, 'circle-filled', 'descriptionForeground'],
+  [MATRIX_STATES.IDENTICAL, 'check', 'testing.iconPassed'],
+];
+
+// Tree data provider instance
+let treeDataProvider = null;
+let treeView = null;
+
+// Last built matrix, and what it was built from (for refresh)
+let matrix = null;
+let matrixSource = null;
+let isLoading = false;
+
+/**
+ * Get the theme icon of a cell state
+ * @param {string} state
+ * @returns {vscode.ThemeIcon}
+ */
+function getStateIcon(state) {
+  const [, icon, color] = STATE_ICONS.find(([candidate]) => candidate === state);
+  return new vscode.ThemeIcon(icon, new vscode.ThemeColor(color));
+}
+
+/**
+ * Get the most urgent state among a component's cells
+ * @param {import('../lib/org-matrix.js').MatrixCell[]} cells
+ * @returns {string}
+ */
+function getRowState(cells) {
+  return STATE_ICONS.find(([state]) => cells.some((cell) => cell.state === state))[0];
+}
+
+/**
+ * Tree data provider for the org matrix
+ */
+class OrgMatrixTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (!element) {
+      return this.getRootItems();
+    }
+    if (element.contextValue === 'matrixType') {
+      return element.rows.map((row) => this.getComponentItem(row));
+    }
+    if (element.contextValue === 'matrixComponent') {
+      return this.getCellItems(element.row);
+    }
+    return [];
+  }
+
+  getRootItems() {
+    if (isLoading) {
+      const item = new vscode.TreeItem('Comparing with orgs...', vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('sync~spin');
+      return [item];
+    }
+    if (!matrix) {
+      return [];
+    }
+
+    const rowsByType = new Map();
+    for (const row of matrix.rows) {
+      if (!rowsByType.has(row.type)) {
+        rowsByType.set(row.type, []);
+      }
+      rowsByType.get(row.type).push(row);
+    }
+
+    const header = new vscode.TreeItem(matrix.orgs.map((org) => org.label).join(' · '), vscode.TreeItemCollapsibleState.None);
+    header.description = `${matrix.scope} · ${new Date(matrix.generatedAt).toLocaleString()}`;
+    header.iconPath = new vscode.ThemeIcon('table');
+    header.contextValue = 'matrixHeader';
+
+    const typeItems = [...rowsByType].map(([type, rows]) => {
+      const item = new vscode.TreeItem(type, vscode.TreeItemCollapsibleState.Expanded);
+      item.description = `${rows.length} component${rows.length === 1 ? '' : 's'}`;
+      item.contextValue = 'matrixType';
+      item.rows = rows;
+      return item;
+    });
+
+    return [header, ...typeItems];
+  }
+
+  getComponentItem(row) {
+    const item = new vscode.TreeItem(row.name, vscode.TreeItemCollapsibleState.Collapsed);
+    item.description = row.cells.map((cell, index) => `${matrix.orgs[index].label} ${getCellSymbol(cell)}`).join('  ');
+    item.iconPath = getStateIcon(getRowState(row.cells));
+    item.tooltip = new vscode.MarkdownString(
+      `**${row.name}** (${row.type})\n\n` +
+      row.cells.map((cell, index) => {
+        const details = formatCellDetails(cell);
+        return `- ${matrix.orgs[index].label}: ${formatCellState(cell)}${details ? ` - ${details}` : ''}`;
+      }).join('\n')
+    );
+    item.resourceUri = vscode.Uri.file(row.filePaths[0]);
+    item.contextValue = 'matrixComponent';
+    item.row = row;
+    return item;
+  }
+
+  getCellItems(row) {
+    return row.cells.map((cell, index) => {
+      const org = matrix.orgs[index];
+      const item = new vscode.TreeItem(org.label, vscode.TreeItemCollapsibleState.None);
+      const details = formatCellDetails(cell);
+      item.description = details ? `${formatCellState(cell)} · ${details}` : formatCellState(cell);
+      item.iconPath = getStateIcon(cell.state);
+      item.contextValue = 'matrixCell';
+
+      // Differences open a diff of the first file that differs in that org
+      if (cell.state === MATRIX_STATES.DIFFERENT) {
+        item.command = {
+          command: 'sf-metadata-tracker.openOrgMatrixDiff',
+          title: 'Compare with Org',
+          // The diff title shows the column's alias rather than the username
+          arguments: [cell.differingFiles?.[0] || row.filePaths[0], { username: org.username, alias: org.label }],
+        };
+      }
+      return item;
+    });
+  }
+}
+
+/**
+ * Compare every component with every org
+ * @param {Array<{filePath: string, name: string, type: string}>} files
+ * @param {import('../lib/org-list.js').OrgListEntry[]} orgs
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @returns {Promise<import('../lib/org-matrix.js').MatrixRow[]>}
+ */
+async function compareWithOrgs(files, orgs, progress) {
+  // Each SFDX project runs its own queries and retrieves
+  const filesByProject = new Map();
+  for (const file of files) {
+    const root = sfdxProject.getProjectRoot(file.filePath);
+    if (!filesByProject.has(root)) {
+      filesByProject.set(root, []);
+    }
+    filesByProject.get(root).push(file);
+  }
+
+  // Component rows, with one list of file comparisons and one status per org
+  const rows = new Map();
+  for (const file of files) {
+    const key = `${file.type}:${file.name}`;
+    if (!rows.has(key)) {
+      rows.set(key, { type: file.type, name: file.name, filePaths: [], statuses: orgs.map(() => ({})), comparisons: orgs.map(() => []) });
+    }
+    rows.get(key).filePaths.push(file.filePath);
+  }
+
+  for (const [index, org] of orgs.entries()) {
+    const orgLabel = org.alias || org.username;
+    for (const projectFiles of filesByProject.values()) {
+      progress.report({ message: `${orgLabel}: checking ${projectFiles.length} files...` });
+      const statuses = await sourceTracking.fetchOrgStatuses(projectFiles, org.username);
+      const contents = await sourceTracking.fetchOrgContents(projectFiles, org.username, (current, total) => {
+        progress.report({ message: `${orgLabel}: ${current}/${total} files compared` });
+      });
+
+      for (const file of projectFiles) {
+        const row = rows.get(`${file.type}:${file.name}`);
+        // Bundle files share their component's status
+        row.statuses[index] = statuses.get(file.filePath) || { error: 'Not queried' };
+
+        const orgFile = contents.get(file.filePath) || { error: 'Not compared' };
+        row.comparisons[index].push(orgFile.content !== undefined
+          ? { filePath: file.filePath, same: sourceTracking.isSameContent(file.filePath, fs.readFileSync(file.filePath, 'utf8'), orgFile.content) }
+          : { filePath: file.filePath, isNew: orgFile.isNew, error: orgFile.error });
+      }
+    }
+  }
+
+  return [...rows.values()]
+    .map(({ type, name, filePaths, statuses, comparisons }) => ({
+      type,
+      name,
+      filePaths,
+      cells: orgs.map((_org, index) => resolveCell(statuses[index], comparisons[index])),
+    }))
+    .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the matrix
+ * @param {vscode.Uri | undefined} folderUri - Folder to cover, defaults to the active project
+ * @param {import('../lib/org-list.js').OrgListEntry[]} orgs
+ */
+async function buildMatrix(folderUri, orgs) {
+  const scope = folderUri ? vscode.workspace.asRelativePath(folderUri) : path.basename(sfdxProject.getActiveProjectRoot() || 'project');
+  const files = await orgDiff.findFilesToCompare(folderUri);
+  if (files.length === 0) {
+    vscode.window.showInformationMessage(`No Salesforce source files found in ${scope}.`);
+    return;
+  }
+
+  matrixSource = { folderUri, orgs };
+  isLoading = true;
+  treeDataProvider?.refresh();
+  await vscode.commands.executeCommand('sfOrgMatrix.focus');
+
+  try {
+    const rows = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Org Matrix: ${scope}`,
+      cancellable: false,
+    }, (progress) => compareWithOrgs(files, orgs, progress));
+
+    matrix = {
+      scope,
+      generatedAt: new Date().toISOString(),
+      orgs: orgs.map((org) => ({ username: org.username, label: org.alias || org.username })),
+      rows,
+    };
+    logger.log(`Org matrix built for ${scope}: ${rows.length} components × ${orgs.length} orgs`);
+  } catch (error) {
+    logger.log(`Org matrix failed: ${error.message}`, 'WARN');
+    vscode.window.showErrorMessage(`Could not build the org matrix: ${error.message}`);
+  } finally {
+    isLoading = false;
+    treeDataProvider?.refresh();
+  }
+}
+
+/**
+ * Pick orgs and build the matrix for a folder or the active project
+ * @param {vscode.Uri} [uri] - Folder from the explorer
+ */
+export async function showOrgMatrix(uri) {
+  const folderUri = uri instanceof vscode.Uri && fs.existsSync(uri.fsPath) && fs.statSync(uri.fsPath).isDirectory() ? uri : undefined;
+
+  const orgs = await orgPicker.pickOrgs({ placeHolder: 'Select the orgs to compare (columns of the matrix, in list order)' });
+  if (!orgs) return;
+
+  await buildMatrix(folderUri, orgs);
+}
+
+/**
+ * Rebuild the matrix with the same scope and orgs
+ */
+export async function refresh() {
+  if (!matrixSource) {
+    await showOrgMatrix();
+    return;
+  }
+  await buildMatrix(matrixSource.folderUri, matrixSource.orgs);
+}
+
+/**
+ * Export the matrix to a CSV or Markdown file
+ */
+export async function exportMatrix() {
+  if (!matrix) {
+    vscode.window.showWarningMessage('No org matrix to export. Build one first.');
+    return;
+  }
+
+  const format = await vscode.window.showQuickPick([
+    { label: '$(file) CSV', description: 'Comma-separated values file', value: 'csv' },
+    { label: '$(markdown) Markdown', description: 'Table for release readiness reviews', value: 'md' },
+  ], {
+    placeHolder: 'Select export format',
+  });
+  if (!format) return;
+
+  const content = format.value === 'csv' ? toCsv(matrix) : toMarkdown(matrix);
+  const defaultFileName = `org-matrix-${matrix.generatedAt.split('T')[0]}.${format.value}`;
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(sfdxProject.getActiveProjectRoot() || '', defaultFileName)),
+    filters: format.value === 'csv'
+      ? { 'CSV Files': ['csv'], 'All Files': ['*'] }
+      : { 'Markdown Files': ['md'], 'All Files': ['*'] },
+    title: 'Export Org Matrix',
+  });
+  if (!uri) return;
+
+  try {
+    fs.writeFileSync(uri.fsPath, content, 'utf8');
+    const action = await vscode.window.showInformationMessage(`Org matrix exported to ${path.basename(uri.fsPath)}`, 'Open File');
+    if (action === 'Open File') {
+      await vscode.window.showTextDocument(uri);
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`Failed to export org matrix: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize the org matrix view
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  treeDataProvider = new OrgMatrixTreeDataProvider();
+  treeView = vscode.window.createTreeView('sfOrgMatrix', {
+    treeDataProvider,
+    showCollapseAll: true,
+  });
+  context.subscriptions.push(treeView);
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.buildOrgMatrix', async (uri) => {
+      await showOrgMatrix(uri);
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.refreshOrgMatrix', async () => {
+      await refresh();
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.exportOrgMatrix', async () => {
+      await exportMatrix();
+    })
+  );
+
+  // Open the diff behind a "different" cell
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.openOrgMatrixDiff', async (filePath, org) => {
+      if (!filePath || !org) return;
+      await orgDiff.compareWithOtherOrg(vscode.Uri.file(filePath), org);
+    })
+  );
+
+  logger.log('Org matrix view initialized');
+}
+
+/**
+ * Dispose the org matrix view
+ */
+export function dispose() {
+  matrix = null;
+  matrixSource = null;
+  treeView?.dispose();
+  treeView = null;
+  treeDataProvider = null;
+}
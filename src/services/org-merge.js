@@ -0,0 +1,114 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as sourceTracking from './source-tracking.js';
+import * as git from '../lib/git.js';
+import { mergeThreeWay } from '../lib/merge.js';
+import { EXTENSION_ID } from '../lib/constants.js';
+
+/**
+ * Org Merge Service
+ * Three-way merges the org version of a file into the local copy, using git history
+ * for the common ancestor
+ */
+
+/**
+ * Merge the org version of a file into the local editor contents
+ * Hunks changed on one side only are applied automatically; hunks changed on both
+ * sides are left as standard conflict markers. The result is not saved.
+ * @param {vscode.Uri} [uri] - File to merge, defaults to the active editor
+ * @returns {Promise<vscode.Uri | null>} The merged file, or null when nothing was merged
+ */
+export async function mergeWithOrg(uri) {
+  const localUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+  if (!localUri) {
+    vscode.window.showWarningMessage('No file is currently open.');
+    return null;
+  }
+
+  const filePath = localUri.fsPath;
+  const metadataInfo = sourceTracking.getMetadataTypeFromPath(filePath);
+  if (!metadataInfo) {
+    vscode.window.showWarningMessage('This is not a supported Salesforce metadata file.');
+    return null;
+  }
+
+  const fileName = path.basename(filePath);
+  const document = await vscode.workspace.openTextDocument(localUri);
+
+  const { orgFile, orgFileStatus, base } = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Preparing merge of ${metadataInfo.name} with org...`,
+    cancellable: false,
+  }, async () => {
+    const orgFileStatus = await sourceTracking.getFileOrgStatus(filePath);
+    const orgFile = await sourceTracking.getOrgFileContent(filePath);
+    if (orgFile.isNew || orgFile.error) {
+      return { orgFile };
+    }
+    const base = await git.findMergeBase(filePath, orgFile.content);
+    return { orgFile, orgFileStatus, base };
+  });
+
+  if (orgFile.isNew) {
+    vscode.window.showInformationMessage(`${metadataInfo.name} does not exist in the org yet. Nothing to merge.`);
+    return null;
+  }
+
+  if (orgFile.error) {
+    vscode.window.showErrorMessage(`Could not retrieve ${metadataInfo.name} from org: ${orgFile.error}`);
+    return null;
+  }
+
+  const localContent = document.getText();
+  if (sourceTracking.isSameContent(filePath, localContent, orgFile.content)) {
+    vscode.window.showInformationMessage(`${fileName} already matches the org.`);
+    return null;
+  }
+
+  if (!base) {
+    const action = await vscode.window.showWarningMessage(
+      `No git history found for ${fileName}, so there is no common ancestor to merge from.`,
+      'Compare with Org'
+    );
+    if (action === 'Compare with Org') {
+      await vscode.commands.executeCommand(`${EXTENSION_ID}.compareWithOrg`, localUri);
+    }
+    return null;
+  }
+
+  const orgStatus = sourceTracking.getCachedOrgConnection(filePath);
+  const orgLabel = orgStatus.alias || orgStatus.username || 'Org';
+  const result = mergeThreeWay(localContent, base.content, orgFile.content, {
+    localLabel: 'Local',
+    otherLabel: `Org (${orgLabel})`,
+  });
+
+  if (result.content !== localContent) {
+    const edit = new vscode.WorkspaceEdit();
+    const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(localContent.length));
+    edit.replace(localUri, fullRange, result.content);
+
+    if (!(await vscode.workspace.applyEdit(edit))) {
+      vscode.window.showErrorMessage(`Could not apply the merge to ${fileName}.`);
+      return null;
+    }
+  }
+
+  await vscode.window.showTextDocument(document);
+
+  // The org version is now part of the local copy
+  sourceTracking.recordMerge(filePath, orgFile.content, orgFileStatus);
+
+  if (result.conflicts > 0) {
+    vscode.window.showWarningMessage(
+      `Merged ${fileName} with ${orgLabel} (base: ${base.ref}). ` +
+      `${result.conflicts} conflicting ${result.conflicts === 1 ? 'hunk needs' : 'hunks need'} resolving before you save and deploy.`
+    );
+  } else {
+    vscode.window.showInformationMessage(
+      `Merged ${fileName} with ${orgLabel} (base: ${base.ref}) without conflicts. Review, save, then deploy.`
+    );
+  }
+
+  return localUri;
+}
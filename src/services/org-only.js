@@ -0,0 +1,314 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as logger from '../lib/logger.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { findOrgOnlyComponents } from '../lib/org-inventory.js';
+import * as sourceTracking from './source-tracking.js';
+import * as fileDecorations from './file-decorations.js';
+import * as orgDiff from './org-diff.js';
+
+/**
+ * Org-Only Components Service
+ * Tree view listing components that exist in the target org but not in the local project
+ * (built in the Developer Console, Setup or another project), with retrieve-to-project actions
+ */
+
+// Tree data provider instance
+let treeDataProvider = null;
+let treeView = null;
+
+// Org-only components of the last search, and where they were searched
+let components = [];
+let searchedProject = null;
+let searchedOrg = null;
+let searchedUsername = null;
+let searchError = null;
+let isLoading = false;
+
+// Types that could not be listed in the last search (the list is incomplete without them)
+let failedTypes = [];
+
+/**
+ * Tree item for an org-only component
+ */
+class OrgOnlyComponentItem extends vscode.TreeItem {
+  /**
+   * @param {import('../lib/org-inventory.js').OrgComponent} component
+   */
+  constructor(component) {
+    super(component.name, vscode.TreeItemCollapsibleState.None);
+    this.component = component;
+    this.contextValue = 'orgOnlyComponent';
+    this.iconPath = new vscode.ThemeIcon('cloud', new vscode.ThemeColor('gitDecoration.untrackedResourceForeground'));
+
+    const modified = component.lastModifiedDate ? sourceTracking.formatDate(component.lastModifiedDate) : null;
+    this.description = [component.lastModifiedBy, modified].filter(Boolean).join(' · ');
+    this.tooltip = `${component.type}: ${component.name}\n` +
+      `Only in ${searchedOrg}` +
+      (component.lastModifiedBy ? `\nLast modified by ${component.lastModifiedBy} (${modified})` : '') +
+      '\n\nRetrieve to add it to the project';
+  }
+}
+
+/**
+ * Tree data provider for org-only components
+ */
+class OrgOnlyTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.children || [];
+    }
+
+    if (isLoading) {
+      const item = new vscode.TreeItem('Listing org components...', vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('sync~spin');
+      return [item];
+    }
+    if (searchError) {
+      const item = new vscode.TreeItem(searchError, vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('warning');
+      item.command = { command: 'sf-metadata-tracker.refreshOrgOnlyComponents', title: 'Retry' };
+      return [item];
+    }
+    if (!searchedOrg) {
+      // Welcome content until the first search
+      return [];
+    }
+
+    const items = [];
+    if (failedTypes.length > 0) {
+      const item = new vscode.TreeItem(`Could not list ${failedTypes.length} type(s) - results are incomplete`, vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+      item.tooltip = `Not listed: ${failedTypes.join(', ')}\n\nClick to search again`;
+      item.command = { command: 'sf-metadata-tracker.refreshOrgOnlyComponents', title: 'Retry' };
+      items.push(item);
+    }
+
+    if (components.length === 0) {
+      const item = failedTypes.length > 0
+        ? new vscode.TreeItem('No org-only components among the listed types', vscode.TreeItemCollapsibleState.None)
+        : new vscode.TreeItem(`Every component in ${searchedOrg} is in the project`, vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'));
+      return [...items, item];
+    }
+
+    const byType = new Map();
+    for (const component of components) {
+      if (!byType.has(component.type)) {
+        byType.set(component.type, []);
+      }
+      byType.get(component.type).push(new OrgOnlyComponentItem(component));
+    }
+
+    return [...items, ...[...byType].map(([type, children]) => {
+      const item = new vscode.TreeItem(type, vscode.TreeItemCollapsibleState.Expanded);
+      item.description = `${children.length}`;
+      item.contextValue = 'orgOnlyType';
+      item.children = children;
+      return item;
+    })];
+  }
+}
+
+/**
+ * List the org-only components of the active project's target org
+ */
+async function findComponents() {
+  const projectRoot = sfdxProject.getActiveProjectRoot();
+  const orgStatus = await sourceTracking.checkOrgConnection();
+  if (!orgStatus.connected) {
+    searchError = `Not connected to org: ${orgStatus.error || 'no default org'}`;
+    treeDataProvider?.refresh();
+    return;
+  }
+
+  isLoading = true;
+  searchError = null;
+  treeDataProvider?.refresh();
+
+  try {
+    await vscode.window.withProgress({
+      location: { viewId: 'sfOrgOnlyComponents' },
+      title: 'Listing org components',
+    }, async () => {
+      const localFiles = await orgDiff.findFilesToCompare();
+      const definitions = metadataRegistry.getMetadataTypes();
+      const childTypes = new Set(definitions.filter((definition) => definition.parentDirectory).map((definition) => definition.type));
+
+      const orgComponents = [];
+      const failures = [];
+      for (const definition of definitions) {
+        try {
+          orgComponents.push(...await sourceTracking.listOrgComponents(definition.type, projectRoot));
+        } catch (error) {
+          logger.log(`Could not list ${definition.type} components: ${error.message}`, 'WARN');
+          failures.push({ type: definition.type, error });
+        }
+      }
+
+      // Nothing listed is not an empty org (expired session, network, API limits)
+      if (definitions.length > 0 && failures.length === definitions.length) {
+        throw failures[0].error;
+      }
+
+      failedTypes = failures.map((failure) => failure.type);
+      components = findOrgOnlyComponents(orgComponents, localFiles, childTypes)
+        .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+      searchedProject = projectRoot;
+      searchedOrg = orgStatus.alias || orgStatus.username;
+      searchedUsername = orgStatus.username;
+    });
+    logger.log(`Found ${components.length} org-only components in ${searchedOrg}`);
+  } catch (error) {
+    logger.log(`Org-only component search failed: ${error.message}`, 'WARN');
+    searchError = `Could not list org components: ${error.message}`;
+    components = [];
+    failedTypes = [];
+  } finally {
+    isLoading = false;
+    treeDataProvider?.refresh();
+  }
+}
+
+/**
+ * Collect the components behind the clicked or selected tree items
+ * @param {vscode.TreeItem} [item] - Clicked item
+ * @param {vscode.TreeItem[]} [selectedItems] - All selected items (multi-select)
+ * @returns {import('../lib/org-inventory.js').OrgComponent[]}
+ */
+function getSelectedComponents(item, selectedItems) {
+  const items = selectedItems?.length ? selectedItems : (item ? [item] : treeView?.selection || []);
+  const selected = new Set();
+  for (const selectedItem of items) {
+    if (selectedItem.component) {
+      selected.add(selectedItem.component);
+    }
+    // A type retrieves all of its components
+    (selectedItem.children || []).forEach((child) => selected.add(child.component));
+  }
+  return [...selected];
+}
+
+/**
+ * Retrieve the clicked or selected org-only components into the project
+ * @param {vscode.TreeItem} [item]
+ * @param {vscode.TreeItem[]} [selectedItems]
+ */
+export async function retrieveComponents(item, selectedItems) {
+  const selected = getSelectedComponents(item, selectedItems);
+  if (selected.length === 0) {
+    vscode.window.showInformationMessage('Select the org-only components to retrieve.');
+    return;
+  }
+
+  // The list describes the org at search time - the target org may have been switched since
+  const orgStatus = await sourceTracking.checkOrgConnection(path.join(searchedProject, 'sfdx-project.json'));
+  if (orgStatus.username !== searchedUsername) {
+    const action = await vscode.window.showWarningMessage(
+      `The target org is no longer ${searchedOrg}. Search the current org again?`,
+      'Search Again'
+    );
+    if (action === 'Search Again') {
+      await findComponents();
+    }
+    return;
+  }
+
+  const label = selected.length === 1 ? selected[0].name : `${selected.length} components`;
+  const confirm = await vscode.window.showInformationMessage(
+    `Retrieve ${label} from ${searchedOrg} into ${path.basename(searchedProject)}?`,
+    'Retrieve',
+    'Cancel'
+  );
+  if (confirm !== 'Retrieve') return;
+
+  const result = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Retrieving ${label} from ${searchedOrg}...`,
+    cancellable: false,
+  }, () => sourceTracking.retrieveMetadata(selected, searchedProject));
+
+  if (!result.success) {
+    vscode.window.showErrorMessage(`Retrieve failed: ${result.error}`);
+    return;
+  }
+
+  components = components.filter((component) => !selected.includes(component));
+  treeDataProvider?.refresh();
+  fileDecorations.refreshDecorations();
+
+  const sourceFiles = result.files.filter((filePath) => metadataRegistry.isTrackedFile(filePath) &&
+    metadataRegistry.getSourceFilePath(filePath) === filePath);
+  const action = await vscode.window.showInformationMessage(
+    `Retrieved ${label} (${result.files.length} files)`,
+    ...(sourceFiles.length > 0 ? ['Open'] : [])
+  );
+  if (action === 'Open') {
+    await vscode.window.showTextDocument(vscode.Uri.file(sourceFiles[0]));
+  }
+}
+
+/**
+ * Search the target org for org-only components again
+ */
+export async function refresh() {
+  await findComponents();
+}
+
+/**
+ * Initialize the org-only components view
+ * Listing every tracked type takes one CLI call per type, so the view is filled on request.
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  treeDataProvider = new OrgOnlyTreeDataProvider();
+  treeView = vscode.window.createTreeView('sfOrgOnlyComponents', {
+    treeDataProvider,
+    showCollapseAll: true,
+    canSelectMany: true,
+  });
+  context.subscriptions.push(treeView);
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.refreshOrgOnlyComponents', async () => {
+      await refresh();
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sf-metadata-tracker.retrieveOrgOnlyComponents', async (item, selectedItems) => {
+      await retrieveComponents(item, selectedItems);
+    })
+  );
+
+  logger.log('Org-only components view initialized');
+}
+
+/**
+ * Dispose the org-only components view
+ */
+export function dispose() {
+  components = [];
+  searchedProject = null;
+  searchedOrg = null;
+  searchedUsername = null;
+  searchError = null;
+  failedTypes = [];
+  treeView?.dispose();
+  treeView = null;
+  treeDataProvider = null;
+}
@@ -0,0 +1,174 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as shell from '../lib/shell.js';
+import * as logger from '../lib/logger.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { parseOrgList, formatOrgLabel } from '../lib/org-list.js';
+import * as sourceTracking from './source-tracking.js';
+import * as fileDecorations from './file-decorations.js';
+import * as statusBar from './status-bar.js';
+import * as codeCoverage from './code-coverage.js';
+import * as orgConfigWatcher from './org-config-watcher.js';
+
+/**
+ * Org picker service
+ * Lists the authorized orgs from `sf org list` and switches the default target org
+ */
+
+/**
+ * List the orgs authorized in the CLI
+ * @param {string} [cwd] - SFDX project whose default org is marked (defaults to the active project)
+ * @returns {Promise<import('../lib/org-list.js').OrgListEntry[]>}
+ */
+export async function listOrgs(cwd) {
+  // Non-scratch orgs are connection-checked, which can take a while with many orgs
+  const result = await shell.execCommandWithTimeout('sf org list --json', 120000, { cwd: cwd || sfdxProject.getActiveProjectRoot() });
+  const data = JSON.parse(result);
+  if (data.status !== 0) {
+    throw new Error(data.message || 'Could not list orgs');
+  }
+  return parseOrgList(data.result);
+}
+
+/**
+ * Build the quick pick item of an org
+ * @param {import('../lib/org-list.js').OrgListEntry} org
+ * @returns {vscode.QuickPickItem & {org: Object}}
+ */
+function toQuickPickItem(org) {
+  const details = [org.orgType, org.status];
+  if (org.expirationDate) {
+    details.push(`Expires ${org.expirationDate}`);
+  }
+
+  return {
+    label: `${org.isDefault ? '$(pass-filled)' : org.connected ? '$(circle-large-outline)' : '$(warning)'} ${org.alias || org.username}`,
+    description: org.alias ? org.username : undefined,
+    detail: details.join(' · '),
+    org,
+  };
+}
+
+/**
+ * Show the authorized orgs in a quick pick
+ * @param {Object} options - Quick pick options, plus cwd (SFDX project whose default org is marked)
+ * @returns {Promise<Object | Object[] | undefined>} Selected quick pick item(s)
+ */
+async function showOrgQuickPick(options) {
+  let listError = null;
+  const items = listOrgs(options.cwd)
+    .then((orgs) => orgs.map(toQuickPickItem))
+    .catch((error) => {
+      listError = error;
+      return [];
+    });
+
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: options.placeHolder || 'Select an org',
+    matchOnDescription: true,
+    matchOnDetail: true,
+    canPickMany: options.canPickMany,
+  });
+
+  if (listError) {
+    logger.log(`Could not list orgs: ${listError.message}`, 'WARN');
+    vscode.window.showErrorMessage(`Could not list orgs: ${listError.message}`);
+  }
+
+  return selected;
+}
+
+/**
+ * Let the user pick an authorized org
+ * @param {Object} [options]
+ * @param {string} [options.placeHolder]
+ * @param {string} [options.cwd] - SFDX project whose default org is marked
+ * @returns {Promise<import('../lib/org-list.js').OrgListEntry | undefined>}
+ */
+export async function pickOrg(options = {}) {
+  const selected = await showOrgQuickPick(options);
+  return selected?.org;
+}
+
+/**
+ * Let the user pick several authorized orgs, in list order
+ * @param {Object} [options]
+ * @param {string} [options.placeHolder]
+ * @param {string} [options.cwd] - SFDX project whose default org is marked
+ * @returns {Promise<import('../lib/org-list.js').OrgListEntry[] | undefined>}
+ */
+export async function pickOrgs(options = {}) {
+  const selected = await showOrgQuickPick({ ...options, canPickMany: true });
+  return selected?.length ? selected.map((item) => item.org) : undefined;
+}
+
+/**
+ * Switch the default target org of the active SFDX project, or globally
+ * The switch is verified against `sf org display` before decorations are refreshed.
+ */
+export async function switchDefaultOrg() {
+  const projectRoot = sfdxProject.getActiveProjectRoot();
+
+  const org = await pickOrg({ placeHolder: 'Select the org to use as default target org', cwd: projectRoot });
+  if (!org) return;
+
+  if (!org.connected) {
+    const proceed = await vscode.window.showWarningMessage(
+      `${formatOrgLabel(org)} reports "${org.status}". Use it anyway?`,
+      'Use Org',
+      'Cancel'
+    );
+    if (proceed !== 'Use Org') return;
+  }
+
+  const scope = await vscode.window.showQuickPick([
+    { label: '$(folder) This Project', description: `${path.basename(projectRoot || '')} (.sf/config.json)`, global: false },
+    { label: '$(globe) Globally', description: 'All projects without their own target org', global: true },
+  ], {
+    placeHolder: `Set ${org.alias || org.username} as target org for...`,
+  });
+  if (!scope) return;
+
+  try {
+    const result = await shell.execCommandWithTimeout(
+      `sf config set target-org="${org.username}"${scope.global ? ' --global' : ''} --json`,
+      30000,
+      { cwd: projectRoot }
+    );
+    const data = JSON.parse(result);
+    if (data.status !== 0 || data.result?.failures?.length) {
+      throw new Error(data.result?.failures?.[0]?.message || data.message || 'sf config set failed');
+    }
+  } catch (error) {
+    logger.log(`Could not set target org: ${error.message}`, 'WARN');
+    vscode.window.showErrorMessage(`Could not set target org: ${error.message}`);
+    return;
+  }
+
+  // The refresh below covers this change - don't let the config watcher rescan again
+  await orgConfigWatcher.refreshSnapshot();
+
+  sourceTracking.clearOrgCache();
+  const orgStatus = await sourceTracking.checkOrgConnection();
+
+  if (!orgStatus.connected) {
+    vscode.window.showErrorMessage(`Target org set to ${formatOrgLabel(org)}, but connecting failed: ${orgStatus.error}`);
+  } else if (orgStatus.username !== org.username) {
+    // A project-level target org takes precedence over the global one
+    vscode.window.showWarningMessage(
+      `Target org set globally, but this project still uses ${orgStatus.alias || orgStatus.username} from its own .sf/config.json.`
+    );
+  } else {
+    vscode.window.showInformationMessage(`Default org set to: ${formatOrgLabel(org)}`);
+  }
+
+  // Everything cached so far describes the previous org
+  sourceTracking.clearSourceCache();
+  codeCoverage.clearCache();
+
+  const editor = vscode.window.activeTextEditor;
+  if (editor) {
+    statusBar.updateSyncStatus(editor.document.uri.fsPath);
+  }
+  await fileDecorations.refreshAll(true);
+}
@@ -0,0 +1,297 @@
+import * as vscode from 'vscode';
+import * as logger from '../lib/logger.js';
+import * as jobQueue from '../lib/job-queue.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import * as sourceTracking from './source-tracking.js';
+import * as fileDecorations from './file-decorations.js';
+import * as statusBar from './status-bar.js';
+import * as orgDiff from './org-diff.js';
+
+/**
+ * Org watcher service
+ * Optionally polls the org's LastModifiedDate of open and recently touched files (or the whole
+ * project) and notifies when someone else modifies one of them in the org
+ */
+
+// Files saved or opened within this window count as recently touched
+const RECENT_WINDOW_MS = 30 * 60 * 1000;
+
+// Components per LastModifiedDate query (same batch size as the workspace scan)
+const POLL_BATCH_SIZE = 50;
+
+// Longest poll interval while the window is unfocused, as a multiple of the configured interval
+const MAX_BACKOFF = 8;
+
+// Poll timer and event subscriptions to dispose
+let pollTimer = null;
+let disposables = [];
+let isPolling = false;
+
+// Current backoff multiplier (1 while the window is focused) and time of the last poll
+let backoff = 1;
+let lastPollAt = 0;
+
+// Last seen org LastModifiedDate ("username|filePath" -> date)
+const lastSeen = new Map();
+
+// Recently saved or opened files (filePath -> time)
+const recentFiles = new Map();
+
+/**
+ * Read the watcher settings
+ * @returns {{enabled: boolean, intervalMs: number, scope: 'openFiles' | 'project'}}
+ */
+function getSettings() {
+  const config = vscode.workspace.getConfiguration('sfMetadataTracker');
+  return {
+    enabled: config.get('watchOrgChanges', false),
+    intervalMs: Math.max(config.get('watchInterval', 120) || 120, 30) * 1000,
+    scope: config.get('watchScope', 'openFiles'),
+  };
+}
+
+/**
+ * Remember a saved or opened file as recently touched
+ * @param {vscode.TextDocument} document
+ */
+function touchFile(document) {
+  if (document.uri.scheme === 'file' && metadataRegistry.isTrackedFile(document.uri.fsPath)) {
+    recentFiles.set(metadataRegistry.getSourceFilePath(document.uri.fsPath), Date.now());
+  }
+}
+
+/**
+ * Collect the files to poll for the configured scope
+ * @param {'openFiles' | 'project'} scope
+ * @returns {Promise<Array<{filePath: string, name: string, type: string}>>}
+ */
+async function getWatchedFiles(scope) {
+  if (scope === 'project') {
+    return orgDiff.findFilesToCompare();
+  }
+
+  const filePaths = new Set();
+  if (vscode.window.tabGroups) {
+    for (const group of vscode.window.tabGroups.all) {
+      for (const tab of group.tabs) {
+        if (tab.input instanceof vscode.TabInputText && tab.input.uri.scheme === 'file') {
+          filePaths.add(tab.input.uri.fsPath);
+        }
+      }
+    }
+  } else {
+    // VS Code before 1.67 has no tab API - use the documents it has loaded instead
+    for (const document of vscode.workspace.textDocuments) {
+      if (document.uri.scheme === 'file') {
+        filePaths.add(document.uri.fsPath);
+      }
+    }
+  }
+  for (const [filePath, touchedAt] of recentFiles) {
+    if (Date.now() - touchedAt < RECENT_WINDOW_MS) {
+      filePaths.add(filePath);
+    } else {
+      recentFiles.delete(filePath);
+    }
+  }
+
+  const files = new Map();
+  for (const filePath of filePaths) {
+    if (!metadataRegistry.isTrackedFile(filePath) || !sfdxProject.isProjectSourceFile(filePath)) continue;
+    const sourcePath = metadataRegistry.getSourceFilePath(filePath);
+    const metadataInfo = sourceTracking.getMetadataTypeFromPath(sourcePath);
+    if (metadataInfo && !files.has(sourcePath)) {
+      files.set(sourcePath, { filePath: sourcePath, name: metadataInfo.name, type: metadataInfo.type });
+    }
+  }
+  return [...files.values()];
+}
+
+/**
+ * Query the org status of the watched files and collect the ones modified by someone else
+ * @param {Array<{filePath: string, name: string, type: string}>} files
+ * @returns {Promise<Array<{file: Object, status: Object, files: Object[]}>>} One entry per changed component:
+ *   its first watched file, the file's org status and all of its watched files
+ */
+async function findOrgChanges(files) {
+  // Each project queries its own target org
+  const groups = new Map();
+  for (const file of files) {
+    const groupKey = `${sfdxProject.getProjectRoot(file.filePath)}|${file.type}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(file);
+  }
+
+  const changes = new Map();
+  for (const groupFiles of groups.values()) {
+    const ownName = await sourceTracking.getOrgUserName(groupFiles[0].filePath);
+    const org = sourceTracking.getCachedOrgConnection(groupFiles[0].filePath).username;
+    if (!org) continue;
+
+    for (let i = 0; i < groupFiles.length; i += POLL_BATCH_SIZE) {
+      const batch = groupFiles.slice(i, i + POLL_BATCH_SIZE);
+      const statuses = await sourceTracking.batchGetFileOrgStatus(batch[0].type, batch, true);
+
+      for (const file of batch) {
+        const status = statuses.get(file.filePath);
+        if (!status?.lastModifiedDate) continue;
+
+        const seenKey = `${org}|${file.filePath}`;
+        const previous = lastSeen.get(seenKey);
+        lastSeen.set(seenKey, status.lastModifiedDate);
+        // The first poll of a file only records where the org stands
+        if (!previous || new Date(status.lastModifiedDate) <= new Date(previous)) continue;
+        if (ownName && status.lastModifiedBy === ownName) continue;
+
+        // Bundle files share one org change
+        const componentKey = `${file.type}:${file.name}`;
+        if (!changes.has(componentKey)) {
+          changes.set(componentKey, { file, status, files: [] });
+        }
+        changes.get(componentKey).files.push(file);
+      }
+    }
+  }
+
+  return [...changes.values()];
+}
+
+/**
+ * Refresh the compare result, decoration and status bar of a changed component
+ * @param {Array<{filePath: string}>} files - Watched files of the component
+ */
+async function refreshChangedFiles(files) {
+  for (const { filePath } of files) {
+    sourceTracking.invalidateFileCache(filePath);
+    await sourceTracking.compareFileWithOrg(filePath);
+    fileDecorations.refreshFile(vscode.Uri.file(filePath));
+  }
+
+  const editor = vscode.window.activeTextEditor;
+  if (editor && files.some(({ filePath }) => metadataRegistry.getSourceFilePath(editor.document.uri.fsPath) === filePath)) {
+    await statusBar.updateSyncStatus(editor.document.uri.fsPath);
+  }
+}
+
+/**
+ * Notify about a component someone else modified in the org
+ * @param {{filePath: string, name: string}} file
+ * @param {{lastModifiedBy?: string, lastModifiedDate: string}} status
+ */
+async function notifyChange(file, status) {
+  const orgStatus = sourceTracking.getCachedOrgConnection(file.filePath);
+  const orgLabel = orgStatus.alias || orgStatus.username || 'the org';
+  const action = await vscode.window.showInformationMessage(
+    `${status.lastModifiedBy || 'Someone'} modified ${file.name} in ${orgLabel} ${sourceTracking.formatDate(status.lastModifiedDate)}`,
+    'Show Diff',
+    'Retrieve'
+  );
+
+  const uri = vscode.Uri.file(file.filePath);
+  if (action === 'Show Diff') {
+    await orgDiff.compareWithOrg(uri);
+  } else if (action === 'Retrieve') {
+    // Retrieve the file through the editor command, which guards local changes
+    await vscode.window.showTextDocument(uri);
+    await vscode.commands.executeCommand('sf-metadata-tracker.retrieveCurrentFile');
+  }
+}
+
+/**
+ * Poll the org once
+ */
+async function poll() {
+  if (isPolling) return;
+  isPolling = true;
+  lastPollAt = Date.now();
+
+  try {
+    const files = await getWatchedFiles(getSettings().scope);
+    if (files.length === 0) return;
+
+    const changes = await jobQueue.withPriority(jobQueue.PRIORITIES.BACKGROUND, () => findOrgChanges(files));
+    for (const change of changes) {
+      logger.log(`${change.file.name} modified in the org by ${change.status.lastModifiedBy || 'unknown user'}`);
+      await refreshChangedFiles(change.files);
+      notifyChange(change.file, change.status);
+    }
+  } catch (error) {
+    logger.log(`Org watcher poll failed: ${error.message}`, 'WARN');
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Schedule the next poll
+ * Each poll while the window is unfocused doubles the interval, up to MAX_BACKOFF times.
+ */
+function scheduleNextPoll() {
+  clearTimeout(pollTimer);
+  const { enabled, intervalMs } = getSettings();
+  if (!enabled) {
+    pollTimer = null;
+    return;
+  }
+
+  pollTimer = setTimeout(async () => {
+    await poll();
+    backoff = vscode.window.state.focused ? 1 : Math.min(backoff * 2, MAX_BACKOFF);
+    scheduleNextPoll();
+  }, intervalMs * backoff);
+}
+
+/**
+ * Resume the normal interval when the window regains focus
+ * Polls right away when the regular interval has already passed.
+ * @param {vscode.WindowState} state
+ */
+function onWindowStateChanged(state) {
+  if (!state.focused || backoff === 1) return;
+
+  backoff = 1;
+  if (Date.now() - lastPollAt >= getSettings().intervalMs) {
+    poll().finally(scheduleNextPoll);
+  } else {
+    scheduleNextPoll();
+  }
+}
+
+/**
+ * Initialize the org watcher
+ * Nothing is polled until `sfMetadataTracker.watchOrgChanges` is enabled.
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  disposables.push(
+    vscode.workspace.onDidOpenTextDocument(touchFile),
+    vscode.workspace.onDidSaveTextDocument(touchFile),
+    vscode.window.onDidChangeWindowState(onWindowStateChanged),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (['watchOrgChanges', 'watchInterval', 'watchScope'].some((key) => event.affectsConfiguration(`sfMetadataTracker.${key}`))) {
+        backoff = 1;
+        scheduleNextPoll();
+      }
+    })
+  );
+  context.subscriptions.push({ dispose });
+
+  scheduleNextPoll();
+  logger.log('Org watcher initialized');
+}
+
+/**
+ * Dispose the org watcher
+ */
+export function dispose() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  disposables.forEach((d) => d.dispose());
+  disposables = [];
+  lastSeen.clear();
+  recentFiles.clear();
+  backoff = 1;
+}
@@ -3,30 +3,49 @@ import * as path from 'path';
 import * as fs from 'fs';
 import * as os from 'os';
 import * as shell from '../lib/shell.js';
+import * as jobQueue from '../lib/job-queue.js';
 import * as logger from '../lib/logger.js';
 import * as sfCli from '../lib/sf-cli.js';
+import * as sfApi from '../lib/sf-api.js';
+import { normalizeContent, hashContent } from '../lib/content.js';
+import { xmlEquals } from '../lib/xml.js';
+import { diffPermissions } from '../lib/permissions.js';
+import { flowMatchesMetadata } from '../lib/flow.js';
+import { diffMetaXml, diffMetaFields } from '../lib/meta-xml.js';
+import { SYNC_STATES } from '../lib/constants.js';
+import { parseMetadataList } from '../lib/org-inventory.js';
+import { parsePreviews, getTrackedState, isUntrackedOrgError } from '../lib/tracking-preview.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { COMPARE_STRATEGIES } from '../lib/metadata-registry.js';
+import * as syncLedger from './sync-ledger.js';
 
 /**
  * Source tracking service
  * Handles checking sync status between local files and org
  */
 
-// Cache for org connection status
-let orgConnectionCache = {
-  connected: false,
-  alias: null,
-  username: null,
-  lastChecked: null,
-  expiresAt: null,
-  error: null,
-};
+// Org connection status per SFDX project root (each project can have its own target org)
+const orgConnectionCache = new Map();
 
-// Pending promise for org connection check (to prevent concurrent calls)
-let pendingOrgConnectionCheck = null;
+// Pending org connection checks per project root (to prevent concurrent calls)
+const pendingOrgConnectionChecks = new Map();
 
 // Cache for source status (to avoid repeated API calls)
 const sourceStatusCache = new Map();
 
+// Org status of components without an org record to look up (standard fields) - never "new"
+const NOT_TRACKED_STATUS = { inSync: null, error: 'Standard component - not tracked', notTracked: true };
+
+// Display name of the user each org connection runs as (username -> Name)
+const orgUserNames = new Map();
+
+// Org state of each metadata type at the last scan ("username|projectRoot|type" -> {total, latest})
+const typeWatermarks = new Map();
+
+// Orgs whose source tracking previews failed as untracked (username -> true), checked once per session
+const untrackedOrgs = new Set();
+
 /**
  * Get cache TTL from settings
  * @returns {number} TTL in milliseconds
@@ -36,47 +55,58 @@ function getCacheTTL() {
   return (config.get('cacheTTL', 60) || 60) * 1000;
 }
 
+/**
+ * Build the --target-org flag of a CLI command
+ * @param {string} [targetOrg] - Org username or alias
+ * @returns {string} Flag with leading space, or '' to use the project's target org
+ */
+function targetOrgFlag(targetOrg) {
+  return targetOrg ? ` --target-org "${targetOrg}"` : '';
+}
+
 /**
  * Check if org is connected and get org info
+ * Uses the target org of the SFDX project containing the file, unless another org is given.
+ * @param {string} [filePath] - File whose project to check (defaults to the active project)
+ * @param {string} [targetOrg] - Org username or alias to check instead of the project's target org
  * @returns {Promise<{connected: boolean, alias?: string, username?: string, instanceUrl?: string, error?: string, errorType?: string}>}
  */
-export async function checkOrgConnection() {
+export async function checkOrgConnection(filePath, targetOrg) {
   // Check CLI first (synchronous)
   const cliStatus = sfCli.getCachedCliStatus();
   if (cliStatus.installed === false) {
     return { connected: false, error: 'Salesforce CLI not installed', errorType: 'cli_not_installed' };
   }
 
+  const projectRoot = sfdxProject.getProjectRoot(filePath);
+  // An explicit org is the same for every project
+  const cacheKey = targetOrg || projectRoot;
+  const cached = orgConnectionCache.get(cacheKey);
+
   // Check cache first (valid for 5 minutes to avoid issues during long operations)
-  if (
-    orgConnectionCache.lastChecked &&
-    Date.now() - orgConnectionCache.lastChecked < 300000
-  ) {
+  if (cached?.lastChecked && Date.now() - cached.lastChecked < 300000) {
     return {
-      connected: orgConnectionCache.connected,
-      alias: orgConnectionCache.alias,
-      username: orgConnectionCache.username,
-      error: orgConnectionCache.error,
-      errorType: orgConnectionCache.errorType,
+      connected: cached.connected,
+      alias: cached.alias,
+      username: cached.username,
+      error: cached.error,
+      errorType: cached.errorType,
     };
   }
 
   // If there's already a pending check, wait for it instead of starting a new one
-  if (pendingOrgConnectionCheck) {
-    return pendingOrgConnectionCheck;
+  if (pendingOrgConnectionChecks.has(cacheKey)) {
+    return pendingOrgConnectionChecks.get(cacheKey);
   }
 
   // Start a new check and store the promise
-  pendingOrgConnectionCheck = (async () => {
+  const pendingCheck = (async () => {
     try {
-      const result = await shell.execCommandWithTimeout(
-        'sf org display --json',
-        10000
-      );
-      const data = JSON.parse(result);
+      // Also keeps the org's access token for API queries
+      const data = await sfApi.displayOrg(projectRoot, targetOrg, 10000);
 
       if (data.status === 0 && data.result) {
-        orgConnectionCache = {
+        orgConnectionCache.set(cacheKey, {
           connected: true,
           alias: data.result.alias || null,
           username: data.result.username,
@@ -85,7 +115,7 @@ export async function checkOrgConnection() {
           expiresAt: data.result.expirationDate || null,
           error: null,
           errorType: null,
-        };
+        });
 
         return {
           connected: true,
@@ -97,12 +127,12 @@ export async function checkOrgConnection() {
 
       // Check for specific error messages
       const errorMessage = data.message || 'No default org set';
-      orgConnectionCache = {
+      orgConnectionCache.set(cacheKey, {
         connected: false,
         lastChecked: Date.now(),
         error: errorMessage,
         errorType: 'no_default_org',
-      };
+      });
       return { connected: false, error: errorMessage, errorType: 'no_default_org' };
     } catch (error) {
       // Parse error to determine type
@@ -120,67 +150,150 @@ export async function checkOrgConnection() {
         errorMessage = 'Salesforce CLI (sf) is not installed or not in PATH.';
       }
 
-      orgConnectionCache = {
+      orgConnectionCache.set(cacheKey, {
         connected: false,
         lastChecked: Date.now(),
         error: errorMessage,
         errorType,
-      };
+      });
       
-      logger.log(`Org connection check failed: ${errorMessage}`, 'WARN');
+      logger.log(`Org connection check failed for ${targetOrg || projectRoot}: ${errorMessage}`, 'WARN');
       return { connected: false, error: errorMessage, errorType };
     }
   })();
+  pendingOrgConnectionChecks.set(cacheKey, pendingCheck);
 
   try {
-    return await pendingOrgConnectionCheck;
+    return await pendingCheck;
   } finally {
-    pendingOrgConnectionCheck = null;
+    pendingOrgConnectionChecks.delete(cacheKey);
   }
 }
 
 /**
  * Get the cached org connection info
+ * @param {string} [filePath] - File whose project to look up (defaults to the active project)
  * @returns {{connected: boolean, alias?: string, username?: string}}
  */
-export function getCachedOrgConnection() {
+export function getCachedOrgConnection(filePath) {
+  const cached = orgConnectionCache.get(sfdxProject.getProjectRoot(filePath)) || {};
   return {
-    connected: orgConnectionCache.connected,
-    alias: orgConnectionCache.alias,
-    username: orgConnectionCache.username,
+    connected: cached.connected || false,
+    alias: cached.alias || null,
+    username: cached.username || null,
   };
 }
 
 /**
- * Clear the org connection cache
+ * Clear the org connection cache of every project
  */
 export function clearOrgCache() {
-  orgConnectionCache = {
-    connected: false,
-    alias: null,
-    username: null,
-    lastChecked: null,
-    expiresAt: null,
-    error: null,
-    errorType: null,
-  };
+  orgConnectionCache.clear();
+  sfApi.clearSessions();
   sourceStatusCache.clear();
+  untrackedOrgs.clear();
+  typeWatermarks.clear();
+}
+
+/**
+ * Get the display name of the user the CLI connects to a project's org as
+ * LastModifiedBy names are compared with it to tell the user's own changes from other people's.
+ * @param {string} [filePath] - File whose project to use (defaults to the active project)
+ * @returns {Promise<string | null>}
+ */
+export async function getOrgUserName(filePath) {
+  const orgStatus = await checkOrgConnection(filePath);
+  if (!orgStatus.connected) return null;
+  if (orgUserNames.has(orgStatus.username)) {
+    return orgUserNames.get(orgStatus.username);
+  }
+
+  try {
+    const username = orgStatus.username.replace(/'/g, "\\'");
+    const data = await sfApi.query(`SELECT Name FROM User WHERE Username = '${username}'`, {
+      cwd: sfdxProject.getProjectRoot(filePath),
+    });
+    const name = data.status === 0 ? data.result?.records?.[0]?.Name || null : null;
+    orgUserNames.set(orgStatus.username, name);
+    return name;
+  } catch (error) {
+    logger.log(`Could not look up the org user of ${orgStatus.username}: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Check whether any component of a metadata type changed in a project's org since the last scan
+ * Runs one aggregate query instead of querying and comparing every component.
+ * @param {string} metadataType
+ * @param {string} cwd - SFDX project
+ * @returns {Promise<{changed: boolean, key?: string, watermark?: {total: number, latest: string}}>}
+ *   Unchanged only when the type's count and latest LastModifiedDate match the last recorded scan;
+ *   pass the probe to recordProbe once the type has been rescanned
+ */
+export async function probeOrgChanges(metadataType, cwd) {
+  const definition = metadataRegistry.getTypeDefinition(metadataType);
+  const query = definition ? metadataRegistry.buildProbeQuery(definition) : null;
+  const orgStatus = await checkOrgConnection(path.join(cwd, 'sfdx-project.json'));
+  if (!query || !orgStatus.connected) {
+    return { changed: true };
+  }
+
+  try {
+    const data = await sfApi.query(query, { cwd, tooling: definition.toolingApi });
+    const record = data.status === 0 ? data.result?.records?.[0] : null;
+    if (!record) {
+      logger.log(`Change probe failed for ${metadataType}: ${data.message || 'no result'}`, 'WARN');
+      return { changed: true };
+    }
+
+    const key = `${orgStatus.username}|${cwd}|${metadataType}`;
+    const watermark = { total: record.total ?? 0, latest: record.latest || null };
+    const previous = typeWatermarks.get(key);
+    const changed = !previous || previous.total !== watermark.total || previous.latest !== watermark.latest;
+    return { changed, key, watermark };
+  } catch (error) {
+    logger.log(`Change probe failed for ${metadataType}: ${error.message}`, 'WARN');
+    return { changed: true };
+  }
+}
+
+/**
+ * Record a probed type as scanned, so the next probe compares against it
+ * @param {{key?: string, watermark?: {total: number, latest: string}}} probe - Result of probeOrgChanges
+ */
+export function recordProbe(probe) {
+  if (probe?.key) {
+    typeWatermarks.set(probe.key, probe.watermark);
+  }
+}
+
+/**
+ * Get the cached org status of a file without querying the org
+ * @param {string} filePath
+ * @returns {Object | null}
+ */
+export function getCachedFileOrgStatus(filePath) {
+  return (sourceStatusCache.get(normalizeFilePath(filePath)) || sourceStatusCache.get(filePath))?.data || null;
 }
 
 /**
  * Batch fetch metadata info for multiple files of the same type
  * @param {string} metadataType - The Salesforce metadata type (e.g., 'ApexClass')
- * @param {Array<{filePath: string, name: string}>} files - Array of files to query
+ * @param {Array<{filePath: string, name: string}>} files - Array of files to query, all from one SFDX project
+ * @param {boolean} [fresh=false] - Query every file, even when its cached status is still valid
  * @returns {Promise<Map<string, Object>>} Map of filePath to status data
  */
-export async function batchGetFileOrgStatus(metadataType, files) {
+export async function batchGetFileOrgStatus(metadataType, files, fresh = false) {
   const results = new Map();
   
   if (!files || files.length === 0) {
     return results;
   }
 
-  const orgStatus = await checkOrgConnection();
+  // Files of one batch belong to the same SFDX project
+  const cwd = sfdxProject.getProjectRoot(files[0].filePath);
+  const orgStatus = await checkOrgConnection(files[0].filePath);
   if (!orgStatus.connected) {
     files.forEach(f => results.set(f.filePath, { inSync: null, error: 'Not connected to org' }));
     return results;
@@ -192,9 +305,9 @@ export async function batchGetFileOrgStatus(metadataType, files) {
   
   for (const file of files) {
     // Normalize path for cache lookup
-    const normalizedPath = file.filePath.replace(/\\/g, '/').replace(/-meta\.xml$/, '');
+    const normalizedPath = normalizeFilePath(file.filePath);
     const cached = sourceStatusCache.get(normalizedPath) || sourceStatusCache.get(file.filePath);
-    if (cached && Date.now() - cached.timestamp < cacheTTL) {
+    if (!fresh && cached && Date.now() - cached.timestamp < cacheTTL) {
       results.set(file.filePath, cached.data);
     } else {
       uncachedFiles.push(file);
@@ -205,36 +318,38 @@ export async function batchGetFileOrgStatus(metadataType, files) {
     return results;
   }
 
+  const definition = metadataRegistry.getTypeDefinition(metadataType);
+  if (!definition) {
+    uncachedFiles.forEach(f => results.set(f.filePath, { inSync: null, error: 'Cannot query this metadata type' }));
+    return results;
+  }
+
+  const queriedFiles = uncachedFiles.filter((file) => {
+    if (metadataRegistry.isTrackedComponent(definition, file.name)) return true;
+    results.set(file.filePath, { ...NOT_TRACKED_STATUS, type: metadataType, name: file.name });
+    return false;
+  });
+  if (queriedFiles.length === 0) {
+    return results;
+  }
+
   try {
     // Build batch query with IN clause
-    const names = uncachedFiles.map(f => `'${f.name}'`).join(',');
-    const query = buildBatchMetadataQuery(metadataType, names);
-    
-    if (!query) {
-      uncachedFiles.forEach(f => results.set(f.filePath, { inSync: null, error: 'Cannot query this metadata type' }));
-      return results;
-    }
-
-    const result = await shell.execCommandWithTimeout(
-      `sf data query --query "${query}" --json`,
-      30000
-    );
-    const data = JSON.parse(result);
+    const data = await runStatusQuery(definition, queriedFiles.map(f => f.name), 30000, cwd);
 
     // Create a map of name -> record for quick lookup
     const recordMap = new Map();
     if (data.status === 0 && data.result?.records) {
       for (const record of data.result.records) {
-        const recordName = record.Name || record.DeveloperName;
-        recordMap.set(recordName, record);
+        recordMap.set(metadataRegistry.getRecordName(definition, record), record);
       }
     }
 
     // Process each file
-    for (const file of uncachedFiles) {
+    for (const file of queriedFiles) {
       const record = recordMap.get(file.name);
       // Normalize path for cache storage
-      const normalizedPath = file.filePath.replace(/\\/g, '/').replace(/-meta\.xml$/, '');
+      const normalizedPath = normalizeFilePath(file.filePath);
       
       if (record) {
         const statusData = {
@@ -245,6 +360,7 @@ export async function batchGetFileOrgStatus(metadataType, files) {
           createdDate: record.CreatedDate,
           type: metadataType,
           name: file.name,
+          ...metadataRegistry.getStatusDetails(definition, record),
         };
 
         // Cache the result with normalized path
@@ -255,7 +371,7 @@ export async function batchGetFileOrgStatus(metadataType, files) {
 
         results.set(file.filePath, statusData);
       } else {
-        const notFoundData = { inSync: null, error: 'Component not found in org' };
+        const notFoundData = getNotFoundStatus(file.filePath, orgStatus.username);
         sourceStatusCache.set(normalizedPath, {
           timestamp: Date.now(),
           data: notFoundData,
@@ -267,9 +383,81 @@ export async function batchGetFileOrgStatus(metadataType, files) {
     return results;
   } catch (error) {
     logger.log(`Batch status check failed: ${error.message}`, 'WARN');
-    uncachedFiles.forEach(f => results.set(f.filePath, { inSync: null, error: error.message }));
+    queriedFiles.forEach(f => results.set(f.filePath, { inSync: null, error: error.message }));
+    return results;
+  }
+}
+
+// Components per LastModified status query when fetching from other orgs
+const STATUS_QUERY_BATCH_SIZE = 50;
+
+/**
+ * Fetch LastModified info for many files from any authorized org, without touching the caches
+ * @param {Array<{filePath: string, name: string, type: string}>} files - Files of one SFDX project
+ * @param {string} [targetOrg] - Org username or alias, defaults to the project's target org
+ * @returns {Promise<Map<string, {lastModifiedBy?: string, lastModifiedDate?: string, missing?: boolean, error?: string}>>}
+ *   Map of filePath -> org status; missing when the component does not exist in the org
+ */
+export async function fetchOrgStatuses(files, targetOrg) {
+  const results = new Map();
+  if (files.length === 0) return results;
+
+  const cwd = sfdxProject.getProjectRoot(files[0].filePath);
+  const orgStatus = await checkOrgConnection(files[0].filePath, targetOrg);
+  if (!orgStatus.connected) {
+    files.forEach(f => results.set(f.filePath, { error: orgStatus.error || 'Not connected to org' }));
     return results;
   }
+
+  const filesByType = new Map();
+  for (const file of files) {
+    if (!filesByType.has(file.type)) {
+      filesByType.set(file.type, []);
+    }
+    filesByType.get(file.type).push(file);
+  }
+
+  for (const [type, typeFiles] of filesByType) {
+    const definition = metadataRegistry.getTypeDefinition(type);
+    if (!definition) {
+      typeFiles.forEach(f => results.set(f.filePath, { error: 'Cannot query this metadata type' }));
+      continue;
+    }
+
+    const trackedFiles = typeFiles.filter((file) => {
+      if (metadataRegistry.isTrackedComponent(definition, file.name)) return true;
+      results.set(file.filePath, { error: NOT_TRACKED_STATUS.error, notTracked: true });
+      return false;
+    });
+
+    for (let i = 0; i < trackedFiles.length; i += STATUS_QUERY_BATCH_SIZE) {
+      const chunk = trackedFiles.slice(i, i + STATUS_QUERY_BATCH_SIZE);
+      try {
+        const data = await runStatusQuery(definition, chunk.map(f => f.name), 30000, cwd, targetOrg);
+        if (data.status !== 0) {
+          chunk.forEach(f => results.set(f.filePath, { error: data.message || 'Status query failed' }));
+          continue;
+        }
+
+        const recordMap = new Map();
+        for (const record of data.result?.records || []) {
+          recordMap.set(metadataRegistry.getRecordName(definition, record), record);
+        }
+
+        for (const file of chunk) {
+          const record = recordMap.get(file.name);
+          results.set(file.filePath, record
+            ? { lastModifiedBy: record.LastModifiedBy?.Name || record.LastModifiedById, lastModifiedDate: record.LastModifiedDate }
+            : { missing: true });
+        }
+      } catch (error) {
+        logger.log(`Status query against ${targetOrg || 'default org'} failed for ${type}: ${error.message}`, 'WARN');
+        chunk.forEach(f => results.set(f.filePath, { error: error.message }));
+      }
+    }
+  }
+
+  return results;
 }
 
 /**
@@ -279,13 +467,13 @@ export async function batchGetFileOrgStatus(metadataType, files) {
  * @returns {Promise<{inSync: boolean, lastModifiedBy?: string, lastModifiedDate?: string, type?: string, error?: string}>}
  */
 export async function getFileOrgStatus(filePath, preferCache = false) {
-  const orgStatus = await checkOrgConnection();
+  const orgStatus = await checkOrgConnection(filePath);
   if (!orgStatus.connected) {
     return { inSync: null, error: 'Not connected to org' };
   }
 
   // Normalize path for cache lookup
-  const normalizedPath = filePath.replace(/\\/g, '/').replace(/-meta\.xml$/, '');
+  const normalizedPath = normalizeFilePath(filePath);
   
   // Check cache - try multiple path variations
   const cacheTTL = getCacheTTL();
@@ -317,19 +505,16 @@ export async function getFileOrgStatus(filePath, preferCache = false) {
     }
 
     // Query for last modified info
-    const query = buildMetadataQuery(metadataInfo);
-    if (!query) {
-      return { inSync: null, error: 'Cannot query this metadata type' };
+    const definition = metadataRegistry.getTypeDefinition(metadataInfo.type);
+    if (!metadataRegistry.isTrackedComponent(definition, metadataInfo.name)) {
+      return { ...NOT_TRACKED_STATUS, type: metadataInfo.type, name: metadataInfo.name };
     }
+    const data = await runStatusQuery(definition, [metadataInfo.name], 15000, sfdxProject.getProjectRoot(filePath));
+    const record = data.status === 0
+      ? data.result?.records?.find((r) => metadataRegistry.getRecordName(definition, r) === metadataInfo.name)
+      : null;
 
-    const result = await shell.execCommandWithTimeout(
-      `sf data query --query "${query}" --json`,
-      15000
-    );
-    const data = JSON.parse(result);
-
-    if (data.status === 0 && data.result?.records?.length > 0) {
-      const record = data.result.records[0];
+    if (record) {
       const statusData = {
         inSync: null, // We'll determine this separately
         lastModifiedBy: record.LastModifiedBy?.Name || record.LastModifiedById,
@@ -338,6 +523,7 @@ export async function getFileOrgStatus(filePath, preferCache = false) {
         createdDate: record.CreatedDate,
         type: metadataInfo.type,
         name: metadataInfo.name,
+        ...metadataRegistry.getStatusDetails(definition, record),
       };
 
       // Cache the result with normalized path
@@ -350,7 +536,7 @@ export async function getFileOrgStatus(filePath, preferCache = false) {
     }
 
     // Cache the not found result too
-    const notFoundData = { inSync: null, error: 'Component not found in org' };
+    const notFoundData = getNotFoundStatus(filePath, orgStatus.username);
     sourceStatusCache.set(normalizedPath, {
       timestamp: Date.now(),
       data: notFoundData,
@@ -362,134 +548,121 @@ export async function getFileOrgStatus(filePath, preferCache = false) {
   }
 }
 
+/**
+ * Build the org status of a component the org does not have
+ * Components that existed in the org at their last sync were deleted there, rather than
+ * never deployed.
+ * @param {string} filePath
+ * @param {string} org - Org username
+ * @returns {{inSync: null, error: string, deletedInOrg?: boolean, lastSync?: Object}}
+ */
+function getNotFoundStatus(filePath, org) {
+  const baseline = syncLedger.getOrgBaseline(filePath, org);
+  return baseline
+    ? { inSync: null, error: 'Component not found in org', deletedInOrg: true, lastSync: baseline }
+    : { inSync: null, error: 'Component not found in org' };
+}
+
 /**
  * Determine metadata type and name from file path
+ * Types are resolved through the metadata type registry.
  * @param {string} filePath 
  * @returns {{type: string, name: string, apiName: string} | null}
  */
 export function getMetadataTypeFromPath(filePath) {
-  const fileName = path.basename(filePath);
-  const dirName = path.dirname(filePath);
-  const parts = dirName.split(path.sep);
-
-  // Apex Classes
-  if (filePath.includes('/classes/') && fileName.endsWith('.cls')) {
-    const name = fileName.replace('.cls', '');
-    return { type: 'ApexClass', name, apiName: name };
-  }
-
-  // Apex Triggers
-  if (filePath.includes('/triggers/') && fileName.endsWith('.trigger')) {
-    const name = fileName.replace('.trigger', '');
-    return { type: 'ApexTrigger', name, apiName: name };
-  }
-
-  // Lightning Web Components
-  if (filePath.includes('/lwc/')) {
-    const lwcIndex = parts.indexOf('lwc');
-    if (lwcIndex >= 0 && parts.length > lwcIndex + 1) {
-      const name = parts[lwcIndex + 1];
-      return { type: 'LightningComponentBundle', name, apiName: name };
-    }
+  // -meta.xml companions belong to their source file's component
+  const resolved = metadataRegistry.resolvePath(metadataRegistry.getSourceFilePath(filePath));
+  if (!resolved) {
+    return null;
   }
 
-  // Aura Components
-  if (filePath.includes('/aura/')) {
-    const auraIndex = parts.indexOf('aura');
-    if (auraIndex >= 0 && parts.length > auraIndex + 1) {
-      const name = parts[auraIndex + 1];
-      return { type: 'AuraDefinitionBundle', name, apiName: name };
-    }
-  }
+  const { definition, name } = resolved;
+  return { type: definition.type, name, apiName: name };
+}
 
-  // Visualforce Pages
-  if (filePath.includes('/pages/') && fileName.endsWith('.page')) {
-    const name = fileName.replace('.page', '');
-    return { type: 'ApexPage', name, apiName: name };
+/**
+ * Run the LastModified status query for components of a type
+ * @param {import('../lib/metadata-registry.js').MetadataTypeDefinition} definition 
+ * @param {string[]} names - Component names
+ * @param {number} timeoutMs 
+ * @param {string} cwd - SFDX project to run the query in
+ * @param {string} [targetOrg] - Org to query, defaults to the project's target org
+ * @returns {Promise<Object>} Parsed CLI JSON response
+ */
+async function runStatusQuery(definition, names, timeoutMs, cwd, targetOrg) {
+  if (definition.statusSource === 'listMetadata') {
+    return listMetadataStatus(definition, names, timeoutMs, cwd, targetOrg);
   }
 
-  // Visualforce Components
-  if (filePath.includes('/components/') && fileName.endsWith('.component')) {
-    const name = fileName.replace('.component', '');
-    return { type: 'ApexComponent', name, apiName: name };
-  }
+  // Bundle files share their component's name
+  const query = metadataRegistry.buildStatusQuery(definition, [...new Set(names)]);
+  return sfApi.query(query, { cwd, targetOrg, tooling: definition.toolingApi, timeoutMs });
+}
 
-  // Flows
-  if (filePath.includes('/flows/') && fileName.endsWith('.flow-meta.xml')) {
-    const name = fileName.replace('.flow-meta.xml', '');
-    return { type: 'Flow', name, apiName: name };
+/**
+ * Read LastModified info from `sf org list metadata`, shaped like a status query response
+ * Used for types whose file names do not match a queryable name field (profiles).
+ * @param {import('../lib/metadata-registry.js').MetadataTypeDefinition} definition 
+ * @param {string[]} names - Component names
+ * @param {number} timeoutMs 
+ * @param {string} cwd - SFDX project to run the command in
+ * @param {string} [targetOrg] - Org to list, defaults to the project's target org
+ * @returns {Promise<Object>}
+ */
+async function listMetadataStatus(definition, names, timeoutMs, cwd, targetOrg) {
+  const data = await runListMetadata(definition.type, timeoutMs, cwd, targetOrg);
+  if (data.status !== 0) {
+    return data;
   }
 
-  return null;
+  const wanted = new Set(names);
+  const records = data.items
+    .filter((item) => wanted.has(item.fullName))
+    .map((item) => ({
+      [definition.nameField]: item.fullName,
+      LastModifiedBy: { Name: item.lastModifiedByName },
+      LastModifiedDate: item.lastModifiedDate,
+      CreatedBy: { Name: item.createdByName },
+      CreatedDate: item.createdDate,
+    }));
+
+  return { status: 0, result: { records } };
 }
 
 /**
- * Build SOQL query for metadata info
- * @param {{type: string, name: string}} metadataInfo 
- * @returns {string | null}
+ * Run `sf org list metadata` for a type
+ * @param {string} metadataType
+ * @param {number} timeoutMs - Raised to at least a minute, the command lists every component of the type
+ * @param {string} cwd - SFDX project to run the command in
+ * @param {string} [targetOrg] - Org to list, defaults to the project's target org
+ * @returns {Promise<Object>} Parsed CLI JSON response, with the listed components as items
  */
-function buildMetadataQuery(metadataInfo) {
-  const { type, name } = metadataInfo;
-
-  switch (type) {
-    case 'ApexClass':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexClass WHERE Name = '${name}' LIMIT 1`;
-
-    case 'ApexTrigger':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexTrigger WHERE Name = '${name}' LIMIT 1`;
-
-    case 'ApexPage':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexPage WHERE Name = '${name}' LIMIT 1`;
-
-    case 'ApexComponent':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexComponent WHERE Name = '${name}' LIMIT 1`;
-
-    case 'LightningComponentBundle':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM LightningComponentBundle WHERE DeveloperName = '${name}' LIMIT 1`;
-
-    case 'AuraDefinitionBundle':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM AuraDefinitionBundle WHERE DeveloperName = '${name}' LIMIT 1`;
-
-    case 'Flow':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM FlowDefinition WHERE DeveloperName = '${name}' LIMIT 1`;
-
-    default:
-      return null;
-  }
+async function runListMetadata(metadataType, timeoutMs, cwd, targetOrg) {
+  const result = await shell.execCommandWithTimeout(
+    `sf org list metadata --metadata-type ${metadataType}${targetOrgFlag(targetOrg)} --json`,
+    Math.max(timeoutMs, 60000),
+    { cwd }
+  );
+  const data = parseJsonWithWarnings(result);
+
+  // A single component comes back as an object rather than an array
+  const items = Array.isArray(data.result) ? data.result : (data.result ? [data.result] : []);
+  return { ...data, items };
 }
 
 /**
- * Build batch SOQL query for multiple metadata items of the same type
- * @param {string} type - Metadata type
- * @param {string} namesInClause - Comma-separated quoted names for IN clause
- * @returns {string | null}
+ * List the components of a type that exist in an org, without managed package components
+ * @param {string} metadataType
+ * @param {string} [cwd] - SFDX project to run the command in, defaults to the active project
+ * @param {string} [targetOrg] - Org to list, defaults to the project's target org
+ * @returns {Promise<import('../lib/org-inventory.js').OrgComponent[]>}
  */
-function buildBatchMetadataQuery(type, namesInClause) {
-  switch (type) {
-    case 'ApexClass':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexClass WHERE Name IN (${namesInClause})`;
-
-    case 'ApexTrigger':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexTrigger WHERE Name IN (${namesInClause})`;
-
-    case 'ApexPage':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexPage WHERE Name IN (${namesInClause})`;
-
-    case 'ApexComponent':
-      return `SELECT Id, Name, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM ApexComponent WHERE Name IN (${namesInClause})`;
-
-    case 'LightningComponentBundle':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM LightningComponentBundle WHERE DeveloperName IN (${namesInClause})`;
-
-    case 'AuraDefinitionBundle':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM AuraDefinitionBundle WHERE DeveloperName IN (${namesInClause})`;
-
-    case 'Flow':
-      return `SELECT Id, DeveloperName, LastModifiedBy.Name, LastModifiedDate, CreatedBy.Name, CreatedDate FROM FlowDefinition WHERE DeveloperName IN (${namesInClause})`;
-
-    default:
-      return null;
+export async function listOrgComponents(metadataType, cwd, targetOrg) {
+  const data = await runListMetadata(metadataType, 60000, cwd || sfdxProject.getActiveProjectRoot(), targetOrg);
+  if (data.status !== 0) {
+    throw new Error(data.message || `Could not list ${metadataType} components`);
   }
+  return parseMetadataList(data.items, metadataType);
 }
 
 /**
@@ -523,18 +696,19 @@ const fileDiffCache = new Map();
 
 /**
  * Compare a local file with its version in the org
- * Retrieves the file from org to a temp directory and compares content
+ * Reads the org version (source query or retrieve) and compares content
  * @param {string} filePath - Local file path
  * @returns {Promise<{hasDifference: boolean, error?: string}>}
  */
 export async function compareFileWithOrg(filePath) {
-  const orgStatus = await checkOrgConnection();
+  const orgStatus = await checkOrgConnection(filePath);
   if (!orgStatus.connected) {
     return { hasDifference: false, error: 'Not connected to org' };
   }
 
-  // Check cache first (valid for 60 seconds)
-  const cached = fileDiffCache.get(filePath);
+  // Check cache first (valid for 60 seconds); entries are keyed like the workspace scan's
+  const cacheKey = normalizeFilePath(filePath);
+  const cached = fileDiffCache.get(cacheKey);
   if (cached && Date.now() - cached.timestamp < 60000) {
     return { hasDifference: cached.hasDifference };
   }
@@ -543,21 +717,290 @@ export async function compareFileWithOrg(filePath) {
   if (!metadataInfo) {
     return { hasDifference: false, error: 'Not a supported metadata type' };
   }
+  if (!metadataRegistry.isTrackedComponent(metadataRegistry.getTypeDefinition(metadataInfo.type), metadataInfo.name)) {
+    return { hasDifference: false, error: NOT_TRACKED_STATUS.error };
+  }
+
+  const orgFile = await getOrgFileContent(filePath);
+
+  if (orgFile.isNew) {
+    fileDiffCache.set(cacheKey, { hasDifference: false, timestamp: Date.now(), isNew: true });
+    return { hasDifference: false, isNew: true };
+  }
+
+  if (orgFile.error) {
+    return { hasDifference: false, error: orgFile.error };
+  }
+
+  try {
+    // Normalize content for comparison (remove trailing whitespace, normalize line endings)
+    const localContent = fs.readFileSync(filePath, 'utf8');
+    const { same, drift } = compareContent(filePath, localContent, orgFile.content);
+    const metaDrift = getMetaDrift(filePath, orgFile.orgMeta);
+    const hasDifference = !same || metaDrift.length > 0;
+    const orgFileStatus = await getFileOrgStatus(filePath, true);
+    let syncState = SYNC_STATES.IN_SYNC;
+    if (!same) {
+      syncState = resolveChangeState(filePath, localContent, orgFileStatus, orgStatus.username);
+    } else if (hasDifference) {
+      syncState = SYNC_STATES.METADATA_DIFFERS;
+    }
+
+    if (!hasDifference && orgFileStatus.lastModifiedDate) {
+      syncLedger.recordSync(filePath, orgFileStatus, orgStatus.username, 'compare', localContent);
+    }
+
+    // Cache the result
+    fileDiffCache.set(cacheKey, {
+      hasDifference,
+      isOrgNewer: syncState === SYNC_STATES.ORG_CHANGED,
+      syncState,
+      drift,
+      metaDrift,
+      localHash: getLocalHash(filePath, localContent),
+      timestamp: Date.now(),
+    });
+
+    if (hasDifference && metadataInfo.type === 'Flow') {
+      await checkInactiveFlowVersion(filePath, metadataInfo.name, localContent);
+    }
+
+    logger.log(`${metadataInfo.name}: ${hasDifference ? 'Has differences' : 'In sync'}`);
+    return { hasDifference };
+  } catch (error) {
+    logger.log(`Compare failed for ${filePath}: ${error.message}`, 'WARN');
+    return { hasDifference: false, error: error.message };
+  }
+}
+
+// Types whose source can be queried directly (Tooling API) instead of retrieved
+// fileName maps a record to the local file (see getComponentFileKey); meta holds the
+// -meta.xml settings read from the same record
+const SOURCE_QUERIES = {
+  ApexClass: {
+    buildQuery: (names) => `SELECT Name, Body, ApiVersion, Status FROM ApexClass WHERE NamespacePrefix = null AND Name IN (${names})`,
+    parse: (record) => ({
+      name: record.Name,
+      fileName: `${record.Name}.cls`,
+      content: record.Body,
+      meta: { apiVersion: record.ApiVersion, status: record.Status },
+    }),
+  },
+  ApexTrigger: {
+    buildQuery: (names) => `SELECT Name, Body, ApiVersion, Status FROM ApexTrigger WHERE NamespacePrefix = null AND Name IN (${names})`,
+    parse: (record) => ({
+      name: record.Name,
+      fileName: `${record.Name}.trigger`,
+      content: record.Body,
+      meta: { apiVersion: record.ApiVersion, status: record.Status },
+    }),
+  },
+  ApexPage: {
+    buildQuery: (names) => `SELECT Name, Markup, ApiVersion, MasterLabel FROM ApexPage WHERE NamespacePrefix = null AND Name IN (${names})`,
+    parse: (record) => ({
+      name: record.Name,
+      fileName: `${record.Name}.page`,
+      content: record.Markup,
+      meta: { apiVersion: record.ApiVersion, label: record.MasterLabel },
+    }),
+  },
+  ApexComponent: {
+    buildQuery: (names) => `SELECT Name, Markup, ApiVersion, MasterLabel FROM ApexComponent WHERE NamespacePrefix = null AND Name IN (${names})`,
+    parse: (record) => ({
+      name: record.Name,
+      fileName: `${record.Name}.component`,
+      content: record.Markup,
+      meta: { apiVersion: record.ApiVersion, label: record.MasterLabel },
+    }),
+  },
+  LightningComponentBundle: {
+    buildQuery: (names) => 'SELECT FilePath, Source, LightningComponentBundle.DeveloperName FROM LightningComponentResource ' +
+      `WHERE LightningComponentBundle.NamespacePrefix = null AND LightningComponentBundle.DeveloperName IN (${names})`,
+    parse: (record) => ({
+      name: record.LightningComponentBundle?.DeveloperName,
+      // FilePath is lwc/<bundle>/<path within the bundle>
+      fileName: (record.FilePath || '').split('/').slice(2).join('/'),
+      content: record.Source,
+    }),
+  },
+  AuraDefinitionBundle: {
+    buildQuery: (names) => 'SELECT DefType, Source, AuraDefinitionBundle.DeveloperName FROM AuraDefinition ' +
+      `WHERE AuraDefinitionBundle.NamespacePrefix = null AND AuraDefinitionBundle.DeveloperName IN (${names})`,
+    parse: (record) => {
+      const name = record.AuraDefinitionBundle?.DeveloperName;
+      const suffix = AURA_DEF_TYPE_SUFFIXES[record.DefType];
+      return { name, fileName: suffix ? `${name}${suffix}` : null, content: record.Source };
+    },
+  },
+};
+
+// Aura definition types and the file suffix they are stored under in a bundle
+const AURA_DEF_TYPE_SUFFIXES = {
+  APPLICATION: '.app',
+  COMPONENT: '.cmp',
+  EVENT: '.evt',
+  INTERFACE: '.intf',
+  TOKENS: '.tokens',
+  CONTROLLER: 'Controller.js',
+  HELPER: 'Helper.js',
+  RENDERER: 'Renderer.js',
+  STYLE: '.css',
+  DOCUMENTATION: '.auradoc',
+  DESIGN: '.design',
+  SVG: '.svg',
+};
+
+// Files per source query (keeps the response size bounded)
+const SOURCE_QUERY_BATCH_SIZE = 200;
+
+// Longest URL-encoded source query; queries go out as a GET parameter, and the API rejects
+// request URIs much past 16KB
+const MAX_SOURCE_QUERY_LENGTH = 16000;
+
+/**
+ * Split the files of a type into source query batches, each short enough to send as a GET URL
+ * @param {string} metadataType - Type with a source query
+ * @param {Array<{name: string}>} files
+ * @returns {Array<Array<{name: string}>>}
+ */
+function chunkForSourceQuery(metadataType, files) {
+  const baseLength = encodeURIComponent(SOURCE_QUERIES[metadataType].buildQuery('')).length;
+  const chunks = [];
+  let chunk = [];
+  let names = new Set();
+  let queryLength = baseLength;
+
+  for (const file of files) {
+    // Files of one component share its name in the IN clause
+    const nameLength = encodeURIComponent(`'${file.name}',`).length;
+    const isNewName = !names.has(file.name);
+    if (chunk.length > 0 && (chunk.length >= SOURCE_QUERY_BATCH_SIZE ||
+        (isNewName && queryLength + nameLength > MAX_SOURCE_QUERY_LENGTH))) {
+      chunks.push(chunk);
+      chunk = [];
+      names = new Set();
+      queryLength = baseLength;
+    }
+    if (!names.has(file.name)) {
+      names.add(file.name);
+      queryLength += nameLength;
+    }
+    chunk.push(file);
+  }
+
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Query org source for components of a type whose source is queryable
+ * @param {string} metadataType 
+ * @param {string[]} names - Component names
+ * @param {string} cwd - SFDX project to run the query in
+ * @param {string} [targetOrg] - Org to query, defaults to the project's target org
+ * @returns {Promise<Map<string, {files: Map<string, string>, meta: Object | null}> | null>} Component name -> (file key -> content,
+ *   and -meta.xml settings when queried), or null when the query failed
+ */
+async function querySourceBodies(metadataType, names, cwd, targetOrg) {
+  const sourceQuery = SOURCE_QUERIES[metadataType];
+  const definition = metadataRegistry.getTypeDefinition(metadataType);
+  if (!sourceQuery || definition?.compareStrategy !== COMPARE_STRATEGIES.SOURCE || names.length === 0) {
+    return null;
+  }
+
+  const namesInClause = [...new Set(names)].map(name => `'${name}'`).join(',');
+
+  try {
+    const data = await sfApi.query(sourceQuery.buildQuery(namesInClause), {
+      cwd,
+      targetOrg,
+      tooling: true,
+      timeoutMs: 120000,
+    });
+
+    if (data.status !== 0) {
+      logger.log(`Source query failed for ${metadataType}: ${data.message || 'Unknown error'}`, 'WARN');
+      return null;
+    }
+
+    const bodies = new Map();
+    for (const record of data.result?.records || []) {
+      const { name, fileName, content, meta } = sourceQuery.parse(record);
+      if (!name || !fileName) continue;
+
+      if (!bodies.has(name)) {
+        bodies.set(name, { files: new Map(), meta: meta || null });
+      }
+      bodies.get(name).files.set(fileName, content ?? '');
+    }
+
+    logger.log(`Queried source for ${bodies.size} ${metadataType} component(s)`);
+    return bodies;
+  } catch (error) {
+    logger.log(`Source query failed for ${metadataType}: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Get the org version of a local file
+ * Queryable source (Apex, Visualforce, LWC, Aura) is read from a Tooling API query; other
+ * types are retrieved to a temp directory, read, and the directory removed again.
+ * @param {string} filePath - Local file path
+ * @param {string} [targetOrg] - Org username or alias, defaults to the project's target org
+ * @returns {Promise<{content?: string, orgMeta?: {values?: Object, content?: string}, isNew?: boolean, error?: string}>}
+ *   orgMeta holds the org's -meta.xml settings (queried values or retrieved document) when available
+ */
+export async function getOrgFileContent(filePath, targetOrg) {
+  const orgStatus = await checkOrgConnection(filePath, targetOrg);
+  if (!orgStatus.connected) {
+    return { error: 'Not connected to org' };
+  }
+
+  // -meta.xml companions are read from a retrieve of their source file's component
+  const sourcePath = metadataRegistry.getSourceFilePath(filePath);
+  const isCompanion = sourcePath !== filePath;
+
+  const metadataInfo = getMetadataTypeFromPath(filePath);
+  if (!metadataInfo) {
+    return { error: 'Not a supported metadata type' };
+  }
+  const cwd = sfdxProject.getProjectRoot(filePath);
+
+  const definition = metadataRegistry.getTypeDefinition(metadataInfo.type);
+  if (definition.compareStrategy === COMPARE_STRATEGIES.NONE) {
+    return { error: `Content comparison is not enabled for ${metadataInfo.type}` };
+  }
+
+  // Queryable source avoids a retrieve round trip
+  const bodies = isCompanion ? null : await querySourceBodies(metadataInfo.type, [metadataInfo.name], cwd, targetOrg);
+  if (bodies) {
+    const component = bodies.get(metadataInfo.name);
+    const content = component?.files.get(getComponentFileKey(filePath));
+    if (content === undefined) {
+      return { isNew: true };
+    }
+    return { content, orgMeta: component.meta ? { values: component.meta } : undefined };
+  }
+
+  // Create a temp directory for retrieval
+  const tempDir = path.join(os.tmpdir(), `sf-metadata-compare-${Date.now()}`);
 
   try {
-    // Create a temp directory for retrieval
-    const tempDir = path.join(os.tmpdir(), `sf-metadata-compare-${Date.now()}`);
     fs.mkdirSync(tempDir, { recursive: true });
 
     // Build the metadata specifier (e.g., ApexClass:MyClass)
     const metadataSpec = `${metadataInfo.type}:${metadataInfo.name}`;
 
-    logger.log(`Comparing ${metadataSpec} with org...`);
+    logger.log(`Retrieving ${metadataSpec} from org...`);
 
     // Retrieve the component from org to temp directory
     const result = await shell.execCommandWithTimeout(
-      `sf project retrieve start --metadata "${metadataSpec}" --output-dir "${tempDir}" --json`,
-      60000
+      `sf project retrieve start --metadata "${metadataSpec}" --output-dir "${tempDir}"${targetOrgFlag(targetOrg)} --json`,
+      60000,
+      { cwd }
     );
 
     // Parse JSON - handle potential warnings before JSON output
@@ -566,44 +1009,38 @@ export async function compareFileWithOrg(filePath) {
     if (data.status !== 0) {
       // Component might not exist in org
       if (data.message && data.message.includes('No source-backed components')) {
-        fileDiffCache.set(filePath, { hasDifference: false, timestamp: Date.now(), isNew: true });
-        cleanupTempDir(tempDir);
-        return { hasDifference: false, isNew: true };
+        return { isNew: true };
       }
-      cleanupTempDir(tempDir);
-      return { hasDifference: false, error: data.message || 'Retrieve failed' };
+      return { error: data.message || 'Retrieve failed' };
     }
 
     // Find the retrieved file in temp directory
-    const retrievedFile = findRetrievedFile(tempDir, metadataInfo);
-    
+    const retrievedFile = findRetrievedFile(tempDir, metadataInfo, getComponentFileKey(sourcePath));
+
     if (!retrievedFile) {
-      cleanupTempDir(tempDir);
-      return { hasDifference: false, error: 'Could not find retrieved file' };
+      // The bundle exists in the org, just not this file
+      if (definition.bundle) {
+        return { isNew: true };
+      }
+      return { error: 'Could not find retrieved file' };
     }
 
-    // Compare file contents
-    const localContent = fs.readFileSync(filePath, 'utf8');
-    const orgContent = fs.readFileSync(retrievedFile, 'utf8');
-
-    // Normalize content for comparison (remove trailing whitespace, normalize line endings)
-    const normalizedLocal = normalizeContent(localContent);
-    const normalizedOrg = normalizeContent(orgContent);
-
-    const hasDifference = normalizedLocal !== normalizedOrg;
-
-    // Cache the result
-    fileDiffCache.set(filePath, { hasDifference, timestamp: Date.now() });
-
-    // Cleanup temp directory
-    cleanupTempDir(tempDir);
-
-    logger.log(`${metadataInfo.name}: ${hasDifference ? 'Has differences' : 'In sync'}`);
-    return { hasDifference };
+    const retrievedMetaFile = `${retrievedFile}-meta.xml`;
+    if (isCompanion) {
+      return fs.existsSync(retrievedMetaFile)
+        ? { content: fs.readFileSync(retrievedMetaFile, 'utf8') }
+        : { error: 'Could not find retrieved file' };
+    }
 
+    return {
+      content: fs.readFileSync(retrievedFile, 'utf8'),
+      orgMeta: fs.existsSync(retrievedMetaFile) ? { content: fs.readFileSync(retrievedMetaFile, 'utf8') } : undefined,
+    };
   } catch (error) {
-    logger.log(`Compare failed for ${filePath}: ${error.message}`, 'WARN');
-    return { hasDifference: false, error: error.message };
+    logger.log(`Retrieve failed for ${filePath}: ${error.message}`, 'WARN');
+    return { error: error.message };
+  } finally {
+    cleanupTempDir(tempDir);
   }
 }
 
@@ -611,63 +1048,28 @@ export async function compareFileWithOrg(filePath) {
  * Find the retrieved file in the temp directory
  * @param {string} tempDir 
  * @param {Object} metadataInfo 
+ * @param {string} [fileName] - File key, used to pick the right file inside LWC/Aura bundles
  * @returns {string|null}
  */
-function findRetrievedFile(tempDir, metadataInfo) {
+function findRetrievedFile(tempDir, metadataInfo, fileName) {
   // SF CLI with --output-dir creates structure like: tempDir/classes/MyClass.cls
   // (direct folder structure without force-app/main/default)
-  
-  const typeToFolder = {
-    ApexClass: 'classes',
-    ApexTrigger: 'triggers',
-    ApexPage: 'pages',
-    ApexComponent: 'components',
-    LightningComponentBundle: 'lwc',
-    AuraDefinitionBundle: 'aura',
-  };
-
-  const typeToExtension = {
-    ApexClass: '.cls',
-    ApexTrigger: '.trigger',
-    ApexPage: '.page',
-    ApexComponent: '.component',
-  };
-
-  const folder = typeToFolder[metadataInfo.type];
-  const extension = typeToExtension[metadataInfo.type];
-
-  // Log directory contents for debugging (only for first file)
-  try {
-    const topLevelEntries = fs.readdirSync(tempDir);
-    if (topLevelEntries.length > 0 && metadataInfo.name === 'AppSettings') {
-      logger.log(`Temp dir contents for ${metadataInfo.name}: ${topLevelEntries.join(', ')}`);
-      // Check if there's a nested structure
-      for (const entry of topLevelEntries) {
-        const entryPath = path.join(tempDir, entry);
-        if (fs.statSync(entryPath).isDirectory()) {
-          const subEntries = fs.readdirSync(entryPath);
-          logger.log(`  ${entry}/: ${subEntries.slice(0, 5).join(', ')}${subEntries.length > 5 ? '...' : ''}`);
-        }
-      }
-    }
-  } catch {
-    // Ignore logging errors
+  const definition = metadataRegistry.getTypeDefinition(metadataInfo.type);
+  if (!definition) {
+    return findFileRecursive(tempDir, fileName || metadataInfo.name);
   }
 
-  if (!folder) {
-    // For LWC/Aura, need to find the JS file
-    return findFileRecursive(tempDir, metadataInfo.name);
-  }
+  const relativePath = metadataRegistry.getRelativeFilePath(definition, metadataInfo.name, fileName);
 
   // Try paths in order of likelihood (--output-dir creates direct structure)
   const possiblePaths = [
     // Direct structure (most common with --output-dir)
-    path.join(tempDir, folder, `${metadataInfo.name}${extension}`),
+    path.join(tempDir, relativePath),
     // Unpackaged structure
-    path.join(tempDir, 'unpackaged', folder, `${metadataInfo.name}${extension}`),
+    path.join(tempDir, 'unpackaged', relativePath),
     // Force-app structure (less common)
-    path.join(tempDir, 'force-app', 'main', 'default', folder, `${metadataInfo.name}${extension}`),
-    path.join(tempDir, 'main', 'default', folder, `${metadataInfo.name}${extension}`),
+    path.join(tempDir, 'force-app', 'main', 'default', relativePath),
+    path.join(tempDir, 'main', 'default', relativePath),
   ];
 
   for (const possiblePath of possiblePaths) {
@@ -676,8 +1078,13 @@ function findRetrievedFile(tempDir, metadataInfo) {
     }
   }
 
+  // Bundle files are only ever at their own path; a name search could pick another bundle file
+  if (definition.bundle) {
+    return null;
+  }
+
   // Fallback: search recursively
-  return findFileRecursive(tempDir, `${metadataInfo.name}${extension}`);
+  return findFileRecursive(tempDir, path.basename(relativePath));
 }
 
 /**
@@ -694,7 +1101,7 @@ function findFileRecursive(dir, filename) {
       if (entry.isDirectory()) {
         const found = findFileRecursive(fullPath, filename);
         if (found) return found;
-      } else if (entry.name === filename || entry.name.includes(filename)) {
+      } else if (entry.name === filename) {
         return fullPath;
       }
     }
@@ -704,18 +1111,6 @@ function findFileRecursive(dir, filename) {
   return null;
 }
 
-/**
- * Normalize file content for comparison
- * @param {string} content 
- * @returns {string}
- */
-function normalizeContent(content) {
-  return content
-    .replace(/\r\n/g, '\n')  // Normalize line endings
-    .replace(/[ \t]+$/gm, '') // Remove trailing whitespace from each line
-    .trim(); // Remove leading/trailing whitespace
-}
-
 /**
  * Cleanup temp directory
  * @param {string} dir 
@@ -746,6 +1141,7 @@ function parseJsonWithWarnings(output) {
 
 /**
  * Batch compare multiple files with org (for prefetch)
+ * Source-queryable types are compared against Tooling API query results; other types are retrieved
  * @param {Array<{filePath: string, name: string, type: string, uri?: vscode.Uri}>} files 
  * @param {Function} progressCallback - Called with (current, total) for progress
  * @param {Function} decorationCallback - Called with (uri, hasDifference, isOrgNewer) after each file is compared
@@ -756,113 +1152,111 @@ export async function batchCompareFilesWithOrg(files, progressCallback, decorati
   
   if (files.length === 0) return results;
 
-  const orgStatus = await checkOrgConnection();
+  // Files of one batch belong to the same SFDX project
+  const cwd = sfdxProject.getProjectRoot(files[0].filePath);
+  const orgStatus = await checkOrgConnection(files[0].filePath);
   if (!orgStatus.connected) {
     return results;
   }
 
-  // Group files by type
+  // Group files by type - components without an org record (standard fields) are not compared
   const filesByType = new Map();
   for (const file of files) {
+    if (!metadataRegistry.isTrackedComponent(metadataRegistry.getTypeDefinition(file.type), file.name)) continue;
     if (!filesByType.has(file.type)) {
       filesByType.set(file.type, []);
     }
     filesByType.get(file.type).push(file);
   }
 
-  let processedCount = 0;
   const totalFiles = files.length;
+  let processedCount = totalFiles - [...filesByType.values()].reduce((count, typeFiles) => count + typeFiles.length, 0);
+
+  // Process each type: queryable source first, retrieve for everything else
+  for (const [type, typeFiles] of filesByType) {
+    const compareStrategy = metadataRegistry.getTypeDefinition(type)?.compareStrategy;
+    let retrieveFiles = typeFiles;
+
+    if (compareStrategy === COMPARE_STRATEGIES.NONE) {
+      // Status-only type - nothing to compare
+      processedCount += typeFiles.length;
+      if (progressCallback) {
+        progressCallback(processedCount, totalFiles);
+      }
+      continue;
+    }
+
+    if (compareStrategy === COMPARE_STRATEGIES.SOURCE && SOURCE_QUERIES[type]) {
+      retrieveFiles = [];
+
+      for (const chunk of chunkForSourceQuery(type, typeFiles)) {
+        const bodies = await querySourceBodies(type, chunk.map(f => f.name), cwd);
+
+        if (!bodies) {
+          // Query failed - fall back to retrieving this chunk
+          retrieveFiles.push(...chunk);
+          continue;
+        }
+
+        for (const file of chunk) {
+          const component = bodies.get(file.name);
+          // Components missing from the org are reported as new by the status query
+          if (!component || !fs.existsSync(file.filePath)) continue;
+
+          const orgContent = component.files.get(getComponentFileKey(file.filePath));
+          if (orgContent === undefined) {
+            applyNewFile(file, orgStatus.username, results, decorationCallback);
+            continue;
+          }
+
+          const localContent = fs.readFileSync(file.filePath, 'utf8');
+          const metaDrift = getMetaDrift(file.filePath, component.meta ? { values: component.meta } : undefined);
+          applyComparison(file, localContent, orgContent, orgStatus.username, results, decorationCallback, metaDrift);
+        }
+
+        processedCount += chunk.length;
+        if (progressCallback) {
+          progressCallback(processedCount, totalFiles);
+        }
+      }
+    }
 
-  // Process each type in batches
-  for (const [, typeFiles] of filesByType) {
     // Take up to 10 files at a time to avoid too long commands
     const batchSize = 10;
-    for (let i = 0; i < typeFiles.length; i += batchSize) {
-      const batch = typeFiles.slice(i, i + batchSize);
+    for (let i = 0; i < retrieveFiles.length; i += batchSize) {
+      const batch = retrieveFiles.slice(i, i + batchSize);
       
+      let retrieved = null;
       try {
-        // Create temp directory
-        const tempDir = path.join(os.tmpdir(), `sf-metadata-batch-${Date.now()}`);
-        fs.mkdirSync(tempDir, { recursive: true });
-
-        // Build metadata specifiers - space-separated, each quoted
-        const specs = batch.map(f => `"${f.type}:${f.name}"`).join(' ');
-
-        // Retrieve all components in batch
-        const result = await shell.execCommandWithTimeout(
-          `sf project retrieve start --metadata ${specs} --output-dir "${tempDir}" --json`,
-          120000
-        );
-
-        // Parse JSON - handle potential warnings before JSON output
-        const data = parseJsonWithWarnings(result);
-
-        if (data.status === 0 && data.result?.files) {
-          // Build a map of component name -> retrieved file path from the response
-          const retrievedFilesMap = new Map();
-          for (const fileInfo of data.result.files) {
-            // Skip meta.xml files, we want the actual source file
-            if (fileInfo.filePath && !fileInfo.filePath.endsWith('-meta.xml')) {
-              retrievedFilesMap.set(fileInfo.fullName, fileInfo.filePath);
-            }
-          }
-          
-          logger.log(`Retrieved ${retrievedFilesMap.size} files to compare`);
+        retrieved = await retrieveComponents(batch, cwd);
+
+        if (retrieved.data.status === 0) {
+          const { retrievedFiles, retrievedComponents } = retrieved;
+          logger.log(`Retrieved ${retrievedFiles.size} files to compare`);
           
           // Compare each file
           for (const file of batch) {
-            const retrievedFile = retrievedFilesMap.get(file.name);
+            const retrievedFile = retrievedFiles.get(`${file.name}/${getComponentFileKey(file.filePath)}`);
+
+            if (!retrievedFile && retrievedComponents.has(file.name) && metadataRegistry.getBundleFilePath(file.filePath) !== null) {
+              // Bundle retrieved without this file - it has not been deployed yet
+              applyNewFile(file, orgStatus.username, results, decorationCallback);
+              continue;
+            }
             
             if (retrievedFile && fs.existsSync(retrievedFile) && fs.existsSync(file.filePath)) {
               const localContent = fs.readFileSync(file.filePath, 'utf8');
               const orgContent = fs.readFileSync(retrievedFile, 'utf8');
-              
-              const normalizedLocal = normalizeContent(localContent);
-              const normalizedOrg = normalizeContent(orgContent);
-              const hasDifference = normalizedLocal !== normalizedOrg;
-              const normalizedPath = normalizeFilePath(file.filePath);
-              
-              // Determine if org is newer by comparing file mod times with cached org LastModifiedDate
-              let isOrgNewer = false;
-              if (hasDifference) {
-                // Try multiple cache key formats - cache stores {timestamp, data: {...}}
-                const cachedEntry = sourceStatusCache.get(normalizedPath) || 
-                                    sourceStatusCache.get(file.filePath) ||
-                                    sourceStatusCache.get(file.name);
-                const cachedStatus = cachedEntry?.data;
-                
-                if (cachedStatus?.lastModifiedDate) {
-                  const orgDate = new Date(cachedStatus.lastModifiedDate).getTime();
-                  const localStats = fs.statSync(file.filePath);
-                  const localDate = localStats.mtime.getTime();
-                  isOrgNewer = orgDate > localDate;
-                  
-                  // Debug logging for files with differences
-                  logger.log(`Timestamp check for ${file.name}: orgDate=${new Date(orgDate).toISOString()}, localDate=${new Date(localDate).toISOString()}, isOrgNewer=${isOrgNewer}`);
-                } else {
-                  // If no cached status, check if file is tracked by git and modified
-                  // For now, default to assuming local changes if we can't determine
-                  logger.log(`No cached org date for ${file.name}, defaulting to local changes`);
-                }
-              }
-              
-              results.set(file.filePath, hasDifference);
-              // Store with normalized path for consistent lookups
-              const cacheEntry = { hasDifference, isOrgNewer, timestamp: Date.now() };
-              fileDiffCache.set(normalizedPath, cacheEntry);
-              // Also store original path for direct lookups
-              if (normalizedPath !== file.filePath) {
-                fileDiffCache.set(file.filePath, cacheEntry);
-              }
-              
-              // Stream decoration update immediately
-              if (decorationCallback && file.uri) {
-                decorationCallback(file.uri, hasDifference, isOrgNewer);
-              }
-              
-              if (hasDifference) {
-                const changeType = isOrgNewer ? 'Org has newer version' : 'Local changes';
-                logger.log(`${changeType}: ${file.name} (${file.type})`);
+              const retrievedMetaFile = `${retrievedFile}-meta.xml`;
+              const metaDrift = getMetaDrift(file.filePath, fs.existsSync(retrievedMetaFile)
+                ? { content: fs.readFileSync(retrievedMetaFile, 'utf8') }
+                : undefined);
+              applyComparison(file, localContent, orgContent, orgStatus.username, results, decorationCallback, metaDrift);
+
+              // A differing flow may still match an inactive org version
+              if (results.get(file.filePath) && file.type === 'Flow' &&
+                  await checkInactiveFlowVersion(file.filePath, file.name, localContent) && decorationCallback && file.uri) {
+                decorationCallback(file.uri, true, false);
               }
             } else {
               // Log when we can't find the retrieved file
@@ -873,29 +1267,15 @@ export async function batchCompareFilesWithOrg(files, progressCallback, decorati
               }
             }
           }
-          
-          // Clean up retrieved files
-          for (const filePath of retrievedFilesMap.values()) {
-            try {
-              if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-              }
-              // Also remove meta.xml
-              const metaPath = filePath + '-meta.xml';
-              if (fs.existsSync(metaPath)) {
-                fs.unlinkSync(metaPath);
-              }
-            } catch {
-              // Ignore cleanup errors
-            }
-          }
         } else {
-          logger.log(`Retrieve failed for batch: ${data.message || 'Unknown error'}`, 'WARN');
+          logger.log(`Retrieve failed for batch: ${retrieved.data.message || 'Unknown error'}`, 'WARN');
         }
-
-        cleanupTempDir(tempDir);
       } catch (error) {
         logger.log(`Batch compare failed: ${error.message}`, 'WARN');
+      } finally {
+        if (retrieved) {
+          cleanupTempDir(retrieved.tempDir);
+        }
       }
 
       // Update progress
@@ -905,7 +1285,7 @@ export async function batchCompareFilesWithOrg(files, progressCallback, decorati
       }
 
       // Small delay between batches
-      if (i + batchSize < typeFiles.length) {
+      if (i + batchSize < retrieveFiles.length) {
         await new Promise(resolve => setTimeout(resolve, 200));
       }
     }
@@ -914,14 +1294,518 @@ export async function batchCompareFilesWithOrg(files, progressCallback, decorati
   return results;
 }
 
+/**
+ * Run a source tracking preview in a project
+ * @param {'deploy' | 'retrieve'} operation
+ * @param {string} cwd - SFDX project
+ * @returns {Promise<Object>} Parsed CLI response
+ */
+async function runTrackingPreview(operation, cwd) {
+  const result = await shell.execCommandWithTimeout(`sf project ${operation} preview --json`, 120000, { cwd });
+  return parseJsonWithWarnings(result);
+}
+
+/**
+ * Get the changes source tracking reports between a project and its target org
+ * Scratch orgs and sandboxes with source tracking answer from their SourceMember revisions
+ * and the local tracking files in one call per direction, without retrieving any content.
+ * @param {string} cwd - SFDX project
+ * @returns {Promise<(import('../lib/tracking-preview.js').TrackedChanges & {org: string}) | null>}
+ *   Null when the org does not track source (or tracking is turned off) - compare content instead
+ */
+export async function getTrackedChanges(cwd) {
+  const config = vscode.workspace.getConfiguration('sfMetadataTracker');
+  if (!config.get('useSourceTracking', true)) {
+    return null;
+  }
+
+  const orgStatus = await checkOrgConnection(path.join(cwd, 'sfdx-project.json'));
+  if (!orgStatus.connected || untrackedOrgs.has(orgStatus.username)) {
+    return null;
+  }
+
+  try {
+    // The retrieve preview fails first on orgs without source tracking
+    const retrieveData = await runTrackingPreview('retrieve', cwd);
+    if (retrieveData.status !== 0) {
+      if (isUntrackedOrgError(retrieveData)) {
+        untrackedOrgs.add(orgStatus.username);
+        logger.log(`${orgStatus.alias || orgStatus.username} does not track source, comparing content`);
+      } else {
+        logger.log(`Retrieve preview failed: ${retrieveData.message || 'Unknown error'}`, 'WARN');
+      }
+      return null;
+    }
+
+    const deployData = await runTrackingPreview('deploy', cwd);
+    if (deployData.status !== 0) {
+      logger.log(`Deploy preview failed: ${deployData.message || 'Unknown error'}`, 'WARN');
+      return null;
+    }
+
+    const changes = parsePreviews(deployData.result, retrieveData.result, cwd);
+    logger.log(`Source tracking reports ${changes.count} changed components in ${orgStatus.alias || orgStatus.username}`);
+    return { ...changes, org: orgStatus.username };
+  } catch (error) {
+    logger.log(`Source tracking preview failed: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Cache the sync state source tracking reports for a batch of files
+ * Used instead of batchCompareFilesWithOrg for orgs that track source. Needs the files' org
+ * status (batchGetFileOrgStatus) first, so components missing from the org stay new.
+ * @param {Array<{filePath: string, name: string, type: string, uri?: vscode.Uri}>} files
+ * @param {import('../lib/tracking-preview.js').TrackedChanges & {org: string}} changes - From getTrackedChanges
+ * @param {Function} [decorationCallback] - Called with (uri, hasDifference, isOrgNewer) after each file
+ * @returns {Map<string, boolean>} Map of filePath -> hasDifference
+ */
+export function applyTrackedChanges(files, changes, decorationCallback) {
+  const results = new Map();
+
+  for (const file of files) {
+    const normalizedPath = normalizeFilePath(file.filePath);
+    const cachedStatus = (sourceStatusCache.get(normalizedPath) || sourceStatusCache.get(file.filePath))?.data;
+    const syncState = getTrackedState(changes, file);
+    // Components missing from the org are reported as new by the status query, unless tracking saw them deleted
+    if ((cachedStatus?.error && syncState !== SYNC_STATES.DELETED_IN_ORG) || !fs.existsSync(file.filePath)) continue;
+
+    const hasDifference = syncState !== SYNC_STATES.IN_SYNC;
+    if (!hasDifference && cachedStatus?.lastModifiedDate) {
+      // Source tracking agrees with the org - a known sync point
+      syncLedger.recordSync(file.filePath, cachedStatus, changes.org, 'compare');
+    }
+
+    results.set(file.filePath, hasDifference);
+    fileDiffCache.set(normalizedPath, {
+      hasDifference,
+      isOrgNewer: syncState === SYNC_STATES.ORG_CHANGED,
+      syncState,
+      tracked: true,
+      localHash: getLocalHash(file.filePath),
+      timestamp: Date.now(),
+    });
+
+    if (decorationCallback && file.uri) {
+      decorationCallback(file.uri, hasDifference, syncState === SYNC_STATES.ORG_CHANGED);
+    }
+    if (hasDifference) {
+      logger.log(`${syncState} (source tracking): ${file.name} (${file.type})`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Retrieve the components of a batch of files to a temp directory
+ * The caller removes the temp directory when done.
+ * @param {Array<{name: string, type: string}>} files
+ * @param {string} cwd - SFDX project to run the retrieve in
+ * @param {string} [targetOrg] - Org to retrieve from, defaults to the project's target org
+ * @returns {Promise<{tempDir: string, data: Object, retrievedFiles: Map<string, string>, retrievedComponents: Set<string>}>}
+ *   retrievedFiles maps component name + file key to the retrieved path
+ */
+async function retrieveComponents(files, cwd, targetOrg) {
+  const tempDir = path.join(os.tmpdir(), `sf-metadata-batch-${Date.now()}`);
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    // Build metadata specifiers - space-separated, each quoted (bundle files share one)
+    const specs = [...new Set(files.map(f => `"${f.type}:${f.name}"`))].join(' ');
+
+    const result = await shell.execCommandWithTimeout(
+      `sf project retrieve start --metadata ${specs} --output-dir "${tempDir}"${targetOrgFlag(targetOrg)} --json`,
+      120000,
+      { cwd }
+    );
+
+    // Parse JSON - handle potential warnings before JSON output
+    const data = parseJsonWithWarnings(result);
+
+    // Component name + file key -> retrieved file path
+    // (file key picks the right file in bundles and XML-only types such as flows)
+    const retrievedFiles = new Map();
+    const retrievedComponents = new Set();
+    for (const fileInfo of (data.status === 0 && data.result?.files) || []) {
+      if (fileInfo.filePath) {
+        retrievedFiles.set(`${fileInfo.fullName}/${getComponentFileKey(fileInfo.filePath)}`, fileInfo.filePath);
+        retrievedComponents.add(fileInfo.fullName);
+      }
+    }
+
+    return { tempDir, data, retrievedFiles, retrievedComponents };
+  } catch (error) {
+    cleanupTempDir(tempDir);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the org version of many files from any authorized org, without touching the caches
+ * Used to compare against orgs other than the default one. Queryable source is read in
+ * batches from the Tooling API, other types are retrieved 10 components at a time.
+ * @param {Array<{filePath: string, name: string, type: string}>} files - Files of one SFDX project
+ * @param {string} [targetOrg] - Org username or alias, defaults to the project's target org
+ * @param {Function} [progressCallback] - Called with (current, total)
+ * @returns {Promise<Map<string, {content?: string, isNew?: boolean, error?: string}>>} Map of filePath -> org version
+ */
+export async function fetchOrgContents(files, targetOrg, progressCallback) {
+  const results = new Map();
+  if (files.length === 0) return results;
+
+  const cwd = sfdxProject.getProjectRoot(files[0].filePath);
+  const orgStatus = await checkOrgConnection(files[0].filePath, targetOrg);
+  if (!orgStatus.connected) {
+    files.forEach(f => results.set(f.filePath, { error: orgStatus.error || 'Not connected to org' }));
+    return results;
+  }
+
+  let processedCount = 0;
+  const reportProgress = (count) => {
+    processedCount += count;
+    if (progressCallback) {
+      progressCallback(processedCount, files.length);
+    }
+  };
+
+  const filesByType = new Map();
+  for (const file of files) {
+    if (!filesByType.has(file.type)) {
+      filesByType.set(file.type, []);
+    }
+    filesByType.get(file.type).push(file);
+  }
+
+  for (const [type, typeFiles] of filesByType) {
+    const compareStrategy = metadataRegistry.getTypeDefinition(type)?.compareStrategy;
+    if (compareStrategy === COMPARE_STRATEGIES.NONE) {
+      typeFiles.forEach(f => results.set(f.filePath, { error: `Content comparison is not enabled for ${type}` }));
+      reportProgress(typeFiles.length);
+      continue;
+    }
+
+    let retrieveFiles = typeFiles;
+    if (compareStrategy === COMPARE_STRATEGIES.SOURCE && SOURCE_QUERIES[type]) {
+      retrieveFiles = [];
+      for (const chunk of chunkForSourceQuery(type, typeFiles)) {
+        const bodies = await querySourceBodies(type, chunk.map(f => f.name), cwd, targetOrg);
+        if (!bodies) {
+          retrieveFiles.push(...chunk);
+          continue;
+        }
+
+        for (const file of chunk) {
+          const content = bodies.get(file.name)?.files.get(getComponentFileKey(file.filePath));
+          results.set(file.filePath, content === undefined ? { isNew: true } : { content });
+        }
+        reportProgress(chunk.length);
+      }
+    }
+
+    const batchSize = 10;
+    for (let i = 0; i < retrieveFiles.length; i += batchSize) {
+      const batch = retrieveFiles.slice(i, i + batchSize);
+      let retrieved = null;
+      try {
+        retrieved = await retrieveComponents(batch, cwd, targetOrg);
+        const { data, retrievedFiles, retrievedComponents } = retrieved;
+
+        for (const file of batch) {
+          const retrievedFile = retrievedFiles.get(`${file.name}/${getComponentFileKey(file.filePath)}`);
+          // Missing from the org: component not retrieved, or a bundle retrieved without this file
+          const isNew = data.status === 0
+            ? !retrievedComponents.has(file.name) || Boolean(metadataRegistry.getTypeDefinition(file.type)?.bundle)
+            : Boolean(data.message?.includes('No source-backed components'));
+
+          if (retrievedFile && fs.existsSync(retrievedFile)) {
+            results.set(file.filePath, { content: fs.readFileSync(retrievedFile, 'utf8') });
+          } else if (isNew) {
+            results.set(file.filePath, { isNew: true });
+          } else {
+            results.set(file.filePath, { error: data.message || 'Could not find retrieved file' });
+          }
+        }
+      } catch (error) {
+        logger.log(`Retrieve from ${targetOrg || 'default org'} failed: ${error.message}`, 'WARN');
+        batch.forEach(f => results.set(f.filePath, { error: error.message }));
+      } finally {
+        if (retrieved) {
+          cleanupTempDir(retrieved.tempDir);
+        }
+      }
+      reportProgress(batch.length);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Compare one file's local and org content and cache the classified result
+ * @param {{filePath: string, name: string, type: string, uri?: vscode.Uri}} file 
+ * @param {string} localContent 
+ * @param {string} orgContent 
+ * @param {string} org - Org username
+ * @param {Map<string, boolean>} results - Batch results to add to
+ * @param {Function} [decorationCallback] - Called with (uri, hasDifference, isOrgNewer)
+ * @param {Array} [metaDrift] - Differences in the -meta.xml companion (see getMetaDrift)
+ */
+function applyComparison(file, localContent, orgContent, org, results, decorationCallback, metaDrift = []) {
+  const { same, drift } = compareContent(file.filePath, localContent, orgContent);
+  const hasDifference = !same || metaDrift.length > 0;
+  const normalizedPath = normalizeFilePath(file.filePath);
+
+  // Classify the difference against the sync ledger baseline
+  const cachedEntry = sourceStatusCache.get(normalizedPath) || sourceStatusCache.get(file.filePath);
+  const cachedStatus = cachedEntry?.data;
+  let syncState = SYNC_STATES.IN_SYNC;
+
+  if (!same) {
+    syncState = resolveChangeState(file.filePath, localContent, cachedStatus, org);
+  } else if (hasDifference) {
+    syncState = SYNC_STATES.METADATA_DIFFERS;
+  } else if (cachedStatus?.lastModifiedDate) {
+    // Identical content is a known sync point
+    syncLedger.recordSync(file.filePath, cachedStatus, org, 'compare', localContent);
+  }
+
+  const isOrgNewer = syncState === SYNC_STATES.ORG_CHANGED;
+
+  results.set(file.filePath, hasDifference);
+  // Store with normalized path for consistent lookups
+  const cacheEntry = {
+    hasDifference,
+    isOrgNewer,
+    syncState,
+    drift,
+    metaDrift,
+    localHash: getLocalHash(file.filePath, localContent),
+    timestamp: Date.now(),
+  };
+  fileDiffCache.set(normalizedPath, cacheEntry);
+  // Also store original path for direct lookups
+  if (normalizedPath !== file.filePath) {
+    fileDiffCache.set(file.filePath, cacheEntry);
+  }
+
+  // Stream decoration update immediately
+  if (decorationCallback && file.uri) {
+    decorationCallback(file.uri, hasDifference, isOrgNewer);
+  }
+
+  if (hasDifference) {
+    logger.log(`${syncState}: ${file.name} (${file.type})`);
+  }
+}
+
+/**
+ * Compare a source file's -meta.xml companion with the org's settings
+ * @param {string} filePath - Local source file
+ * @param {{values?: Object, content?: string}} [orgMeta] - Queried org values, or the retrieved org document
+ * @returns {Array<{field: string, org: string | null, local: string | null}>} Differing fields, empty when
+ *   there is nothing to compare
+ */
+function getMetaDrift(filePath, orgMeta) {
+  const metaPath = `${filePath}-meta.xml`;
+  // XML-only types (flows, fields, ...) and LWC js-meta.xml are compared as files of their own
+  if (!orgMeta || metadataRegistry.getSourceFilePath(metaPath) !== filePath || !fs.existsSync(metaPath)) {
+    return [];
+  }
+
+  try {
+    const localMeta = fs.readFileSync(metaPath, 'utf8');
+    return orgMeta.values ? diffMetaFields(localMeta, orgMeta.values) : diffMetaXml(localMeta, orgMeta.content);
+  } catch (error) {
+    logger.log(`Meta compare failed for ${path.basename(metaPath)}: ${error.message}`, 'WARN');
+    return [];
+  }
+}
+
+/**
+ * Cache a bundle file that is missing from the org copy of its bundle as new (or deleted in org)
+ * @param {{filePath: string, name: string, uri?: vscode.Uri}} file 
+ * @param {string} org - Org username
+ * @param {Map<string, boolean>} results - Batch results to add to
+ * @param {Function} [decorationCallback] - Called with (uri, hasDifference, isOrgNewer)
+ */
+function applyNewFile(file, org, results, decorationCallback) {
+  // A file that was part of the org's bundle at the last sync has been deleted there
+  const deletedInOrg = Boolean(syncLedger.getOrgBaseline(file.filePath, org));
+  results.set(file.filePath, deletedInOrg);
+  const localHash = getLocalHash(file.filePath);
+  fileDiffCache.set(normalizeFilePath(file.filePath), deletedInOrg
+    ? { hasDifference: true, isNew: false, syncState: SYNC_STATES.DELETED_IN_ORG, localHash, timestamp: Date.now() }
+    : { hasDifference: false, isNew: true, localHash, timestamp: Date.now() });
+
+  if (decorationCallback && file.uri) {
+    decorationCallback(file.uri, false, false);
+  }
+}
+
+/**
+ * Get the key identifying a file within its component
+ * Bundle files are keyed by their path within the bundle folder, other types by file name.
+ * @param {string} filePath - Local or retrieved file path
+ * @returns {string}
+ */
+function getComponentFileKey(filePath) {
+  return metadataRegistry.getBundleFilePath(filePath) ?? path.basename(filePath);
+}
+
+// Most recent inactive flow versions checked for a match with the local file
+const MAX_FLOW_VERSIONS_CHECKED = 5;
+
+/**
+ * Check whether a flow that differs from the org's current version matches an inactive one
+ * Marks the file's diff status as INACTIVE_VERSION when it does.
+ * @param {string} filePath 
+ * @param {string} flowName 
+ * @param {string} localContent 
+ * @returns {Promise<boolean>} True when an inactive version matched
+ */
+async function checkInactiveFlowVersion(filePath, flowName, localContent) {
+  const cwd = sfdxProject.getProjectRoot(filePath);
+  try {
+    const versionsData = await sfApi.query(
+      'SELECT Id, VersionNumber, Status FROM Flow ' +
+      `WHERE Definition.DeveloperName = '${flowName}' AND Status != 'Active' ` +
+      `ORDER BY VersionNumber DESC LIMIT ${MAX_FLOW_VERSIONS_CHECKED}`,
+      { cwd, tooling: true }
+    );
+    const versions = versionsData.result?.records || [];
+
+    // Flow.Metadata can only be queried one record at a time - one composite request runs them all
+    const metadataResults = await sfApi.compositeQuery(
+      versions.map((version) => `SELECT Metadata FROM Flow WHERE Id = '${version.Id}'`),
+      { cwd, tooling: true }
+    );
+
+    for (const [index, version] of versions.entries()) {
+      const metadata = metadataResults[index].result?.records?.[0]?.Metadata;
+
+      if (metadata && flowMatchesMetadata(localContent, metadata)) {
+        const flowMatch = { versionNumber: version.VersionNumber, status: version.Status };
+        for (const key of new Set([normalizeFilePath(filePath), filePath])) {
+          const cached = fileDiffCache.get(key);
+          if (cached) {
+            fileDiffCache.set(key, { ...cached, syncState: SYNC_STATES.INACTIVE_VERSION, isOrgNewer: false, flowMatch });
+          }
+        }
+        logger.log(`${flowName} matches inactive org version ${version.VersionNumber} (${version.Status})`);
+        return true;
+      }
+    }
+  } catch (error) {
+    logger.log(`Flow version check failed for ${flowName}: ${error.message}`, 'WARN');
+  }
+  return false;
+}
+
+/**
+ * Compare local and org content
+ * Metadata XML is compared structurally, so formatting and the order of differently
+ * named elements do not count as changes. Permission sets and profiles are compared
+ * entry by entry, and the differing entries are returned as drift.
+ * @param {string} filePath 
+ * @param {string} localContent 
+ * @param {string} orgContent 
+ * @returns {{same: boolean, drift?: import('../lib/permissions.js').PermissionDrift[]}}
+ */
+export function compareContent(filePath, localContent, orgContent) {
+  const definition = metadataRegistry.resolvePath(filePath)?.definition;
+
+  if (definition?.compareMode === 'permissions') {
+    try {
+      const drift = diffPermissions(localContent, orgContent, { ignoreLocalOnly: definition.partialOrgCopy });
+      return { same: drift.length === 0, drift };
+    } catch (error) {
+      logger.log(`Permission compare failed for ${path.basename(filePath)}: ${error.message}`, 'WARN');
+    }
+  }
+
+  if (filePath.endsWith('.xml')) {
+    return { same: xmlEquals(localContent, orgContent) };
+  }
+  return { same: normalizeContent(localContent) === normalizeContent(orgContent) };
+}
+
+/**
+ * Check whether local and org content match
+ * @param {string} filePath 
+ * @param {string} localContent 
+ * @param {string} orgContent 
+ * @returns {boolean}
+ */
+export function isSameContent(filePath, localContent, orgContent) {
+  return compareContent(filePath, localContent, orgContent).same;
+}
+
+/**
+ * Decide which side changed for a file that differs from the org
+ * Uses the sync ledger baseline; files without a baseline fall back to comparing
+ * the org LastModifiedDate with the local file's mtime.
+ * @param {string} filePath 
+ * @param {string} localContent 
+ * @param {{lastModifiedDate?: string}} orgFileStatus 
+ * @param {string} org - Org username
+ * @returns {string} One of SYNC_STATES
+ */
+function resolveChangeState(filePath, localContent, orgFileStatus, org) {
+  const ledgerState = syncLedger.classifyChange(filePath, localContent, orgFileStatus, org);
+  if (ledgerState) {
+    return ledgerState;
+  }
+
+  if (!orgFileStatus?.lastModifiedDate) {
+    logger.log(`No sync baseline or org date for ${path.basename(filePath)}, defaulting to local changes`);
+    return SYNC_STATES.LOCAL_CHANGED;
+  }
+
+  const orgDate = new Date(orgFileStatus.lastModifiedDate).getTime();
+  const localDate = fs.statSync(filePath).mtime.getTime();
+  logger.log(`No sync baseline for ${path.basename(filePath)}, using timestamps: orgDate=${new Date(orgDate).toISOString()}, localDate=${new Date(localDate).toISOString()}`);
+  return orgDate > localDate ? SYNC_STATES.ORG_CHANGED : SYNC_STATES.LOCAL_CHANGED;
+}
+
+/**
+ * Hash a file's local content together with its -meta.xml companion
+ * Stored with each compare result, so rescans can tell which files were edited since.
+ * @param {string} filePath - Local source file
+ * @param {string} [localContent] - Content already read (read from disk if omitted)
+ * @returns {string | null} Null when the file cannot be read
+ */
+function getLocalHash(filePath, localContent) {
+  try {
+    const metaPath = `${filePath}-meta.xml`;
+    const metaContent = metadataRegistry.getSourceFilePath(metaPath) === filePath && fs.existsSync(metaPath)
+      ? fs.readFileSync(metaPath, 'utf8')
+      : '';
+    return hashContent(`${localContent ?? fs.readFileSync(filePath, 'utf8')}\n${metaContent}`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a file was edited (or never compared) since its last compare
+ * @param {string} filePath - Local source file
+ * @returns {boolean}
+ */
+export function isChangedSinceCompare(filePath) {
+  const cached = fileDiffCache.get(normalizeFilePath(filePath)) || fileDiffCache.get(filePath);
+  return !cached?.localHash || cached.localHash !== getLocalHash(filePath);
+}
+
 /**
  * Normalize file path for consistent cache lookups
  * @param {string} filePath 
  * @returns {string}
  */
 function normalizeFilePath(filePath) {
-  // Remove -meta.xml suffix if present
-  let normalized = filePath.endsWith('-meta.xml') ? filePath.replace('-meta.xml', '') : filePath;
+  // -meta.xml companions share their source file's entry
+  const normalized = metadataRegistry.getSourceFilePath(filePath);
   // Ensure consistent path separators
   return normalized.replace(/\\/g, '/');
 }
@@ -930,7 +1814,7 @@ function normalizeFilePath(filePath) {
  * Check if a specific file has differences with org
  * Uses cached diff result
  * @param {string} filePath 
- * @returns {{hasDifference: boolean, isOrgNewer: boolean}}
+ * @returns {{hasDifference: boolean, isOrgNewer: boolean, isCompared: boolean, isNew?: boolean, syncState?: string, drift?: Array, metaDrift?: Array, flowMatch?: Object}}
  */
 export function getFileDiffStatus(filePath) {
   const normalizedPath = normalizeFilePath(filePath);
@@ -939,13 +1823,13 @@ export function getFileDiffStatus(filePath) {
   // Try exact match first with normalized path
   let cached = fileDiffCache.get(normalizedPath);
   if (cached) {
-    return { hasDifference: cached.hasDifference, isOrgNewer: cached.isOrgNewer || false, isCompared: true };
+    return toDiffStatus(cached);
   }
   
   // Try original path
   cached = fileDiffCache.get(filePath);
   if (cached) {
-    return { hasDifference: cached.hasDifference, isOrgNewer: cached.isOrgNewer || false, isCompared: true };
+    return toDiffStatus(cached);
   }
   
   // For meta files, check the parent file
@@ -953,20 +1837,59 @@ export function getFileDiffStatus(filePath) {
     const parentPath = filePath.replace('-meta.xml', '');
     cached = fileDiffCache.get(parentPath);
     if (cached) {
-      return { hasDifference: cached.hasDifference, isOrgNewer: cached.isOrgNewer || false, isCompared: true };
+      return toDiffStatus(cached);
     }
   }
   
   // Try to find by normalized path match
   for (const [cachedPath, cachedData] of fileDiffCache.entries()) {
     if (normalizeFilePath(cachedPath) === normalizedPath) {
-      return { hasDifference: cachedData.hasDifference, isOrgNewer: cachedData.isOrgNewer || false, isCompared: true };
+      return toDiffStatus(cachedData);
     }
   }
   
   return defaultResult;
 }
 
+/**
+ * Get the diff status of every compared file in a folder (e.g. an LWC/Aura bundle)
+ * @param {string} folderPath 
+ * @returns {Map<string, {hasDifference: boolean, isOrgNewer: boolean, isCompared: boolean, isNew: boolean, syncState: string}>} File path -> diff status
+ */
+export function getFolderDiffStatuses(folderPath) {
+  const prefix = `${normalizeFilePath(folderPath)}/`;
+  const statuses = new Map();
+
+  for (const [cachedPath, cachedData] of fileDiffCache.entries()) {
+    const normalizedPath = normalizeFilePath(cachedPath);
+    if (normalizedPath.startsWith(prefix) && !statuses.has(normalizedPath)) {
+      statuses.set(normalizedPath, toDiffStatus(cachedData));
+    }
+  }
+
+  return statuses;
+}
+
+/**
+ * Convert a diff cache entry to the public diff status shape
+ * @param {Object} cached 
+ * @returns {{hasDifference: boolean, isOrgNewer: boolean, isCompared: boolean, isNew: boolean, syncState: string, drift: Array, metaDrift: Array, flowMatch: Object}}
+ */
+function toDiffStatus(cached) {
+  const syncState = cached.syncState ||
+    (cached.hasDifference ? SYNC_STATES.LOCAL_CHANGED : SYNC_STATES.IN_SYNC);
+  return {
+    hasDifference: cached.hasDifference,
+    isOrgNewer: cached.isOrgNewer || false,
+    isCompared: true,
+    isNew: cached.isNew || false,
+    syncState,
+    drift: cached.drift || [],
+    metaDrift: cached.metaDrift || [],
+    flowMatch: cached.flowMatch || null,
+  };
+}
+
 /**
  * Legacy function for backwards compatibility
  * @param {string} filePath 
@@ -983,7 +1906,7 @@ export function hasLocalChanges(filePath) {
  * @returns {boolean}
  */
 export function hasDiffCacheEntry(filePath) {
-  const cached = fileDiffCache.get(filePath);
+  const cached = fileDiffCache.get(normalizeFilePath(filePath)) || fileDiffCache.get(filePath);
   return cached && Date.now() - cached.timestamp < 60000;
 }
 
@@ -1002,12 +1925,271 @@ export function getDiffCache() {
   return fileDiffCache;
 }
 
+/**
+ * Check whether a file changed both locally and in the org since its last sync
+ * Uses the cached compare result when available, otherwise fresh org status against the ledger baseline.
+ * @param {string} filePath 
+ * @returns {Promise<{conflict: boolean, lastModifiedBy?: string, lastModifiedDate?: string}>}
+ */
+export async function checkForConflict(filePath) {
+  const orgStatus = await checkOrgConnection(filePath);
+  if (!orgStatus.connected) {
+    return { conflict: false };
+  }
+
+  // Conflicts found by the last scan (content compare or source tracking) may have no baseline,
+  // so read the scan result before refreshing anything
+  const scannedConflict = getFileDiffStatus(filePath).syncState === SYNC_STATES.CONFLICT;
+
+  // Bypass the cached org status so a teammate's recent change is not missed; the compare
+  // result and decoration stay as they are
+  sourceStatusCache.delete(normalizeFilePath(filePath));
+  sourceStatusCache.delete(filePath);
+  const orgFileStatus = await getFileOrgStatus(filePath);
+  if (orgFileStatus.error) {
+    return { conflict: scannedConflict };
+  }
+
+  let conflict = scannedConflict;
+  if (!conflict) {
+    try {
+      const localContent = fs.readFileSync(normalizeFilePath(filePath), 'utf8');
+      conflict = syncLedger.classifyChange(filePath, localContent, orgFileStatus, orgStatus.username) === SYNC_STATES.CONFLICT;
+    } catch {
+      // Unreadable local file - nothing to protect
+    }
+  }
+
+  return {
+    conflict,
+    lastModifiedBy: orgFileStatus.lastModifiedBy,
+    lastModifiedDate: orgFileStatus.lastModifiedDate,
+  };
+}
+
+/**
+ * Deploy a file to the org and record the sync baseline on success
+ * @param {string} filePath 
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deployFile(filePath) {
+  return runSyncCommand(filePath, 'deploy', `sf project deploy start --source-dir "${filePath}" --json`);
+}
+
+/**
+ * Retrieve a file from the org and record the sync baseline on success
+ * @param {string} filePath 
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function retrieveFile(filePath) {
+  return runSyncCommand(filePath, 'retrieve', `sf project retrieve start --source-dir "${filePath}" --json`);
+}
+
+/**
+ * Record that the org version of a file has been merged into the local copy
+ * The org content becomes the new baseline, so the file no longer counts as changed
+ * in the org and the merged result shows up as a local change until deployed.
+ * @param {string} filePath
+ * @param {string} orgContent - Org content that was merged
+ * @param {{lastModifiedDate?: string, lastModifiedBy?: string}} orgFileStatus - Org status at the time of the merge
+ */
+export function recordMerge(filePath, orgContent, orgFileStatus) {
+  const orgStatus = getCachedOrgConnection(filePath);
+  if (!orgStatus.connected) return;
+
+  syncLedger.recordSync(filePath, orgFileStatus, orgStatus.username, 'merge', orgContent);
+
+  fileDiffCache.set(normalizeFilePath(filePath), {
+    hasDifference: true,
+    isOrgNewer: false,
+    syncState: SYNC_STATES.LOCAL_CHANGED,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * Run a deploy/retrieve command, then mark the component's files as in sync
+ * @param {string} filePath 
+ * @param {'deploy' | 'retrieve'} operation 
+ * @param {string} command 
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function runSyncCommand(filePath, operation, command) {
+  const orgStatus = await checkOrgConnection(filePath);
+  if (!orgStatus.connected) {
+    return { success: false, error: 'Not connected to org' };
+  }
+
+  try {
+    // Every deploy or retrieve runs, ahead of background queries
+    const result = await shell.execCommandWithTimeout(command, 600000, {
+      cwd: sfdxProject.getProjectRoot(filePath),
+      priority: jobQueue.PRIORITIES.INTERACTIVE,
+      dedupe: false,
+    });
+    const data = parseJsonWithWarnings(result);
+
+    if (data.status !== 0) {
+      return { success: false, error: data.message || `${operation} failed` };
+    }
+  } catch (error) {
+    logger.log(`${operation} failed for ${filePath}: ${error.message}`, 'WARN');
+    return { success: false, error: error.message };
+  }
+
+  await recordComponentSync(filePath, orgStatus.username, operation);
+
+  logger.log(`${operation} succeeded for ${path.basename(filePath)}`);
+  return { success: true };
+}
+
+/**
+ * Mark the files of a component as in sync after a deploy or retrieve
+ * @param {string} filePath - Any file of the component
+ * @param {string} org - Org username
+ * @param {'deploy' | 'retrieve'} operation
+ */
+async function recordComponentSync(filePath, org, operation) {
+  // Fetch the org's new LastModifiedDate for the baseline
+  invalidateFileCache(filePath);
+  invalidateFileCache(normalizeFilePath(filePath));
+  const orgFileStatus = await getFileOrgStatus(filePath);
+
+  for (const componentFile of getComponentFiles(filePath)) {
+    syncLedger.recordSync(componentFile, orgFileStatus, org, operation);
+    const cacheEntry = {
+      hasDifference: false,
+      isOrgNewer: false,
+      syncState: SYNC_STATES.IN_SYNC,
+      localHash: getLocalHash(componentFile),
+      timestamp: Date.now(),
+    };
+    fileDiffCache.set(normalizeFilePath(componentFile), cacheEntry);
+  }
+}
+
+/**
+ * Retrieve components that have no local files yet into an SFDX project
+ * The CLI writes them to the project's default package directory.
+ * @param {Array<{type: string, name: string}>} components
+ * @param {string} cwd - SFDX project to retrieve into
+ * @returns {Promise<{success: boolean, files: string[], error?: string}>} Retrieved local files
+ */
+export async function retrieveMetadata(components, cwd) {
+  // Any path inside the project resolves to its target org
+  const orgStatus = await checkOrgConnection(path.join(cwd, 'sfdx-project.json'));
+  if (!orgStatus.connected) {
+    return { success: false, files: [], error: 'Not connected to org' };
+  }
+
+  const metadataFlags = components.map(({ type, name }) => `--metadata "${type}:${name}"`).join(' ');
+  let data;
+  try {
+    const result = await shell.execCommandWithTimeout(`sf project retrieve start ${metadataFlags} --json`, 600000, {
+      cwd,
+      priority: jobQueue.PRIORITIES.INTERACTIVE,
+      dedupe: false,
+    });
+    data = parseJsonWithWarnings(result);
+  } catch (error) {
+    logger.log(`Retrieve failed for ${components.length} components: ${error.message}`, 'WARN');
+    return { success: false, files: [], error: error.message };
+  }
+
+  if (data.status !== 0) {
+    return { success: false, files: [], error: data.message || 'retrieve failed' };
+  }
+
+  const files = (data.result?.files || [])
+    .filter((file) => file.filePath && file.state !== 'Failed')
+    .map((file) => file.filePath);
+
+  // Retrieved components start out in sync - one baseline per component
+  const synced = new Set();
+  for (const filePath of files) {
+    const metadataInfo = metadataRegistry.isTrackedFile(filePath) ? getMetadataTypeFromPath(filePath) : null;
+    if (!metadataInfo || synced.has(`${metadataInfo.type}:${metadataInfo.name}`)) continue;
+    synced.add(`${metadataInfo.type}:${metadataInfo.name}`);
+    await recordComponentSync(metadataRegistry.getSourceFilePath(filePath), orgStatus.username, 'retrieve');
+  }
+
+  logger.log(`Retrieved ${components.length} components (${files.length} files)`);
+  return { success: true, files };
+}
+
+/**
+ * Get the local files that make up the component a file belongs to
+ * LWC/Aura bundles are deployed and retrieved as a whole; other types as the file itself.
+ * @param {string} filePath 
+ * @returns {string[]}
+ */
+function getComponentFiles(filePath) {
+  const bundleFilePath = metadataRegistry.getBundleFilePath(filePath);
+
+  if (bundleFilePath === null) {
+    return [normalizeFilePath(filePath)];
+  }
+
+  const bundleDir = filePath.slice(0, filePath.length - bundleFilePath.length - 1);
+  return listFilesRecursive(bundleDir)
+    .filter((file) => metadataRegistry.isTrackedFile(file) && metadataRegistry.getSourceFilePath(file) === file);
+}
+
+/**
+ * Remove a component deleted in the org from the local project
+ * Files are moved to the trash, and their sync baselines dropped so they are not reported again.
+ * @param {string} filePath - Any file of the component
+ * @param {boolean} [fileOnly] - Remove just this file (deleted from the org's copy of its bundle)
+ * @returns {Promise<string[]>} Removed paths
+ */
+export async function deleteLocalComponent(filePath, fileOnly = false) {
+  const sourceFilePath = metadataRegistry.getSourceFilePath(filePath);
+  const bundleFilePath = metadataRegistry.getBundleFilePath(sourceFilePath);
+  const trackedFiles = fileOnly ? [sourceFilePath] : getComponentFiles(sourceFilePath);
+
+  // Bundles go as a whole folder, other components as the source file and its -meta.xml
+  const removedPaths = !fileOnly && bundleFilePath !== null
+    ? [sourceFilePath.slice(0, sourceFilePath.length - bundleFilePath.length - 1)]
+    : [sourceFilePath, `${sourceFilePath}-meta.xml`].filter((candidate) => fs.existsSync(candidate));
+
+  for (const removedPath of removedPaths) {
+    await vscode.workspace.fs.delete(vscode.Uri.file(removedPath), { recursive: true, useTrash: true });
+  }
+
+  const org = getCachedOrgConnection(sourceFilePath).username;
+  for (const trackedFile of trackedFiles) {
+    syncLedger.removeBaseline(trackedFile, org);
+    invalidateFileCache(trackedFile);
+    invalidateFileCache(normalizeFilePath(trackedFile));
+  }
+
+  logger.log(`Deleted ${removedPaths.map((removedPath) => path.basename(removedPath)).join(', ')} (deleted in org)`);
+  return removedPaths;
+}
+
+/**
+ * List the files in a directory and its subdirectories
+ * @param {string} dir 
+ * @returns {string[]}
+ */
+function listFilesRecursive(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFilesRecursive(fullPath) : [fullPath];
+    });
+  } catch {
+    return [];
+  }
+}
+
 /**
  * Invalidate cache for a specific file
  * @param {string} filePath 
  */
 export function invalidateFileCache(filePath) {
   sourceStatusCache.delete(filePath);
+  fileDiffCache.delete(normalizeFilePath(filePath));
   fileDiffCache.delete(filePath);
 }
 
@@ -1017,4 +2199,5 @@ export function invalidateFileCache(filePath) {
 export function clearSourceCache() {
   sourceStatusCache.clear();
   fileDiffCache.clear();
+  typeWatermarks.clear();
 }
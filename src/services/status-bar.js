@@ -1,6 +1,12 @@
 import * as vscode from 'vscode';
 import * as sourceTracking from './source-tracking.js';
-import { EXTENDED_SALESFORCE_PATHS } from '../lib/constants.js';
+import * as jobQueue from '../lib/job-queue.js';
+import { SYNC_STATES } from '../lib/constants.js';
+import * as metadataRegistry from '../lib/metadata-registry.js';
+import * as sfdxProject from '../lib/sfdx-project.js';
+import { formatDrift } from '../lib/permissions.js';
+import { formatFlowVersions } from '../lib/flow.js';
+import { formatMetaDrift } from '../lib/meta-xml.js';
 
 // Status bar icons using codicons
 const SYNC_ICON = '$(sync)';
@@ -65,8 +71,11 @@ export function initialize(context) {
  * @returns {boolean}
  */
 function isSalesforceFile(filePath) {
-  if (!filePath) return false;
-  return EXTENDED_SALESFORCE_PATHS.some((p) => filePath.includes(p));
+  if (!metadataRegistry.isTrackedFile(filePath)) {
+    return false;
+  }
+  // Files outside an SFDX project's package directories are not project source
+  return sfdxProject.isInPackageDirectory(filePath);
 }
 
 /**
@@ -74,6 +83,15 @@ function isSalesforceFile(filePath) {
  * @param {string} filePath - Path to the current file
  */
 export async function updateSyncStatus(filePath) {
+  // The user is looking at this file - its lookups go ahead of background scans
+  return jobQueue.withPriority(jobQueue.PRIORITIES.INTERACTIVE, () => renderSyncStatus(filePath));
+}
+
+/**
+ * Look up and show the sync status of a file
+ * @param {string} filePath
+ */
+async function renderSyncStatus(filePath) {
   if (!syncStatusBarItem) return;
 
   // Check if status bar is enabled in settings
@@ -89,6 +107,15 @@ export async function updateSyncStatus(filePath) {
     return;
   }
 
+  if (sfdxProject.isIgnored(filePath)) {
+    syncStatusBarItem.text = `$(circle-slash) Ignored`;
+    syncStatusBarItem.tooltip = 'Excluded by .forceignore - not deployed, retrieved or compared';
+    syncStatusBarItem.backgroundColor = undefined;
+    syncStatusBarItem.color = undefined;
+    syncStatusBarItem.show();
+    return;
+  }
+
   // Show loading state
   syncStatusBarItem.text = `${SYNC_ICON} Checking...`;
   syncStatusBarItem.tooltip = 'Checking org status...';
@@ -97,10 +124,10 @@ export async function updateSyncStatus(filePath) {
   syncStatusBarItem.show();
 
   // Try cached org connection first for instant feedback
-  let orgStatus = sourceTracking.getCachedOrgConnection();
+  let orgStatus = sourceTracking.getCachedOrgConnection(filePath);
   if (!orgStatus.connected) {
     // Only hit the network if cache says disconnected or is empty
-    orgStatus = await sourceTracking.checkOrgConnection();
+    orgStatus = await sourceTracking.checkOrgConnection(filePath);
   }
 
   if (!orgStatus.connected) {
@@ -126,8 +153,8 @@ export async function updateSyncStatus(filePath) {
   // Get file status from org
   const fileStatus = await sourceTracking.getFileOrgStatus(filePath);
   
-  // Check if file has local changes (differs from org)
-  const hasChanges = sourceTracking.hasLocalChanges(filePath);
+  // Check which side changed since the last sync (from the diff cache)
+  const { syncState, flowMatch, isNew, metaDrift } = sourceTracking.getFileDiffStatus(filePath);
 
   if (fileStatus.error) {
     if (fileStatus.error === 'Not a Salesforce metadata file') {
@@ -135,6 +162,22 @@ export async function updateSyncStatus(filePath) {
       return;
     }
 
+    if (fileStatus.deletedInOrg) {
+      syncStatusBarItem.text = `$(trash) Deleted in Org`;
+      syncStatusBarItem.tooltip = `🗑️ This component existed in the org at the last sync (${fileStatus.lastSync.operation}, ${formatRelativeTime(fileStatus.lastSync.syncedAt)}) and has been deleted there since.\nClick to redeploy it or delete the local files.\nOrg: ${orgStatus.alias || orgStatus.username}`;
+      syncStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+      syncStatusBarItem.color = new vscode.ThemeColor('statusBarItem.errorForeground');
+      return;
+    }
+
+    if (fileStatus.notTracked) {
+      syncStatusBarItem.text = `$(circle-slash) Not Tracked`;
+      syncStatusBarItem.tooltip = 'Standard fields have no org record to read their status from, so they are not compared';
+      syncStatusBarItem.backgroundColor = undefined;
+      syncStatusBarItem.color = undefined;
+      return;
+    }
+
     if (fileStatus.error === 'Component not found in org') {
       syncStatusBarItem.text = `$(new-file) New`;
       syncStatusBarItem.tooltip = `This component doesn't exist in the org yet.\nOrg: ${orgStatus.alias || orgStatus.username}`;
@@ -151,7 +194,44 @@ export async function updateSyncStatus(filePath) {
   }
 
   // Show the status with last modified info
-  if (hasChanges) {
+  if (syncState === SYNC_STATES.DELETED_IN_ORG) {
+    // Bundle file removed from the org's copy of the bundle since the last sync
+    syncStatusBarItem.text = `$(trash) Deleted in Org`;
+    syncStatusBarItem.tooltip = `🗑️ This file was part of the org's ${fileStatus.name} bundle at the last sync and has been deleted there since.\nClick to redeploy it or delete the local file.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+    syncStatusBarItem.color = new vscode.ThemeColor('statusBarItem.errorForeground');
+  } else if (isNew) {
+    // Bundle file that isn't in the org's copy of the bundle
+    syncStatusBarItem.text = `$(new-file) New`;
+    syncStatusBarItem.tooltip = `This file isn't part of the org's ${fileStatus.name} bundle yet.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = undefined;
+    syncStatusBarItem.color = new vscode.ThemeColor('charts.green');
+  } else if (syncState === SYNC_STATES.CONFLICT) {
+    // Both sides changed since the last sync - deploy/retrieve would lose work
+    syncStatusBarItem.text = `$(git-merge) Conflict`;
+    syncStatusBarItem.tooltip = `⚠️ Conflict!\n\nChanged locally and in the org by ${fileStatus.lastModifiedBy || 'Unknown'} since the last sync.\nDeploying or retrieving would overwrite one side.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+    syncStatusBarItem.color = new vscode.ThemeColor('statusBarItem.errorForeground');
+  } else if (syncState === SYNC_STATES.METADATA_DIFFERS) {
+    // Source matches, but -meta.xml settings differ
+    const statusDiffers = metaDrift.some((entry) => entry.field === 'status');
+    syncStatusBarItem.text = `$(settings-gear) Metadata Differs`;
+    syncStatusBarItem.tooltip = `${statusDiffers ? '⚠️' : '⚙️'} The source matches the org, but the -meta.xml differs (org → local):\n${metaDrift.map((entry) => `   ${formatMetaDrift(entry)}`).join('\n')}\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = statusDiffers ? new vscode.ThemeColor('statusBarItem.errorBackground') : undefined;
+    syncStatusBarItem.color = statusDiffers ? new vscode.ThemeColor('statusBarItem.errorForeground') : new vscode.ThemeColor('charts.orange');
+  } else if (syncState === SYNC_STATES.INACTIVE_VERSION) {
+    // Flow matches an org version that isn't the active one
+    syncStatusBarItem.text = `$(versions) Inactive v${flowMatch.versionNumber}`;
+    syncStatusBarItem.tooltip = `🔀 Matches org version v${flowMatch.versionNumber} (${flowMatch.status}), not the active version.\nActivate it in the org, or deploy to create a new version.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = undefined;
+    syncStatusBarItem.color = new vscode.ThemeColor('charts.purple');
+  } else if (syncState === SYNC_STATES.ORG_CHANGED) {
+    // Org changed since the last sync - pull needed
+    syncStatusBarItem.text = `$(cloud-download) Org Changed`;
+    syncStatusBarItem.tooltip = `⬇️ The org version changed since the last sync.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
+    syncStatusBarItem.backgroundColor = undefined;
+    syncStatusBarItem.color = new vscode.ThemeColor('charts.red');
+  } else if (syncState === SYNC_STATES.LOCAL_CHANGED) {
     // File has local changes - show warning
     syncStatusBarItem.text = `$(warning) Modified`;
     syncStatusBarItem.tooltip = `⚠️ Local changes detected!\n\nThis file differs from the org version.\n\n${buildFileStatusTooltip(fileStatus, orgStatus)}`;
@@ -184,6 +264,10 @@ function buildFileStatusTooltip(fileStatus, orgStatus) {
     `   On: ${formatFullDate(fileStatus.lastModifiedDate)}`,
   ];
 
+  if (fileStatus.flowVersions) {
+    lines.push(``, `🔀 Versions: ${formatFlowVersions(fileStatus.flowVersions)}`);
+  }
+
   if (fileStatus.createdBy) {
     const createdRelative = formatRelativeTime(fileStatus.createdDate);
     lines.push(
@@ -285,7 +369,7 @@ export async function showFileOrgStatusDetails() {
   const filePath = editor.document.uri.fsPath;
 
   // Check org connection first
-  const orgStatus = await sourceTracking.checkOrgConnection();
+  const orgStatus = await sourceTracking.checkOrgConnection(filePath);
   if (!orgStatus.connected) {
     let message = 'No org is connected.';
     if (orgStatus.errorType === 'cli_not_installed') {
@@ -308,6 +392,12 @@ export async function showFileOrgStatusDetails() {
   // Get file status
   const fileStatus = await sourceTracking.getFileOrgStatus(filePath);
 
+  // Deleted in the org since the last sync - redeploy or delete locally
+  if (fileStatus.deletedInOrg || sourceTracking.getFileDiffStatus(filePath).syncState === SYNC_STATES.DELETED_IN_ORG) {
+    vscode.commands.executeCommand('sf-metadata-tracker.resolveDeletedInOrg', editor.document.uri);
+    return;
+  }
+
   if (fileStatus.error) {
     if (fileStatus.error === 'Component not found in org') {
       const action = await vscode.window.showInformationMessage(
@@ -340,7 +430,30 @@ export async function showFileOrgStatusDetails() {
       label: `$(sf-tracker) Org: ${orgStatus.alias || orgStatus.username}`,
       description: orgStatus.instanceUrl,
     },
+    ...(fileStatus.flowVersions ? [{
+      label: `$(versions) ${formatFlowVersions(fileStatus.flowVersions)}`,
+      description: flowMatchDescription(sourceTracking.getFileDiffStatus(filePath).flowMatch),
+    }] : []),
+    // -meta.xml settings that differ from the org (org → local)
+    ...sourceTracking.getFileDiffStatus(filePath).metaDrift?.map((entry) => ({
+      label: `$(settings-gear) ${formatMetaDrift(entry)}`,
+      description: 'org → local',
+    })) || [],
+    // Permission entries that differ from the org (permission sets and profiles)
+    ...sourceTracking.getFileDiffStatus(filePath).drift?.map((entry) => ({
+      label: `$(shield) ${formatDrift(entry)}`,
+    })) || [],
     { label: '', kind: vscode.QuickPickItemKind.Separator },
+    {
+      label: '$(diff) Compare with Org',
+      description: 'Open a diff of the org version and the local file',
+      action: 'compare',
+    },
+    ...(sourceTracking.getFileDiffStatus(filePath).syncState === SYNC_STATES.CONFLICT ? [{
+      label: '$(git-merge) Merge with Org',
+      description: 'Three-way merge the org changes into the local file',
+      action: 'merge',
+    }] : []),
     {
       label: '$(cloud-upload) Deploy to Org',
       description: 'Push local changes to org',
@@ -369,6 +482,10 @@ export async function showFileOrgStatusDetails() {
     await refreshAll(true);
     await updateSyncStatus(filePath);
     vscode.window.showInformationMessage('Status refreshed!');
+  } else if (selected?.action === 'compare') {
+    vscode.commands.executeCommand('sf-metadata-tracker.compareWithOrg', editor.document.uri);
+  } else if (selected?.action === 'merge') {
+    vscode.commands.executeCommand('sf-metadata-tracker.mergeWithOrg', editor.document.uri);
   } else if (selected?.action === 'deploy') {
     vscode.commands.executeCommand('sf-metadata-tracker.deployCurrentFile');
   } else if (selected?.action === 'retrieve') {
@@ -376,6 +493,15 @@ export async function showFileOrgStatusDetails() {
   }
 }
 
+/**
+ * Describe which org flow version the local file matches
+ * @param {{versionNumber: number, status: string} | null} flowMatch
+ * @returns {string | undefined}
+ */
+function flowMatchDescription(flowMatch) {
+  return flowMatch ? `Local matches v${flowMatch.versionNumber} (${flowMatch.status})` : undefined;
+}
+
 /**
  * Get the sync status bar item
  * @returns {vscode.StatusBarItem | null}
@@ -0,0 +1,186 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as logger from '../lib/logger.js';
+import { hashContent } from '../lib/content.js';
+import { SYNC_STATES } from '../lib/constants.js';
+
+/**
+ * Sync ledger service
+ * Records a per-file baseline (content hash + org LastModifiedDate) at every known sync point,
+ * so later differences can be attributed to local edits, org edits, or both
+ */
+
+// Workspace state key for the persisted ledger
+const LEDGER_KEY = 'sfMetadataTracker.syncLedger';
+
+// Workspace state (vscode.Memento) used for persistence
+let workspaceState = null;
+
+// Ledger data: { [orgUsername]: { [workspaceFolder/relativePath]: baseline } } (folder only in multi-root workspaces)
+let ledger = {};
+
+// Debounce timer for persisting ledger updates
+let persistTimer = null;
+
+/**
+ * Initialize the ledger from workspace storage
+ * @param {vscode.ExtensionContext} context
+ */
+export function initialize(context) {
+  workspaceState = context.workspaceState;
+  ledger = workspaceState.get(LEDGER_KEY, {}) || {};
+  logger.log('Sync ledger initialized');
+}
+
+/**
+ * Get the ledger key for a file (workspace-relative, forward slashes)
+ * In multi-root workspaces the key starts with the folder name, so projects with the same
+ * layout keep separate baselines.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getFileKey(filePath) {
+  return vscode.workspace.asRelativePath(filePath, true).replace(/\\/g, '/');
+}
+
+/**
+ * Persist the ledger to workspace storage (debounced)
+ */
+function schedulePersist() {
+  if (!workspaceState) return;
+
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+  }
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    workspaceState.update(LEDGER_KEY, ledger).then(undefined, (error) => {
+      logger.log(`Failed to persist sync ledger: ${error.message}`, 'WARN');
+    });
+  }, 1000);
+}
+
+/**
+ * Get the recorded baseline for a file in an org
+ * @param {string} filePath
+ * @param {string} org - Org username
+ * @returns {{hash: string, lastModifiedDate: string, lastModifiedBy: string, org: string, operation: string, syncedAt: string} | null}
+ */
+export function getBaseline(filePath, org) {
+  if (!org) return null;
+  return ledger[org]?.[getFileKey(filePath)] || null;
+}
+
+/**
+ * Get the baseline of a file that existed in the org at its last sync
+ * A baseline without an org LastModifiedDate was recorded before the component reached the org.
+ * @param {string} filePath
+ * @param {string} org - Org username
+ * @returns {{hash: string, lastModifiedDate: string, lastModifiedBy: string, org: string, operation: string, syncedAt: string} | null}
+ */
+export function getOrgBaseline(filePath, org) {
+  const baseline = getBaseline(filePath, org);
+  return baseline?.lastModifiedDate ? baseline : null;
+}
+
+/**
+ * Record a sync baseline for a file
+ * @param {string} filePath
+ * @param {{lastModifiedDate?: string, lastModifiedBy?: string}} orgFileStatus - Org status of the component at sync time
+ * @param {string} org - Org username
+ * @param {'deploy' | 'retrieve' | 'compare' | 'merge'} operation - What established the sync point
+ * @param {string} [localContent] - Local content at sync time (read from disk if omitted)
+ */
+export function recordSync(filePath, orgFileStatus, org, operation, localContent) {
+  if (!org) return;
+
+  try {
+    const content = localContent ?? fs.readFileSync(filePath, 'utf8');
+
+    const hash = hashContent(content);
+    const lastModifiedDate = orgFileStatus?.lastModifiedDate || null;
+
+    // Skip the write when the baseline is unchanged (repeated scans of in-sync files)
+    const existing = getBaseline(filePath, org);
+    if (existing && existing.hash === hash && existing.lastModifiedDate === lastModifiedDate) {
+      return;
+    }
+
+    if (!ledger[org]) {
+      ledger[org] = {};
+    }
+
+    ledger[org][getFileKey(filePath)] = {
+      hash,
+      lastModifiedDate,
+      lastModifiedBy: orgFileStatus?.lastModifiedBy || null,
+      org,
+      operation,
+      syncedAt: new Date().toISOString(),
+    };
+
+    schedulePersist();
+  } catch (error) {
+    logger.log(`Failed to record sync baseline for ${filePath}: ${error.message}`, 'WARN');
+  }
+}
+
+/**
+ * Classify a file that differs from the org against its recorded baseline
+ * @param {string} filePath
+ * @param {string} localContent - Current local content
+ * @param {{lastModifiedDate?: string}} orgFileStatus - Current org status of the component
+ * @param {string} org - Org username
+ * @returns {string | null} One of SYNC_STATES, or null when no baseline is recorded
+ */
+export function classifyChange(filePath, localContent, orgFileStatus, org) {
+  const baseline = getBaseline(filePath, org);
+  if (!baseline) {
+    return null;
+  }
+
+  const localChanged = hashContent(localContent) !== baseline.hash;
+  const orgChanged = isOrgNewerThanBaseline(orgFileStatus?.lastModifiedDate, baseline.lastModifiedDate);
+
+  if (localChanged && orgChanged) {
+    return SYNC_STATES.CONFLICT;
+  }
+  if (orgChanged) {
+    return SYNC_STATES.ORG_CHANGED;
+  }
+  // Content differs but the org is untouched since the baseline, so the change is local
+  return SYNC_STATES.LOCAL_CHANGED;
+}
+
+/**
+ * Check whether the org version was modified after the baseline
+ * @param {string} orgDate - Current org LastModifiedDate
+ * @param {string} baselineDate - LastModifiedDate recorded at the last sync
+ * @returns {boolean}
+ */
+function isOrgNewerThanBaseline(orgDate, baselineDate) {
+  if (!orgDate) return false;
+  if (!baselineDate) return true;
+  return new Date(orgDate).getTime() > new Date(baselineDate).getTime();
+}
+
+/**
+ * Remove the baseline for a file
+ * @param {string} filePath
+ * @param {string} org - Org username
+ */
+export function removeBaseline(filePath, org) {
+  if (ledger[org]?.[getFileKey(filePath)]) {
+    delete ledger[org][getFileKey(filePath)];
+    schedulePersist();
+  }
+}
+
+/**
+ * Clear all recorded baselines
+ */
+export function clear() {
+  ledger = {};
+  schedulePersist();
+}
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { execFileSync } from 'child_process';
+import { findMergeBase } from '../src/lib/git.js';
+
+/**
+ * Tests of the merge base lookup against a temporary repository
+ */
+
+const FILE_PATH = 'force-app/main/default/classes/Foo.cls';
+
+let repo = '';
+
+// Commit hashes by content version
+const commits = {};
+
+/**
+ * Run git in the temporary repository
+ * @param {...string} args
+ * @returns {string}
+ */
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repo,
+    encoding: 'utf8',
+  }).trim();
+}
+
+/**
+ * Write the tracked file and commit it
+ * @param {string} version
+ */
+function commitVersion(version) {
+  fs.writeFileSync(path.join(repo, FILE_PATH), `public class Foo {\n  // ${version}\n}\n`);
+  git('add', '-A');
+  git('commit', '-q', '-m', version);
+  commits[version] = git('rev-parse', 'HEAD');
+}
+
+describe('findMergeBase', () => {
+  before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-metadata-tracker-git-'));
+    fs.mkdirSync(path.join(repo, path.dirname(FILE_PATH)), { recursive: true });
+    git('init', '-q');
+    commitVersion('v1');
+    commitVersion('v2');
+    commitVersion('v3');
+  });
+
+  after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('finds the commit matching the other version of a nested file', async () => {
+    const base = await findMergeBase(path.join(repo, FILE_PATH), 'public class Foo {\n  // v2\n}\n');
+
+    assert.strictEqual(base.matchesOther, true);
+    assert.strictEqual(base.ref, commits.v2.substring(0, 7));
+    assert.strictEqual(base.content, 'public class Foo {\n  // v2\n}\n');
+  });
+
+  it('ignores line ending differences', async () => {
+    const base = await findMergeBase(path.join(repo, FILE_PATH), 'public class Foo {\r\n  // v1\r\n}\r\n');
+
+    assert.strictEqual(base.ref, commits.v1.substring(0, 7));
+  });
+
+  it('falls back to HEAD when no commit matches', async () => {
+    const base = await findMergeBase(path.join(repo, FILE_PATH), 'public class Foo {\n  // org\n}\n');
+
+    assert.strictEqual(base.matchesOther, false);
+    assert.strictEqual(base.ref, 'HEAD');
+    assert.strictEqual(base.content, 'public class Foo {\n  // v3\n}\n');
+  });
+
+  it('returns null for a file with no history', async () => {
+    const filePath = path.join(repo, 'force-app/main/default/classes/Bar.cls');
+    fs.writeFileSync(filePath, 'public class Bar {}\n');
+
+    assert.strictEqual(await findMergeBase(filePath, 'public class Bar {}\n'), null);
+  });
+});
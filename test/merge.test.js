@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import * as assert from 'assert';
+import { mergeThreeWay } from '../src/lib/merge.js';
+
+/**
+ * Tests of the three-way merge
+ */
+
+/**
+ * Join lines into file content with a trailing newline
+ * @param {...string} lines
+ * @returns {string}
+ */
+function lines(...lines) {
+  return `${lines.join('\n')}\n`;
+}
+
+describe('mergeThreeWay', () => {
+  const base = lines('a', 'b', 'c', 'd', 'e');
+
+  it('takes changes made on one side only', () => {
+    const local = lines('a', 'B', 'c', 'd', 'e');
+    const other = lines('a', 'b', 'c', 'D', 'e');
+
+    assert.deepStrictEqual(mergeThreeWay(local, base, other), { content: lines('a', 'B', 'c', 'D', 'e'), conflicts: 0 });
+  });
+
+  it('takes the same change made on both sides once', () => {
+    const changed = lines('a', 'b', 'C', 'd', 'e');
+
+    assert.deepStrictEqual(mergeThreeWay(changed, base, changed), { content: changed, conflicts: 0 });
+  });
+
+  it('writes conflict markers when both sides change the same lines', () => {
+    const local = lines('a', 'b', 'local', 'd', 'e');
+    const other = lines('a', 'b', 'org', 'd', 'e');
+
+    const result = mergeThreeWay(local, base, other, { localLabel: 'Local', otherLabel: 'Org' });
+
+    assert.strictEqual(result.conflicts, 1);
+    assert.strictEqual(result.content, lines('a', 'b', '<<<<<<< Local', 'local', '=======', 'org', '>>>>>>> Org', 'd', 'e'));
+  });
+
+  it('keeps lines added at the end of the file on one side', () => {
+    const local = lines('a', 'b', 'c', 'd', 'e', 'f');
+
+    assert.deepStrictEqual(mergeThreeWay(local, base, base), { content: local, conflicts: 0 });
+    assert.deepStrictEqual(mergeThreeWay(base, base, local), { content: local, conflicts: 0 });
+  });
+
+  it('conflicts on different lines added at the end of the file on both sides', () => {
+    const local = lines('a', 'b', 'c', 'd', 'e', 'local');
+    const other = lines('a', 'b', 'c', 'd', 'e', 'org');
+
+    const result = mergeThreeWay(local, base, other);
+
+    assert.strictEqual(result.conflicts, 1);
+    assert.strictEqual(result.content, lines('a', 'b', 'c', 'd', 'e', '<<<<<<< Local', 'local', '=======', 'org', '>>>>>>> Other'));
+  });
+
+  it('merges an end-of-file insertion with a change elsewhere', () => {
+    const local = lines('A', 'b', 'c', 'd', 'e');
+    const other = lines('a', 'b', 'c', 'd', 'e', 'f', 'g');
+
+    assert.deepStrictEqual(mergeThreeWay(local, base, other), { content: lines('A', 'b', 'c', 'd', 'e', 'f', 'g'), conflicts: 0 });
+  });
+
+  it('keeps Windows line endings of the local file', () => {
+    const local = 'a\r\nB\r\nc\r\nd\r\ne\r\n';
+    const other = lines('a', 'b', 'c', 'd', 'E');
+
+    assert.strictEqual(mergeThreeWay(local, base, other).content, 'a\r\nB\r\nc\r\nd\r\nE\r\n');
+  });
+});
@@ -0,0 +1,4 @@
+import { register } from 'module';
+
+// Tests run outside VS Code: resolve the `vscode` module to a stub
+register('./vscode-loader.js', import.meta.url);
@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import * as assert from 'assert';
+import * as http from 'http';
+import { URL } from 'url';
+import { Buffer } from 'buffer';
+import * as sfApi from '../src/lib/sf-api.js';
+
+/**
+ * Tests of the REST/Tooling API client against a local server that answers like an org
+ */
+
+const API_PATH = '/services/data/v60.0';
+
+let server = null;
+let instanceUrl = '';
+
+// Requests the server received: {method, path, token, body}
+let requests = [];
+
+// Access token the server accepts
+let validToken = 'token-1';
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {any} body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer a query: `SELECT ... paged` is split over two pages, anything else is one record
+ * @param {string} soql
+ * @returns {{statusCode: number, body: any}}
+ */
+function answerQuery(soql) {
+  if (soql.includes('INVALID')) {
+    return { statusCode: 400, body: [{ errorCode: 'MALFORMED_QUERY', message: 'unexpected token: INVALID' }] };
+  }
+  if (soql.includes('paged')) {
+    return {
+      statusCode: 200,
+      body: { totalSize: 3, done: false, nextRecordsUrl: `${API_PATH}/query/01g-2`, records: [{ Id: 'a' }, { Id: 'b' }] },
+    };
+  }
+  return { statusCode: 200, body: { totalSize: 1, done: true, records: [{ Id: soql }] } };
+}
+
+/**
+ * Handle a request of the client
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(req, res) {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+    const url = new URL(req.url, instanceUrl);
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    requests.push({ method: req.method, path: url.pathname, token, body });
+
+    if (token !== validToken) {
+      sendJson(res, 401, [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]);
+      return;
+    }
+
+    if (url.pathname === `${API_PATH}/query/01g-2`) {
+      sendJson(res, 200, { totalSize: 3, done: true, records: [{ Id: 'c' }] });
+    } else if (url.pathname === `${API_PATH}/query` || url.pathname === `${API_PATH}/tooling/query`) {
+      const { statusCode, body: result } = answerQuery(url.searchParams.get('q'));
+      sendJson(res, statusCode, result);
+    } else if (url.pathname === `${API_PATH}/composite`) {
+      sendJson(res, 200, {
+        compositeResponse: body.compositeRequest.map(({ url: subrequestUrl, referenceId }) => {
+          const { statusCode, body: result } = answerQuery(new URL(subrequestUrl, instanceUrl).searchParams.get('q'));
+          return { referenceId, httpStatusCode: statusCode, body: result };
+        }),
+      });
+    } else {
+      sendJson(res, 404, [{ errorCode: 'NOT_FOUND', message: req.url }]);
+    }
+  });
+}
+
+describe('sf-api', () => {
+  // Sessions handed out when the client asks for one
+  let resolvedSessions = 0;
+
+  before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    instanceUrl = `http://127.0.0.1:${server.address().port}`;
+
+    sfApi.setSessionResolver(async () => {
+      resolvedSessions++;
+      return { accessToken: 'token-1', instanceUrl, apiVersion: '60.0' };
+    });
+  });
+
+  after(async () => {
+    sfApi.setSessionResolver(null);
+    sfApi.clearSessions();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    sfApi.clearSessions();
+    requests = [];
+    resolvedSessions = 0;
+    validToken = 'token-1';
+  });
+
+  it('follows nextRecordsUrl until every record is loaded', async () => {
+    sfApi.setSession({ accessToken: 'token-1', instanceUrl, apiVersion: '60.0' }, '/project');
+
+    const response = await sfApi.query('SELECT Id FROM Account paged', { cwd: '/project' });
+
+    assert.strictEqual(response.status, 0);
+    assert.deepStrictEqual(response.result.records.map((record) => record.Id), ['a', 'b', 'c']);
+    assert.strictEqual(response.result.totalSize, 3);
+    assert.deepStrictEqual(requests.map((request) => request.path), [`${API_PATH}/query`, `${API_PATH}/query/01g-2`]);
+    assert.strictEqual(resolvedSessions, 0);
+  });
+
+  it('reports API errors like the CLI does', async () => {
+    sfApi.setSession({ accessToken: 'token-1', instanceUrl, apiVersion: '60.0' }, '/project');
+
+    const response = await sfApi.query('SELECT INVALID FROM Account', { cwd: '/project', tooling: true });
+
+    assert.strictEqual(response.status, 1);
+    assert.strictEqual(response.name, 'MALFORMED_QUERY');
+    assert.strictEqual(requests[0].path, `${API_PATH}/tooling/query`);
+  });
+
+  it('batches composite queries 25 at a time and answers in order', async () => {
+    sfApi.setSession({ accessToken: 'token-1', instanceUrl, apiVersion: '60.0' }, '/project');
+    const queries = Array.from({ length: 30 }, (_, index) => `SELECT Id FROM Account WHERE Name = 'q${index}'`);
+    queries[3] = 'SELECT Id FROM Account paged';
+    queries[27] = 'SELECT INVALID FROM Account';
+
+    const responses = await sfApi.compositeQuery(queries, { cwd: '/project' });
+
+    const composites = requests.filter((request) => request.path === `${API_PATH}/composite`);
+    assert.deepStrictEqual(composites.map((request) => request.body.compositeRequest.length), [25, 5]);
+    assert.ok(composites[0].body.compositeRequest[0].url.startsWith(`${API_PATH}/query?q=`));
+
+    assert.strictEqual(responses.length, 30);
+    assert.deepStrictEqual(responses[0].result.records, [{ Id: queries[0] }]);
+    assert.deepStrictEqual(responses[3].result.records.map((record) => record.Id), ['a', 'b', 'c']);
+    assert.deepStrictEqual(responses[29].result.records, [{ Id: queries[29] }]);
+    assert.strictEqual(responses[27].name, 'MALFORMED_QUERY');
+  });
+
+  it('refreshes an expired session once and retries', async () => {
+    sfApi.setSession({ accessToken: 'expired', instanceUrl, apiVersion: '60.0' }, undefined, 'dev-org');
+
+    const response = await sfApi.query('SELECT Id FROM Account', { targetOrg: 'dev-org' });
+
+    assert.strictEqual(response.status, 0);
+    assert.strictEqual(resolvedSessions, 1);
+    assert.deepStrictEqual(requests.map((request) => request.token), ['expired', 'token-1']);
+  });
+
+  it('gives up when the refreshed session is rejected too', async () => {
+    sfApi.setSession({ accessToken: 'expired', instanceUrl, apiVersion: '60.0' }, '/project');
+    validToken = 'token-2';
+
+    const response = await sfApi.query('SELECT Id FROM Account', { cwd: '/project' });
+
+    assert.strictEqual(response.status, 1);
+    assert.strictEqual(response.name, 'INVALID_SESSION_ID');
+    assert.strictEqual(resolvedSessions, 1);
+    assert.strictEqual(requests.length, 2);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import * as assert from 'assert';
+import { parseForceIgnore, matchesIgnoreRules } from '../src/lib/sfdx-project.js';
+
+/**
+ * Tests of the .forceignore rules that decide which project files are scanned
+ */
+
+/**
+ * Check paths against .forceignore content
+ * @param {string} content
+ * @param {string[]} paths - Project-relative paths
+ * @returns {string[]} The ignored paths
+ */
+function ignored(content, paths) {
+  const rules = parseForceIgnore(content);
+  return paths.filter((relativePath) => matchesIgnoreRules(rules, relativePath));
+}
+
+describe('parseForceIgnore', () => {
+  it('skips comments and blank lines', () => {
+    const rules = parseForceIgnore('# comment\n\n  \n**/jsconfig.json\r\n!keep.cls\nprofiles/\n');
+
+    assert.deepStrictEqual(rules.map(({ negate, directoryOnly }) => ({ negate, directoryOnly })), [
+      { negate: false, directoryOnly: false },
+      { negate: true, directoryOnly: false },
+      { negate: false, directoryOnly: true },
+    ]);
+  });
+});
+
+describe('matchesIgnoreRules', () => {
+  const paths = [
+    'force-app/main/default/classes/Foo.cls',
+    'force-app/main/default/classes/Foo.cls-meta.xml',
+    'force-app/main/default/lwc/jsconfig.json',
+    'force-app/main/default/profiles/Admin.profile-meta.xml',
+    'Foo.cls',
+  ];
+
+  it('matches a pattern without a slash at any depth', () => {
+    assert.deepStrictEqual(ignored('Foo.cls', paths), ['force-app/main/default/classes/Foo.cls', 'Foo.cls']);
+  });
+
+  it('anchors a pattern with a slash to the project root', () => {
+    assert.deepStrictEqual(ignored('/Foo.cls', paths), ['Foo.cls']);
+    assert.deepStrictEqual(ignored('classes/Foo.cls', paths), []);
+    assert.deepStrictEqual(ignored('force-app/main/default/classes/Foo.cls', paths), ['force-app/main/default/classes/Foo.cls']);
+  });
+
+  it('matches any number of folders with **', () => {
+    assert.deepStrictEqual(ignored('**/jsconfig.json', paths), ['force-app/main/default/lwc/jsconfig.json']);
+    assert.deepStrictEqual(ignored('force-app/**/*.cls', paths), ['force-app/main/default/classes/Foo.cls']);
+    assert.deepStrictEqual(ignored('force-app/main/**', paths), paths.slice(0, 4));
+  });
+
+  it('matches * and ? within one folder', () => {
+    assert.deepStrictEqual(ignored('force-app/*/Foo.cls', paths), []);
+    assert.deepStrictEqual(ignored('F?o.cls', paths), ['force-app/main/default/classes/Foo.cls', 'Foo.cls']);
+  });
+
+  it('matches character classes, including negated ones', () => {
+    assert.deepStrictEqual(ignored('[FB]oo.cls', paths), ['force-app/main/default/classes/Foo.cls', 'Foo.cls']);
+    assert.deepStrictEqual(ignored('[!F]oo.cls', paths), []);
+    assert.deepStrictEqual(ignored('[!B]oo.cls', paths), ['force-app/main/default/classes/Foo.cls', 'Foo.cls']);
+    assert.deepStrictEqual(ignored('[!abc]oo.cls', ['!oo.cls', 'aoo.cls', 'Foo.cls']), ['!oo.cls', 'Foo.cls']);
+  });
+
+  it('matches dir/ only as a folder', () => {
+    assert.deepStrictEqual(ignored('profiles/', paths), ['force-app/main/default/profiles/Admin.profile-meta.xml']);
+    assert.deepStrictEqual(ignored('Foo.cls/', paths), []);
+  });
+
+  it('ignores every file inside an ignored folder', () => {
+    assert.deepStrictEqual(ignored('classes', paths), paths.slice(0, 2));
+    assert.deepStrictEqual(ignored('force-app/main/default/classes', paths), paths.slice(0, 2));
+  });
+
+  it('re-includes paths matching a later negated rule', () => {
+    assert.deepStrictEqual(ignored('*.cls\n!Foo.cls', paths), []);
+    assert.deepStrictEqual(ignored('classes/*\n!classes/Foo.cls', ['classes/Foo.cls', 'classes/Bar.cls']), ['classes/Bar.cls']);
+  });
+
+  it('applies the last matching rule', () => {
+    assert.deepStrictEqual(ignored('!Foo.cls\n*.cls', paths), ['force-app/main/default/classes/Foo.cls', 'Foo.cls']);
+  });
+
+  it('keeps files inside an ignored folder ignored even when re-included', () => {
+    assert.deepStrictEqual(ignored('classes/\n!Foo.cls', paths), paths.slice(0, 2));
+  });
+});
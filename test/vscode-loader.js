@@ -0,0 +1,15 @@
+import { URL } from 'url';
+
+/**
+ * Module resolve hook that maps `vscode` to the test stub
+ * @param {string} specifier
+ * @param {Object} context
+ * @param {Function} nextResolve
+ * @returns {Promise<{url: string, shortCircuit?: boolean}>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'vscode') {
+    return { url: new URL('./vscode-stub.js', import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
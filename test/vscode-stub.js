@@ -0,0 +1,17 @@
+/**
+ * Minimal `vscode` API for tests of modules that only log through it
+ */
+
+export const window = {
+  activeTextEditor: undefined,
+  createOutputChannel: () => ({
+    appendLine: () => {},
+    show: () => {},
+    dispose: () => {},
+  }),
+};
+
+export const workspace = {
+  workspaceFolders: undefined,
+  getConfiguration: () => ({ get: (_key, defaultValue) => defaultValue }),
+};